@@ -8,6 +8,8 @@ class VideoCaptionGenerator {
         this.currentTab = 'live-captions';
         this.theme = this.getStoredTheme();
         this.captions = [];
+        this.shotChanges = []; // Camera cut times in seconds, when detected
+        this.speechSegments = []; // Detected speech as {startTime, endTime}, for snapping
         this.selectedCaption = null;
         this.isRecording = false;
         this.audioContext = null;
@@ -156,6 +158,9 @@ class VideoCaptionGenerator {
         const fileInput = document.getElementById('video-file-input');
         const fileSelectBtn = document.getElementById('file-select-btn');
         const processBtn = document.getElementById('process-video');
+        const cancelProcessingBtn = document.getElementById('cancel-processing');
+        const pauseProcessingBtn = document.getElementById('pause-processing');
+        const discardJobBtn = document.getElementById('discard-job');
 
         if (fileSelectBtn && fileInput) {
             fileSelectBtn.addEventListener('click', () => fileInput.click());
@@ -174,6 +179,18 @@ class VideoCaptionGenerator {
         if (processBtn) {
             processBtn.addEventListener('click', () => this.processVideo());
         }
+
+        if (cancelProcessingBtn) {
+            cancelProcessingBtn.addEventListener('click', () => this.cancelProcessing());
+        }
+
+        if (pauseProcessingBtn) {
+            pauseProcessingBtn.addEventListener('click', () => this.togglePauseProcessing());
+        }
+
+        if (discardJobBtn) {
+            discardJobBtn.addEventListener('click', () => this.discardResumableJob());
+        }
     }
 
     /**
@@ -314,8 +331,35 @@ class VideoCaptionGenerator {
                 this.togglePlayback();
             }
             
-            // Delete - Delete selected caption
-            if (e.key === 'Delete' && this.selectedCaption) {
+            // + / - / 0 - Zoom the caption timeline in, out or to fit
+            if (this.currentTab === 'caption-editor' && this.captionEditor && !e.ctrlKey && !e.metaKey && !e.altKey &&
+                e.target.tagName !== 'INPUT' && e.target.tagName !== 'TEXTAREA') {
+                const zoomActions = {
+                    '+': () => this.captionEditor.zoomIn(),
+                    '=': () => this.captionEditor.zoomIn(),
+                    '-': () => this.captionEditor.zoomOut(),
+                    '0': () => this.captionEditor.zoomToFit()
+                };
+                if (zoomActions[e.key]) {
+                    e.preventDefault();
+                    zoomActions[e.key]();
+                }
+            }
+            
+            // Ctrl/Cmd + A / Escape - Select all captions / clear the selection
+            if (this.currentTab === 'caption-editor' && this.captionEditor &&
+                e.target.tagName !== 'INPUT' && e.target.tagName !== 'TEXTAREA') {
+                if ((e.ctrlKey || e.metaKey) && e.key === 'a') {
+                    e.preventDefault();
+                    this.captionEditor.selectAllCaptions();
+                } else if (e.key === 'Escape') {
+                    this.captionEditor.clearSelection();
+                }
+            }
+            
+            // Delete - Delete selected captions
+            if (e.key === 'Delete' && this.selectedCaption &&
+                e.target.tagName !== 'INPUT' && e.target.tagName !== 'TEXTAREA') {
                 e.preventDefault();
                 this.deleteCaption();
             }
@@ -475,6 +519,8 @@ class VideoCaptionGenerator {
     saveState() {
         const state = {
             captions: this.captions,
+            shotChanges: this.shotChanges,
+            speechSegments: this.speechSegments,
             theme: this.theme,
             currentTab: this.currentTab,
             styling: this.getStylingState()
@@ -493,6 +539,8 @@ class VideoCaptionGenerator {
             if (saved) {
                 const state = JSON.parse(saved);
                 this.captions = state.captions || [];
+                this.shotChanges = state.shotChanges || [];
+                this.speechSegments = state.speechSegments || [];
                 this.applyStylingState(state.styling || {});
                 this.refreshCaptionsDisplay();
             }
@@ -637,6 +685,21 @@ class VideoCaptionGenerator {
         console.log('Process video placeholder');
     }
 
+    cancelProcessing() {
+        // Will be implemented in video-processor.js
+        console.log('Cancel processing placeholder');
+    }
+
+    togglePauseProcessing() {
+        // Will be implemented in video-processor.js
+        console.log('Toggle pause processing placeholder');
+    }
+
+    discardResumableJob() {
+        // Will be implemented in video-processor.js
+        console.log('Discard resumable job placeholder');
+    }
+
     setupDragAndDrop() {
         // Will be implemented in video-processor.js
         console.log('Setup drag and drop placeholder');
@@ -716,6 +779,27 @@ class VideoCaptionGenerator {
         const preview = document.querySelector('.preview-caption');
         if (!preview) return;
 
+        const { fontSize, textColor, backgroundColor, backgroundOpacity } = this.applyCaptionStyling(preview);
+
+        // Update range value displays
+        const fontSizeValue = document.getElementById('font-size-value');
+        const bgOpacityValue = document.getElementById('bg-opacity-value');
+        
+        if (fontSizeValue) fontSizeValue.textContent = fontSize + 'px';
+        if (bgOpacityValue) bgOpacityValue.textContent = backgroundOpacity + '%';
+
+        // Update hex color inputs
+        const textColorHex = document.getElementById('text-color-hex');
+        const bgColorHex = document.getElementById('background-color-hex');
+        
+        if (textColorHex) textColorHex.value = textColor;
+        if (bgColorHex) bgColorHex.value = backgroundColor;
+    }
+
+    /**
+     * Apply the styling controls to a caption element and position its container
+     */
+    applyCaptionStyling(element) {
         // Get current styling settings
         const fontFamily = document.getElementById('font-family')?.value || 'Arial, sans-serif';
         const fontSize = document.getElementById('font-size')?.value || '24';
@@ -729,23 +813,18 @@ class VideoCaptionGenerator {
         const textBackground = document.getElementById('text-background')?.checked || true;
 
         // Apply styles
-        preview.style.fontFamily = fontFamily;
-        preview.style.fontSize = fontSize + 'px';
-        preview.style.fontWeight = fontWeight;
-        preview.style.color = textColor;
+        element.style.fontFamily = fontFamily;
+        element.style.fontSize = fontSize + 'px';
+        element.style.fontWeight = fontWeight;
+        element.style.color = textColor;
         
         if (textBackground) {
-            preview.style.backgroundColor = Utils.getRgbaString(backgroundColor, backgroundOpacity / 100);
+            element.style.backgroundColor = Utils.getRgbaString(backgroundColor, backgroundOpacity / 100);
         } else {
-            preview.style.backgroundColor = 'transparent';
+            element.style.backgroundColor = 'transparent';
         }
 
-        // Position
-        const container = preview.parentElement;
-        container.style.bottom = position === 'bottom' ? '20px' : 'auto';
-        container.style.top = position === 'top' ? '20px' : 'auto';
-        container.style.top = position === 'middle' ? '50%' : container.style.top;
-        container.style.transform = position === 'middle' ? 'translateX(-50%) translateY(-50%)' : 'translateX(-50%)';
+        this.positionCaption(element.parentElement, position);
 
         // Text effects
         let textShadowValue = '';
@@ -756,21 +835,19 @@ class VideoCaptionGenerator {
             if (textShadowValue) textShadowValue += ', ';
             textShadowValue += '2px 2px 4px rgba(0,0,0,0.5)';
         }
-        preview.style.textShadow = textShadowValue;
+        element.style.textShadow = textShadowValue;
 
-        // Update range value displays
-        const fontSizeValue = document.getElementById('font-size-value');
-        const bgOpacityValue = document.getElementById('bg-opacity-value');
-        
-        if (fontSizeValue) fontSizeValue.textContent = fontSize + 'px';
-        if (bgOpacityValue) bgOpacityValue.textContent = backgroundOpacity + '%';
+        return { fontSize, textColor, backgroundColor, backgroundOpacity };
+    }
 
-        // Update hex color inputs
-        const textColorHex = document.getElementById('text-color-hex');
-        const bgColorHex = document.getElementById('background-color-hex');
-        
-        if (textColorHex) textColorHex.value = textColor;
-        if (bgColorHex) bgColorHex.value = backgroundColor;
+    /**
+     * Place a caption container at the top, middle or bottom of the video
+     */
+    positionCaption(container, position) {
+        container.style.bottom = position === 'bottom' ? '20px' : 'auto';
+        container.style.top = position === 'top' ? '20px' : 'auto';
+        container.style.top = position === 'middle' ? '50%' : container.style.top;
+        container.style.transform = position === 'middle' ? 'translateX(-50%) translateY(-50%)' : 'translateX(-50%)';
     }
 
     async translateCaptions() {
@@ -828,7 +905,8 @@ class VideoCaptionGenerator {
 
         const translations = mockTranslations[targetLanguage] || {};
         
-        return captions.map(caption => ({
+        // Word timings belong to the original language and are dropped
+        return captions.map(({ words, ...caption }) => ({
             ...caption,
             text: translations[caption.text] || `[${targetLanguage.toUpperCase()}] ${caption.text}`,
             language: targetLanguage
@@ -864,6 +942,8 @@ class VideoCaptionGenerator {
                     version: '1.0'
                 },
                 captions: this.captions,
+                shotChanges: this.shotChanges,
+                speechSegments: this.speechSegments,
                 styling: this.getStylingState(),
                 settings: {
                     currentTab: this.currentTab,
@@ -881,18 +961,18 @@ class VideoCaptionGenerator {
         }
     }
 
-    refreshCaptionsDisplay() {
+    refreshCaptionsDisplay(captions = this.captions) {
         const output = document.getElementById('live-captions-output');
         if (!output) return;
 
-        if (!this.captions || this.captions.length === 0) {
+        if (!captions || captions.length === 0) {
             output.innerHTML = '<p class="placeholder-text">No captions available</p>';
             return;
         }
 
         output.innerHTML = '';
         
-        this.captions.forEach(caption => {
+        captions.forEach(caption => {
             const segmentElement = document.createElement('div');
             segmentElement.className = 'caption-segment final';
             segmentElement.innerHTML = `
@@ -905,7 +985,7 @@ class VideoCaptionGenerator {
         // Update caption count
         const countDisplay = document.getElementById('caption-count');
         if (countDisplay) {
-            const count = this.captions.length;
+            const count = captions.length;
             countDisplay.textContent = `${count} segment${count !== 1 ? 's' : ''}`;
         }
     }
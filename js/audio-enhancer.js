@@ -0,0 +1,478 @@
+/**
+ * Video Caption Generator - Audio Enhancer Module
+ * Optional clean-up of extracted audio before speech detection and transcription
+ *
+ * Three stages, each of which can be turned off:
+ * - a high-pass filter that removes rumble and mains hum below speech,
+ * - a spectral noise gate that attenuates frequency bins close to the noise floor,
+ * - EBU R128-style loudness normalization to a fixed integrated loudness, with a peak limiter.
+ *
+ * The noise floor and integrated loudness describe the whole file, so they are
+ * measured in one streaming pass (analyze) before processing. Processing itself
+ * is stateless: each window or segment is cleaned up with a little surrounding
+ * audio as padding, so the result doesn't depend on how the audio is read.
+ */
+
+class AudioEnhancer {
+    constructor(options = {}) {
+        this.options = {
+            highPass: true,
+            noiseReduction: true,
+            normalize: true,
+            highPassFrequency: 80,      // Hz, below the lowest voice fundamentals
+            frameDuration: 0.032,       // Seconds per noise gate FFT frame
+            noiseBlockDuration: 0.5,    // Seconds averaged per noise floor candidate
+            noiseBlockCount: 20,        // Quietest blocks that make up the noise floor
+            gateThreshold: 4,           // Power over the noise floor at which a bin passes unchanged (6 dB)
+            gateFloor: 0.15,            // Gain applied to bins at or below the noise floor (about -16 dB)
+            gateRelease: 0.6,           // Per-frame decay of bin gains, against "musical noise"
+            targetLoudness: -23,        // LUFS (EBU R128)
+            maxGain: 20,                // dB of boost allowed when normalizing
+            peakCeiling: -1,            // dBFS the limiter keeps peaks under
+            ...options
+        };
+    }
+
+    /**
+     * Stages offered on the upload tab, all on once clean-up is enabled
+     */
+    static getDefaultSettings() {
+        return { enabled: false, highPass: true, noiseReduction: true, normalize: true };
+    }
+
+    /**
+     * Measure the noise floor and integrated loudness of a whole source in one pass
+     */
+    async analyze(audioSource, { onProgress = null } = {}) {
+        const analysis = new EnhancementAnalysis(this, audioSource.sampleRate);
+
+        for await (const window of audioSource.windows(10)) {
+            analysis.add(window.samples);
+            if (onProgress) await onProgress(window.progress);
+        }
+
+        return analysis.finish();
+    }
+
+    /**
+     * Measure a short excerpt, for previews
+     */
+    analyzeSamples(samples, sampleRate) {
+        const analysis = new EnhancementAnalysis(this, sampleRate);
+        analysis.add(samples);
+        return analysis.finish();
+    }
+
+    /**
+     * Clean up a block of audio with a profile from analyze(). Returns a new array.
+     * startIndex (the absolute index of samples[0]) keeps the gate's frames on one grid
+     * however the audio is cut up.
+     */
+    process(samples, sampleRate, profile, startIndex = 0) {
+        let output = Float32Array.from(samples);
+
+        if (this.options.highPass) {
+            this.createHighPass(sampleRate).run(output);
+        }
+
+        if (this.options.noiseReduction && profile.noiseSpectrum) {
+            output = this.applyNoiseGate(output, sampleRate, profile.noiseSpectrum, startIndex);
+        }
+
+        if (this.options.normalize && profile.gain !== null) {
+            this.applyGain(output, profile.gain);
+        }
+
+        return output;
+    }
+
+    /**
+     * Second-order Butterworth high-pass
+     */
+    createHighPass(sampleRate) {
+        const k = Math.tan(Math.PI * this.options.highPassFrequency / sampleRate);
+        const norm = 1 / (1 + Math.SQRT2 * k + k * k);
+
+        return new Biquad(
+            [norm, -2 * norm, norm],
+            [2 * (k * k - 1) * norm, (1 - Math.SQRT2 * k + k * k) * norm]
+        );
+    }
+
+    /**
+     * K-weighting filters of ITU-R BS.1770 for any sample rate (shelf, then high-pass)
+     */
+    createKWeighting(sampleRate) {
+        let k = Math.tan(Math.PI * 1681.974450955533 / sampleRate);
+        let q = 0.7071752369554196;
+        const vh = Math.pow(10, 3.999843853973347 / 20);
+        const vb = Math.pow(vh, 0.4996667741545416);
+        let a0 = 1 + k / q + k * k;
+
+        const shelf = new Biquad(
+            [(vh + vb * k / q + k * k) / a0, 2 * (k * k - vh) / a0, (vh - vb * k / q + k * k) / a0],
+            [2 * (k * k - 1) / a0, (1 - k / q + k * k) / a0]
+        );
+
+        k = Math.tan(Math.PI * 38.13547087602444 / sampleRate);
+        q = 0.5003270373238773;
+        a0 = 1 + k / q + k * k;
+
+        const highPass = new Biquad([1, -2, 1], [2 * (k * k - 1) / a0, (1 - k / q + k * k) / a0]);
+
+        return [shelf, highPass];
+    }
+
+    /**
+     * FFT size and square-root Hann window shared by noise measurement and gating.
+     * Square-root Hann on analysis and synthesis sums to one at 50% overlap.
+     */
+    getFrameSetup(sampleRate) {
+        let size = 64;
+        while (size < this.options.frameDuration * sampleRate) {
+            size *= 2;
+        }
+
+        const window = new Float64Array(size);
+        for (let i = 0; i < size; i++) {
+            window[i] = Math.sqrt(0.5 - 0.5 * Math.cos(2 * Math.PI * i / size));
+        }
+
+        return { size, window };
+    }
+
+    /**
+     * Short-time spectral gate: bins well above the noise floor pass, bins near it are attenuated
+     */
+    applyNoiseGate(samples, sampleRate, noiseSpectrum, startIndex = 0) {
+        const { gateThreshold, gateFloor, gateRelease } = this.options;
+        const { size, window } = this.getFrameSetup(sampleRate);
+        const hop = size / 2;
+        const bins = size / 2 + 1;
+        if (noiseSpectrum.length !== bins) return samples;
+
+        // Pad by a frame on each side so every input sample is covered by two frames,
+        // and so frames start at absolute multiples of the hop
+        const lead = size + (startIndex % hop);
+        const padded = new Float32Array(lead + samples.length + size);
+        padded.set(samples, lead);
+        const output = new Float32Array(padded.length);
+
+        const real = new Float64Array(size);
+        const imag = new Float64Array(size);
+        const gains = new Float64Array(bins).fill(1);
+        const target = new Float64Array(bins);
+        const logThreshold = Math.log(gateThreshold);
+
+        for (let start = 0; start + size <= padded.length; start += hop) {
+            for (let i = 0; i < size; i++) {
+                real[i] = padded[start + i] * window[i];
+                imag[i] = 0;
+            }
+            SpeechDetector.fft(real, imag);
+
+            for (let bin = 0; bin < bins; bin++) {
+                const power = real[bin] * real[bin] + imag[bin] * imag[bin];
+                const ratio = power / (noiseSpectrum[bin] + 1e-12);
+                target[bin] = ratio <= 1
+                    ? gateFloor
+                    : gateFloor + (1 - gateFloor) * Math.min(1, Math.log(ratio) / logThreshold);
+            }
+
+            for (let bin = 0; bin < bins; bin++) {
+                // Smooth across neighbouring bins, open instantly and close gradually
+                const smoothed = (target[Math.max(0, bin - 1)] + target[bin] + target[Math.min(bins - 1, bin + 1)]) / 3;
+                gains[bin] = Math.max(smoothed, gains[bin] * gateRelease, gateFloor);
+            }
+
+            for (let bin = 0; bin < bins; bin++) {
+                real[bin] *= gains[bin];
+                imag[bin] *= gains[bin];
+                if (bin > 0 && bin < size / 2) {
+                    real[size - bin] *= gains[bin];
+                    imag[size - bin] *= gains[bin];
+                }
+            }
+
+            // Inverse FFT through the forward transform of the conjugate
+            for (let i = 0; i < size; i++) {
+                imag[i] = -imag[i];
+            }
+            SpeechDetector.fft(real, imag);
+
+            for (let i = 0; i < size; i++) {
+                output[start + i] += (real[i] / size) * window[i];
+            }
+        }
+
+        return output.slice(lead, lead + samples.length);
+    }
+
+    /**
+     * Apply a gain in dB, limiting peaks smoothly below the ceiling
+     */
+    applyGain(samples, gain) {
+        const factor = Math.pow(10, gain / 20);
+        const ceiling = Math.pow(10, this.options.peakCeiling / 20);
+        const knee = ceiling * 0.8;
+
+        for (let i = 0; i < samples.length; i++) {
+            const value = samples[i] * factor;
+            const magnitude = Math.abs(value);
+            samples[i] = magnitude <= knee
+                ? value
+                : Math.sign(value) * (knee + (ceiling - knee) * Math.tanh((magnitude - knee) / (ceiling - knee)));
+        }
+    }
+}
+
+/**
+ * Audio source that cleans up another source's audio as it is read
+ */
+class EnhancedAudioSource {
+    constructor(source, enhancer, profile) {
+        this.source = source;
+        this.enhancer = enhancer;
+        this.profile = profile;
+        this.sampleRate = source.sampleRate;
+        this.padding = 0.1; // Seconds of neighbouring audio processed with each block
+    }
+
+    get duration() {
+        return this.source.duration;
+    }
+
+    /**
+     * Yield the source's windows cleaned up. Each window is held back until the next
+     * one arrives, so it can be processed with audio from both sides.
+     */
+    async *windows(windowDuration) {
+        const padSize = Math.round(this.padding * this.sampleRate);
+        let previous = null;
+        let before = new Float32Array(0);
+
+        for await (const window of this.source.windows(windowDuration)) {
+            if (previous) {
+                yield this.processWindow(before, previous, window.samples.subarray(0, padSize));
+                before = previous.samples.slice(Math.max(0, previous.samples.length - padSize));
+            }
+            previous = window;
+        }
+
+        if (previous) {
+            yield this.processWindow(before, previous, new Float32Array(0));
+        }
+    }
+
+    processWindow(before, window, after) {
+        const samples = new Float32Array(before.length + window.samples.length + after.length);
+        samples.set(before);
+        samples.set(window.samples, before.length);
+        samples.set(after, before.length + window.samples.length);
+
+        const startIndex = Math.round(window.startTime * this.sampleRate) - before.length;
+        const processed = this.enhancer.process(samples, this.sampleRate, this.profile, Math.max(0, startIndex));
+        return { ...window, samples: processed.slice(before.length, before.length + window.samples.length) };
+    }
+
+    async getSegment(startTime, endTime) {
+        const fetchStart = Math.max(0, startTime - this.padding);
+        const samples = await this.source.getSegment(fetchStart, endTime + this.padding);
+        const processed = this.enhancer.process(samples, this.sampleRate, this.profile, Math.floor(fetchStart * this.sampleRate));
+
+        const offset = Math.floor(startTime * this.sampleRate) - Math.floor(fetchStart * this.sampleRate);
+        const length = Math.ceil(endTime * this.sampleRate) - Math.floor(startTime * this.sampleRate);
+        return processed.slice(offset, Math.min(processed.length, offset + Math.max(0, length)));
+    }
+
+    /**
+     * The wrapped source belongs to whoever opened it
+     */
+    dispose() {
+        this.source = null;
+    }
+}
+
+/**
+ * Streaming measurement of the noise floor and integrated loudness (ITU-R BS.1770 gating)
+ */
+class EnhancementAnalysis {
+    constructor(enhancer, sampleRate) {
+        this.enhancer = enhancer;
+        this.sampleRate = sampleRate;
+        this.highPass = enhancer.options.highPass ? enhancer.createHighPass(sampleRate) : null;
+        this.kWeighting = enhancer.createKWeighting(sampleRate);
+
+        // Loudness: mean squares of 100 ms steps, combined into 400 ms blocks
+        this.stepSize = Math.round(sampleRate * 0.1);
+        this.stepSum = 0;
+        this.stepFill = 0;
+        this.steps = [];
+        this.blockPowers = [];
+
+        // Noise floor: average spectra of the quietest blocks
+        const { size, window } = enhancer.getFrameSetup(sampleRate);
+        this.frameSize = size;
+        this.window = window;
+        this.frame = new Float32Array(size);
+        this.frameFill = 0;
+        this.framesPerBlock = Math.max(1, Math.round(enhancer.options.noiseBlockDuration * sampleRate / size));
+        this.blockSpectrum = new Float64Array(size / 2 + 1);
+        this.blockFrames = 0;
+        this.quietBlocks = []; // { energy, spectrum }, quietest first
+        this.real = new Float64Array(size);
+        this.imag = new Float64Array(size);
+    }
+
+    add(input) {
+        const samples = Float32Array.from(input);
+        if (this.highPass) {
+            this.highPass.run(samples);
+        }
+
+        this.addToNoiseBlocks(samples);
+
+        const weighted = Float32Array.from(samples);
+        this.kWeighting.forEach(filter => filter.run(weighted));
+        this.addToLoudness(weighted);
+    }
+
+    addToLoudness(weighted) {
+        for (let i = 0; i < weighted.length; i++) {
+            this.stepSum += weighted[i] * weighted[i];
+            this.stepFill++;
+
+            if (this.stepFill === this.stepSize) {
+                this.steps.push(this.stepSum / this.stepSize);
+                this.stepSum = 0;
+                this.stepFill = 0;
+
+                // 400 ms blocks overlapping by 75%
+                if (this.steps.length >= 4) {
+                    const last = this.steps.length;
+                    this.blockPowers.push((this.steps[last - 1] + this.steps[last - 2] + this.steps[last - 3] + this.steps[last - 4]) / 4);
+                    this.steps.shift();
+                }
+            }
+        }
+    }
+
+    addToNoiseBlocks(samples) {
+        let offset = 0;
+
+        while (offset < samples.length) {
+            const count = Math.min(samples.length - offset, this.frameSize - this.frameFill);
+            this.frame.set(samples.subarray(offset, offset + count), this.frameFill);
+            this.frameFill += count;
+            offset += count;
+
+            if (this.frameFill === this.frameSize) {
+                this.addFrameSpectrum();
+                this.frameFill = 0;
+            }
+        }
+    }
+
+    addFrameSpectrum() {
+        const { real, imag, window } = this;
+        for (let i = 0; i < this.frameSize; i++) {
+            real[i] = this.frame[i] * window[i];
+            imag[i] = 0;
+        }
+        SpeechDetector.fft(real, imag);
+
+        for (let bin = 0; bin < this.blockSpectrum.length; bin++) {
+            this.blockSpectrum[bin] += real[bin] * real[bin] + imag[bin] * imag[bin];
+        }
+
+        if (++this.blockFrames < this.framesPerBlock) return;
+
+        const spectrum = this.blockSpectrum.map(power => power / this.blockFrames);
+        const energy = spectrum.reduce((sum, power) => sum + power, 0);
+        this.blockSpectrum = new Float64Array(spectrum.length);
+        this.blockFrames = 0;
+
+        // Digital silence says nothing about the recording's noise
+        if (energy < 1e-10) return;
+
+        const { noiseBlockCount } = this.enhancer.options;
+        const quietBlocks = this.quietBlocks;
+        if (quietBlocks.length === noiseBlockCount && energy >= quietBlocks[quietBlocks.length - 1].energy) return;
+
+        let index = quietBlocks.findIndex(block => block.energy > energy);
+        if (index === -1) index = quietBlocks.length;
+        quietBlocks.splice(index, 0, { energy, spectrum });
+        if (quietBlocks.length > noiseBlockCount) quietBlocks.pop();
+    }
+
+    /**
+     * Integrated loudness with the absolute (-70 LUFS) and relative (-10 LU) gates
+     */
+    getIntegratedLoudness() {
+        const loudness = (power) => -0.691 + 10 * Math.log10(power);
+        const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+        const audible = this.blockPowers.filter(power => power > 0 && loudness(power) > -70);
+        if (audible.length === 0) return null;
+
+        const relativeGate = loudness(mean(audible)) - 10;
+        const gated = audible.filter(power => loudness(power) > relativeGate);
+        return loudness(mean(gated.length > 0 ? gated : audible));
+    }
+
+    finish() {
+        const { normalize, targetLoudness, maxGain } = this.enhancer.options;
+        const loudness = this.getIntegratedLoudness();
+
+        let noiseSpectrum = null;
+        if (this.quietBlocks.length > 0) {
+            noiseSpectrum = new Array(this.quietBlocks[0].spectrum.length).fill(0);
+            this.quietBlocks.forEach(block => {
+                block.spectrum.forEach((power, bin) => {
+                    noiseSpectrum[bin] += power / this.quietBlocks.length;
+                });
+            });
+        }
+
+        return {
+            noiseSpectrum, // Plain array so the profile can be stored with the job
+            loudness,
+            gain: normalize && loudness !== null
+                ? Math.max(-maxGain, Math.min(maxGain, targetLoudness - loudness))
+                : null
+        };
+    }
+}
+
+/**
+ * Direct form I biquad keeping its state between calls
+ */
+class Biquad {
+    constructor(b, a) {
+        [this.b0, this.b1, this.b2] = b;
+        [this.a1, this.a2] = a;
+        this.x1 = 0;
+        this.x2 = 0;
+        this.y1 = 0;
+        this.y2 = 0;
+    }
+
+    /**
+     * Filter samples in place
+     */
+    run(samples) {
+        for (let i = 0; i < samples.length; i++) {
+            const x = samples[i];
+            const y = this.b0 * x + this.b1 * this.x1 + this.b2 * this.x2 - this.a1 * this.y1 - this.a2 * this.y2;
+            this.x2 = this.x1;
+            this.x1 = x;
+            this.y2 = this.y1;
+            this.y1 = y;
+            samples[i] = y;
+        }
+    }
+}
+
+// Make available globally
+window.AudioEnhancer = AudioEnhancer;
+window.EnhancedAudioSource = EnhancedAudioSource;
@@ -0,0 +1,390 @@
+/**
+ * Video Caption Generator - Audio Source Module
+ * Gives speech detection, transcription and analysis one interface to a file's audio
+ *
+ * StreamingAudioSource decodes packets from a MediaDemuxer with WebCodecs and
+ * hands out mono audio at 16 kHz window by window, seeking for each requested
+ * segment, so memory stays bounded however large the file is.
+ * DecodedAudioSource wraps an AudioBuffer decoded in one go, for containers or
+ * browsers the streaming path doesn't support.
+ *
+ * Both expose sampleRate, duration, windows(windowDuration) and getSegment(startTime, endTime).
+ * The `channel` option picks one channel by index; the default 'mix' averages them all.
+ */
+
+class DecodedAudioSource {
+    constructor(audioBuffer, options = {}) {
+        this.sampleRate = audioBuffer.sampleRate;
+        this.duration = audioBuffer.duration;
+        this.channelData = DecodedAudioSource.getChannel(audioBuffer, options.channel);
+    }
+
+    /**
+     * One channel of a buffer, or all channels averaged (also used when the channel doesn't exist)
+     */
+    static getChannel(audioBuffer, channel = 'mix') {
+        const channels = audioBuffer.numberOfChannels;
+        if (Number.isInteger(channel) && channel < channels) {
+            return audioBuffer.getChannelData(channel);
+        }
+        if (channels === 1) {
+            return audioBuffer.getChannelData(0);
+        }
+
+        const mono = new Float32Array(audioBuffer.length);
+        for (let c = 0; c < channels; c++) {
+            const data = audioBuffer.getChannelData(c);
+            for (let i = 0; i < data.length; i++) {
+                mono[i] += data[i] / channels;
+            }
+        }
+        return mono;
+    }
+
+    /**
+     * Yield consecutive windows of audio from the start of the file
+     */
+    async *windows(windowDuration) {
+        const channelData = this.channelData;
+        const windowSize = Math.floor(this.sampleRate * windowDuration);
+
+        for (let offset = 0; offset < channelData.length; offset += windowSize) {
+            yield {
+                startTime: offset / this.sampleRate,
+                // Copy so the window can be transferred to a worker
+                samples: channelData.slice(offset, offset + windowSize),
+                progress: Math.min(1, (offset + windowSize) / channelData.length)
+            };
+        }
+    }
+
+    async getSegment(startTime, endTime) {
+        const start = Math.max(0, Math.floor(startTime * this.sampleRate));
+        const end = Math.min(this.channelData.length, Math.ceil(endTime * this.sampleRate));
+        return this.channelData.slice(start, Math.max(start, end));
+    }
+
+    dispose() {
+        this.channelData = null;
+    }
+}
+
+class StreamingAudioSource {
+    constructor(demuxer, options = {}) {
+        this.demuxer = demuxer;
+        this.track = demuxer.audioTrack;
+        this.sampleRate = options.sampleRate || 16000;
+        this.channel = Number.isInteger(options.channel) && options.channel < this.track.numberOfChannels
+            ? options.channel
+            : 'mix';
+        this.duration = this.track.duration || 0; // Filled in by the first full pass when the container doesn't say
+        this.preroll = 0.2;                       // Seconds decoded before a seek target to settle the decoder
+        this.maxQueueSize = 16;                   // Packets waiting in the decoder
+
+        this.config = {
+            codec: this.track.codec,
+            sampleRate: this.track.sampleRate,
+            numberOfChannels: this.track.numberOfChannels
+        };
+        if (this.track.description) {
+            this.config.description = this.track.description;
+        }
+    }
+
+    static isSupported() {
+        return Utils.browserSupports('audioDecoder');
+    }
+
+    /**
+     * Open a file for streaming decode, failing if its container or codec isn't supported.
+     * options.trackIndex picks an entry of demuxer.audioTracks instead of the default track.
+     */
+    static async open(file, options = {}) {
+        const demuxer = await MediaDemuxer.create(file);
+        if (Number.isInteger(options.trackIndex)) {
+            demuxer.selectAudioTrack(options.trackIndex);
+        }
+        if (!demuxer.audioTrack) {
+            throw Utils.createError('No supported audio track was found in the file', 'NO_AUDIO_TRACK');
+        }
+
+        const source = new StreamingAudioSource(demuxer, options);
+        const { supported } = await AudioDecoder.isConfigSupported(source.config);
+        if (!supported) {
+            throw Utils.createError(`This browser cannot decode ${source.config.codec} audio`, 'UNSUPPORTED_CODEC');
+        }
+
+        return source;
+    }
+
+    /**
+     * Decode from startTime (until endTime), yielding { startIndex, samples } blocks
+     * of mono audio at this.sampleRate. startIndex is the absolute sample index.
+     */
+    async *decode(startTime = 0, endTime = Infinity) {
+        const outputs = [];
+        let decodeError = null;
+        let resampler = null;
+
+        const decoder = new AudioDecoder({
+            output: (audioData) => outputs.push(audioData),
+            error: (error) => {
+                decodeError = error;
+            }
+        });
+        decoder.configure(this.config);
+
+        // Turn decoded frames into resampled blocks, restarting after gaps in the timestamps
+        const takeBlocks = () => {
+            const blocks = [];
+
+            while (outputs.length > 0) {
+                const audioData = outputs.shift();
+                const time = audioData.timestamp / 1e6;
+
+                if (resampler && Math.abs(resampler.endTime - time) > 0.05) {
+                    blocks.push(resampler.flush());
+                    resampler = null;
+                }
+                if (!resampler) {
+                    resampler = new MonoResampler(audioData.sampleRate, this.sampleRate, time);
+                }
+
+                blocks.push(resampler.push(this.downmix(audioData)));
+                audioData.close();
+            }
+
+            return blocks.filter(block => block.samples.length > 0);
+        };
+
+        try {
+            for await (const packet of this.demuxer.packets(Math.max(0, startTime - this.preroll))) {
+                if (decodeError) throw decodeError;
+                if (packet.timestamp > endTime) break;
+
+                decoder.decode(new EncodedAudioChunk({
+                    type: 'key',
+                    timestamp: Math.round(packet.timestamp * 1e6),
+                    data: packet.data
+                }));
+
+                // Keep the decoder queue short so memory stays bounded
+                while (decoder.decodeQueueSize > this.maxQueueSize) {
+                    await new Promise(resolve => setTimeout(resolve, 0));
+                }
+
+                yield* takeBlocks();
+            }
+
+            await decoder.flush();
+            if (decodeError) throw decodeError;
+
+            yield* takeBlocks();
+            if (resampler) {
+                const rest = resampler.flush();
+                if (rest.samples.length > 0) yield rest;
+            }
+        } catch (error) {
+            throw typeof error.code === 'string' ? error : Utils.createError(`Audio decoding failed: ${error.message}`, 'DECODE_ERROR');
+        } finally {
+            outputs.forEach(audioData => audioData.close());
+            if (decoder.state !== 'closed') {
+                decoder.close();
+            }
+        }
+    }
+
+    /**
+     * Take the selected channel of a decoded frame, or average all channels into one
+     */
+    downmix(audioData) {
+        const frames = audioData.numberOfFrames;
+        const channels = audioData.numberOfChannels;
+        const mono = new Float32Array(frames);
+
+        if (this.channel !== 'mix' && this.channel < channels) {
+            audioData.copyTo(mono, { planeIndex: this.channel, format: 'f32-planar' });
+            return mono;
+        }
+
+        const plane = new Float32Array(frames);
+
+        for (let channel = 0; channel < channels; channel++) {
+            audioData.copyTo(plane, { planeIndex: channel, format: 'f32-planar' });
+            for (let i = 0; i < frames; i++) {
+                mono[i] += plane[i] / channels;
+            }
+        }
+
+        return mono;
+    }
+
+    /**
+     * Yield consecutive windows of audio from the start of the file, decoding as it goes
+     */
+    async *windows(windowDuration) {
+        const windowSize = Math.floor(this.sampleRate * windowDuration);
+        let window = new Float32Array(windowSize);
+        let windowStart = 0; // Absolute index of window[0]
+        let filled = 0;
+
+        const progress = (time) => this.track.duration
+            ? Math.min(1, time / this.track.duration)
+            : Math.min(1, this.demuxer.position / this.demuxer.file.size);
+
+        for await (const block of this.decode(0)) {
+            let offset = 0;
+
+            // Gaps are filled with silence and overlaps dropped so window times stay exact
+            const blockStart = block.startIndex;
+            if (blockStart < windowStart + filled) {
+                offset = windowStart + filled - blockStart;
+            } else {
+                let gap = blockStart - (windowStart + filled);
+                while (gap > 0) {
+                    const count = Math.min(gap, windowSize - filled);
+                    filled += count;
+                    gap -= count;
+                    if (filled === windowSize) {
+                        yield { startTime: windowStart / this.sampleRate, samples: window, progress: progress((windowStart + windowSize) / this.sampleRate) };
+                        window = new Float32Array(windowSize);
+                        windowStart += windowSize;
+                        filled = 0;
+                    }
+                }
+            }
+
+            while (offset < block.samples.length) {
+                const count = Math.min(block.samples.length - offset, windowSize - filled);
+                window.set(block.samples.subarray(offset, offset + count), filled);
+                filled += count;
+                offset += count;
+
+                if (filled === windowSize) {
+                    yield { startTime: windowStart / this.sampleRate, samples: window, progress: progress((windowStart + windowSize) / this.sampleRate) };
+                    window = new Float32Array(windowSize);
+                    windowStart += windowSize;
+                    filled = 0;
+                }
+            }
+        }
+
+        if (filled > 0) {
+            yield { startTime: windowStart / this.sampleRate, samples: window.slice(0, filled), progress: 1 };
+        }
+
+        // Containers without a duration (e.g. MediaRecorder WebM) learn it from the full pass
+        this.duration = Math.max(this.duration, (windowStart + filled) / this.sampleRate);
+    }
+
+    /**
+     * Decode just the audio between two times
+     */
+    async getSegment(startTime, endTime) {
+        const start = Math.max(0, Math.floor(startTime * this.sampleRate));
+        const end = Math.ceil((this.duration ? Math.min(endTime, this.duration) : endTime) * this.sampleRate);
+        const segment = new Float32Array(Math.max(0, end - start));
+        if (segment.length === 0) return segment;
+
+        for await (const block of this.decode(startTime, endTime)) {
+            const from = Math.max(start, block.startIndex);
+            const to = Math.min(end, block.startIndex + block.samples.length);
+            if (to > from) {
+                segment.set(block.samples.subarray(from - block.startIndex, to - block.startIndex), from - start);
+            }
+            if (block.startIndex + block.samples.length >= end) break;
+        }
+
+        return segment;
+    }
+
+    dispose() {
+        this.demuxer = null;
+    }
+}
+
+/**
+ * Streaming mono resampler. Output sample n is placed at time n / outputRate;
+ * downsampling averages the input over one output period to limit aliasing.
+ */
+class MonoResampler {
+    constructor(inputRate, outputRate, startTime) {
+        this.inputRate = inputRate;
+        this.outputRate = outputRate;
+        this.startTime = startTime;
+        this.ratio = inputRate / outputRate;
+        this.halfWidth = this.ratio / 2;
+
+        this.buffer = new Float32Array(0);
+        this.bufferOffset = 0;  // Input index of buffer[0]
+        this.inputLength = 0;   // Input samples received
+        this.nextIndex = Math.ceil(startTime * outputRate);
+    }
+
+    /**
+     * Time just after the last input sample received
+     */
+    get endTime() {
+        return this.startTime + this.inputLength / this.inputRate;
+    }
+
+    push(samples) {
+        const buffer = new Float32Array(this.buffer.length + samples.length);
+        buffer.set(this.buffer);
+        buffer.set(samples, this.buffer.length);
+        this.buffer = buffer;
+        this.inputLength += samples.length;
+
+        return this.render(false);
+    }
+
+    flush() {
+        return this.render(true);
+    }
+
+    render(final) {
+        const startIndex = this.nextIndex;
+        const output = [];
+
+        while (true) {
+            const center = (this.nextIndex / this.outputRate - this.startTime) * this.inputRate;
+            const first = Math.max(0, Math.ceil(center - this.halfWidth));
+            const last = this.ratio > 1 ? Math.floor(center + this.halfWidth) : Math.floor(center) + 1;
+
+            if (final ? center >= this.inputLength : last >= this.inputLength) break;
+
+            let value;
+            if (this.ratio > 1) {
+                let sum = 0;
+                let count = 0;
+                for (let i = first; i <= Math.min(last, this.inputLength - 1); i++) {
+                    sum += this.buffer[i - this.bufferOffset];
+                    count++;
+                }
+                value = count > 0 ? sum / count : 0;
+            } else {
+                // Upsampling: linear interpolation
+                const index = Math.floor(center);
+                const fraction = center - index;
+                const current = this.buffer[index - this.bufferOffset];
+                const next = index + 1 < this.inputLength ? this.buffer[index + 1 - this.bufferOffset] : current;
+                value = current + (next - current) * fraction;
+            }
+
+            output.push(value);
+            this.nextIndex++;
+        }
+
+        // Drop input that no later output needs
+        const nextCenter = (this.nextIndex / this.outputRate - this.startTime) * this.inputRate;
+        const keepFrom = Math.min(this.inputLength, Math.max(this.bufferOffset, Math.floor(nextCenter - this.halfWidth) - 1));
+        this.buffer = this.buffer.slice(keepFrom - this.bufferOffset);
+        this.bufferOffset = keepFrom;
+
+        return { startIndex, samples: Float32Array.from(output) };
+    }
+}
+
+// Make available globally
+window.DecodedAudioSource = DecodedAudioSource;
+window.StreamingAudioSource = StreamingAudioSource;
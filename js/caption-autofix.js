@@ -0,0 +1,322 @@
+/**
+ * Video Caption Generator - Caption Auto-Fix Module
+ * Proposes fixes for the problems CaptionQualityChecker reports
+ *
+ * Each proposal replaces one or a few neighbouring captions and never moves a
+ * caption's start: ends are extended into the following gap or pulled back from
+ * the next caption, long captions are split in place and fragments are merged
+ * into the caption after them. As no caption is in two proposals, any of them can be
+ * accepted on its own.
+ */
+
+class CaptionAutoFixer {
+    constructor(rules = {}, options = {}) {
+        this.rules = { ...CaptionQualityChecker.getProfiles().netflix.rules, ...rules };
+        this.options = {
+            fragmentWords: 2,   // Captions this short and under the minimum duration are merged...
+            mergeMaxGap: 0.5,   // ...into the next caption when it's at most this many seconds away
+            minDuration: 0.1,   // Seconds a caption is never trimmed below
+            ...options
+        };
+    }
+
+    /**
+     * Words a line shouldn't end with, since they belong with the word after them
+     */
+    static getBreakWords() {
+        return new Set([
+            'a', 'an', 'the', 'and', 'or', 'but', 'nor', 'so', 'of', 'to', 'in', 'on', 'at', 'by',
+            'for', 'with', 'from', 'into', 'as', 'that', 'if', 'my', 'your', 'his', 'her', 'our',
+            'their', 'its', 'this', 'these', 'those', "i'm", 'i', 'we', 'you', 'not', 'very'
+        ]);
+    }
+
+    /**
+     * Cost of breaking a line after a word: cheap after punctuation, dear after a word
+     * that leads into the next one
+     */
+    static getBreakCost(word) {
+        if (/[.!?]["')\]]*$/.test(word)) return -8;
+        if (/[,;:]["')\]]*$/.test(word)) return -5;
+        return CaptionAutoFixer.getBreakWords().has(word.toLowerCase().replace(/[^a-z']/g, '')) ? 8 : 0;
+    }
+
+    /**
+     * Text broken into the fewest lines that fit, balanced on the best break
+     * points, or null when it doesn't fit in the maximum number of lines
+     */
+    wrapText(text) {
+        const { maxLineLength, maxLines } = this.rules;
+        const words = Utils.tokenizeWords(text);
+        if (words.length === 0) return '';
+        if (words.join(' ').length <= maxLineLength) return words.join(' ');
+
+        for (let lineCount = 2; lineCount <= Math.min(maxLines, words.length); lineCount++) {
+            let best = null;
+
+            // Try every way of breaking the words into this many lines
+            const search = (start, lines) => {
+                if (lines.length === lineCount - 1) {
+                    const candidate = [...lines, words.slice(start)];
+                    const lengths = candidate.map(line => line.join(' ').length);
+                    if (lengths.some(length => length > maxLineLength)) return;
+
+                    // Balanced lines, good break points, no lone words, and slightly bottom-heavy
+                    let cost = Math.max(...lengths) - Math.min(...lengths);
+                    candidate.slice(0, -1).forEach(line => { cost += CaptionAutoFixer.getBreakCost(line[line.length - 1]); });
+                    candidate.forEach(line => { if (line.length === 1) cost += 20; });
+                    if (lengths[0] > lengths[lengths.length - 1]) cost += 2;
+
+                    if (!best || cost < best.cost) best = { cost, candidate };
+                    return;
+                }
+
+                for (let end = start + 1; end <= words.length - (lineCount - 1 - lines.length); end++) {
+                    const line = words.slice(start, end);
+                    // Longer lines from here only get longer
+                    if (line.join(' ').length > maxLineLength) break;
+                    search(end, [...lines, line]);
+                }
+            };
+
+            search(0, []);
+            if (best) return best.candidate.map(line => line.join(' ')).join('\n');
+        }
+
+        return null;
+    }
+
+    /**
+     * Proposed fixes by caption start time, as {id, kind, changes, before, after}:
+     * the captions in after replace those in before, and changes describes how.
+     * kind is the first change: 'merge', 'split', 'rewrap', 'extend', 'shorten' or 'gap'.
+     */
+    propose(captions, { frameRate = 25, duration = null } = {}) {
+        const gap = this.rules.minGapFrames / frameRate;
+        const sorted = [...captions].sort((a, b) => a.startTime - b.startTime);
+        const proposals = [];
+
+        // Sound events have their own lane, so gaps are kept within each kind
+        [sorted.filter(caption => !Utils.isSoundCaption(caption)), sorted.filter(Utils.isSoundCaption)].forEach(group => {
+            const claimed = new Set();
+
+            group.forEach((caption, i) => {
+                if (claimed.has(caption.id)) return;
+
+                let before = [caption];
+                let nextIndex = i + 1;
+
+                const next = group[i + 1];
+                if (this.isFragment(caption) && next && this.canMerge(caption, next)) {
+                    before = [caption, next];
+                    nextIndex = i + 2;
+                }
+
+                before.forEach(item => claimed.add(item.id));
+                const nextStart = group[nextIndex] ? group[nextIndex].startTime : duration;
+                const proposal = this.fixCaptions(before, nextStart, gap);
+                if (proposal) proposals.push(proposal);
+            });
+        });
+
+        return proposals.sort((a, b) => a.before[0].startTime - b.before[0].startTime);
+    }
+
+    /**
+     * Whether a caption is too short, in words and time, to stand on its own
+     */
+    isFragment(caption) {
+        return !Utils.isSoundCaption(caption) &&
+            Utils.tokenizeWords(caption.text).length <= this.options.fragmentWords &&
+            caption.endTime - caption.startTime < this.rules.minDuration;
+    }
+
+    canMerge(caption, next) {
+        return !Utils.isSoundCaption(next) &&
+            (caption.speaker || '') === (next.speaker || '') &&
+            next.startTime - caption.endTime <= this.options.mergeMaxGap &&
+            next.endTime - caption.startTime <= this.rules.maxDuration &&
+            this.wrapText(`${caption.text} ${next.text}`) !== null;
+    }
+
+    /**
+     * Proposal replacing one caption, or a fragment and the caption after it, or null
+     * when nothing needs to change
+     */
+    fixCaptions(before, nextStart, gap) {
+        const changes = [];
+        let parts;
+
+        if (before.length > 1) {
+            const [first, second] = before;
+            parts = [{
+                ...first,
+                text: `${first.text.trim()} ${second.text.trim()}`,
+                endTime: second.endTime,
+                words: Utils.concatWords(before)
+            }];
+            changes.push({ kind: 'merge', message: 'Merged a short fragment with the next caption' });
+        } else {
+            parts = [before[0]];
+        }
+
+        const caption = parts[0];
+        const isSound = Utils.isSoundCaption(caption);
+        const wrapped = isSound ? caption.text : this.wrapText(caption.text);
+
+        if (wrapped === null) {
+            const split = this.splitCaption(caption, gap);
+            if (split.length > 1) {
+                parts = split;
+                changes.push({ kind: 'split', message: `Split into ${parts.length} captions` });
+            }
+        } else if (!isSound && wrapped !== caption.text && (before.length > 1 || this.needsRewrap(caption.text))) {
+            parts = [{ ...caption, text: wrapped }];
+            const lines = wrapped.split('\n').length;
+            changes.push({ kind: 'rewrap', message: `Re-wrapped into ${lines} line${lines !== 1 ? 's' : ''}` });
+        }
+
+        // Only the last part can run into the next caption
+        const last = parts[parts.length - 1];
+        const timing = this.fixTiming(last, nextStart, gap);
+        if (timing) {
+            parts[parts.length - 1] = { ...last, endTime: timing.endTime };
+            changes.push(timing);
+        }
+
+        if (changes.length === 0) return null;
+
+        parts.forEach(part => {
+            if (part.duration !== undefined) part.duration = part.endTime - part.startTime;
+        });
+
+        return {
+            id: Utils.generateId(),
+            kind: changes[0].kind,
+            changes: changes.map(change => change.message),
+            before,
+            after: parts
+        };
+    }
+
+    /**
+     * Whether text breaks the line rules: a line too long, too many lines, or a lone word
+     */
+    needsRewrap(text) {
+        const lines = text.trim().split('\n').map(line => line.trim());
+        return lines.length > this.rules.maxLines ||
+            lines.some(line => line.length > this.rules.maxLineLength) ||
+            (lines.length > 1 && lines.some(line => line && Utils.wordCount(line) === 1));
+    }
+
+    /**
+     * New end for a caption that reads too fast, is on screen too long, or runs
+     * into the next caption, as {kind, message, endTime}, or null
+     */
+    fixTiming(caption, nextStart, gap) {
+        const { maxCps, minDuration, maxDuration } = this.rules;
+        const { startTime, endTime } = caption;
+        const limit = nextStart === null || nextStart === undefined ? Infinity : nextStart - gap;
+        const round = time => Math.round(time * 1000) / 1000;
+
+        if (endTime > limit + 0.001) {
+            if (limit - startTime < this.options.minDuration) return null;
+            return { kind: 'gap', message: `Ended ${(endTime - limit).toFixed(2)} s earlier to leave a gap`, endTime: round(limit) };
+        }
+
+        if (endTime - startTime > maxDuration) {
+            const newEnd = round(startTime + maxDuration);
+            return { kind: 'shorten', message: `Shortened by ${(endTime - newEnd).toFixed(2)} s`, endTime: newEnd };
+        }
+
+        const needed = Math.max(minDuration, CaptionQualityChecker.getCharacterCount(caption.text) / maxCps);
+        if (endTime - startTime < needed) {
+            // Rounded up, so the new end doesn't fall just short of the reading speed
+            const newEnd = Math.min(Math.ceil((startTime + needed) * 1000) / 1000, round(limit), round(startTime + maxDuration));
+            if (newEnd > endTime + 0.001) {
+                return { kind: 'extend', message: `Extended by ${(newEnd - endTime).toFixed(2)} s`, endTime: newEnd };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Split a caption too long for its lines into as few parts as fit, on good
+     * break points, timed by its words when known or else by characters
+     */
+    splitCaption(caption, gap) {
+        const words = Utils.tokenizeWords(caption.text);
+        const capacity = this.rules.maxLineLength * this.rules.maxLines;
+        const totalLength = words.join(' ').length;
+        const timed = caption.words && caption.words.length === words.length ? caption.words : null;
+
+        // Characters before each word, for timing and balancing the parts
+        const offsets = [];
+        words.reduce((offset, word, i) => {
+            offsets[i] = offset;
+            return offset + word.length + 1;
+        }, 0);
+
+        let partCount = Math.max(2, Math.ceil(totalLength / capacity));
+        let breaks = null;
+        while (!breaks && partCount <= words.length) {
+            breaks = this.findSplitPoints(words, offsets, totalLength, partCount);
+            if (!breaks) partCount++;
+        }
+        if (!breaks) return [caption];
+
+        const duration = caption.endTime - caption.startTime;
+        const timeAt = index => {
+            if (timed) return (timed[index - 1].end + timed[index].start) / 2;
+            return caption.startTime + duration * offsets[index] / (totalLength + 1);
+        };
+
+        const bounds = [0, ...breaks, words.length];
+        return bounds.slice(0, -1).map((from, i) => {
+            const to = bounds[i + 1];
+            const startTime = i === 0 ? caption.startTime : timeAt(from);
+            const nextStart = to < words.length ? timeAt(to) : null;
+            const endTime = nextStart === null ? caption.endTime : Math.max(startTime + this.options.minDuration, nextStart - gap);
+
+            return {
+                ...caption,
+                id: i === 0 ? caption.id : Utils.generateId(),
+                text: this.wrapText(words.slice(from, to).join(' ')),
+                startTime: Math.round(startTime * 1000) / 1000,
+                endTime: Math.round(endTime * 1000) / 1000,
+                words: timed ? timed.slice(from, to) : undefined
+            };
+        });
+    }
+
+    /**
+     * Word indices starting each part after the first, so every part wraps into
+     * the allowed lines, or null
+     */
+    findSplitPoints(words, offsets, totalLength, partCount) {
+        const breaks = [];
+        let from = 0;
+
+        for (let part = 1; part < partCount; part++) {
+            const target = totalLength * part / partCount;
+            let best = null;
+
+            for (let index = from + 1; index <= words.length - (partCount - part); index++) {
+                if (this.wrapText(words.slice(from, index).join(' ')) === null) break;
+
+                const cost = Math.abs(offsets[index] - target) + CaptionAutoFixer.getBreakCost(words[index - 1]) * 2;
+                if (!best || cost < best.cost) best = { cost, index };
+            }
+
+            if (!best) return null;
+            breaks.push(best.index);
+            from = best.index;
+        }
+
+        return this.wrapText(words.slice(from).join(' ')) === null ? null : breaks;
+    }
+}
+
+// Make available globally
+window.CaptionAutoFixer = CaptionAutoFixer;
@@ -9,19 +9,77 @@ class CaptionEditorManager {
         this.timeline = null;
         this.timelineContainer = null;
         this.playhead = null;
-        this.selectedCaption = null;
+        this.media = null;          // Editor video element playing the uploaded file
+        this.mediaFile = null;      // File currently loaded into it
+        this.captionOverlay = null; // Caption drawn over the video
+        this.playbackFrame = null;
+        this.timelineWaveform = null;
+        this.audioLane = null;
+        this.audioLaneKey = null;   // File, track and channel the audio lane shows
+        this.audioLaneMode = Utils.getStorageItem('vcp-audio-lane', 'waveform'); // 'waveform', 'spectrogram' or 'off'
+        this.audioLaneHeight = 72;  // pixels
+        this.selectedCaption = null;   // Caption shown in the edit form
+        this.selectedIds = new Set();  // Ids of every selected caption, including that one
+        this.selectionAnchorId = null; // Caption Shift-clicks select from
+        this.selectionBox = null;      // Rubber band drawn while selecting
+        this.rippleMode = false;       // Moving a caption or its end moves every caption after it
+        this.resyncModal = null;
+        this.resyncPreviewRows = 50;   // Rows of the resync preview shown from each end
+        this.qualityProfile = Utils.getStorageItem('vcp-qc-profile', CaptionQualityChecker.getDefaultProfile());
+        this.customQualityRules = Utils.getStorageItem('vcp-qc-custom', null); // Rules of the 'custom' profile
+        this.qualityChecker = null;
+        this.qualityIssues = [];         // Problems found by the last check, by caption start
+        this.issuesByCaption = new Map(); // Caption id to its problems
+        this.maxProblemRows = 200;       // Problems listed in the panel at once
+        this.autoFixModal = null;
+        this.autoFixProposals = [];      // Fixes shown in the auto-fix dialog, not yet accepted
+        this.scheduleQualityCheck = Utils.debounce(() => this.runQualityCheck(), 300); // For typing in the form
+        this.suppressClick = false;
         this.isPlaying = false;
         this.currentTime = 0;
         this.totalDuration = 0;
         this.timelineScale = 1; // pixels per second
+        this.zoomScale = null;  // pixels per second chosen by zooming, null for the default
+        this.defaultScale = 50; // pixels per second before zooming, unless the whole file fits
+        this.maxScale = 2400;   // pixels per second at full zoom
+        this.maxTimelineWidth = 15000000; // pixels; browsers can't lay out much wider elements
+        this.zoomStep = 1.5;
+        this.frameRate = Number(Utils.getStorageItem('vcp-frame-rate', 25));
+        this.minimap = null;
+        this.segmentLayer = null;           // Holds the rendered caption segments
+        this.shotLayer = null;              // Holds the rendered shot change markers
+        this.segmentElements = new Map();   // Caption id to its rendered segment, for segments in view
+        this.captionsById = new Map();
+        this.captionIndex = [];             // Captions passing the filter, by start time
+        this.maxCaptionDuration = 0;
+        this.pendingMouseMove = null;       // Latest mouse move, applied once per animation frame
+        this.mouseMoveFrame = null;
         this.undoStack = [];
         this.redoStack = [];
         this.maxUndoSteps = 50;
+        this.speakers = [];
+        this.lanes = [];
+        this.laneHeight = 48; // pixels per timeline lane
+        this.segmentHeight = 40;   // pixels, as .timeline-segment in the CSS
+        this.minSegmentWidth = 60; // pixels, as .timeline-segment in the CSS
+        this.snapDistance = 8;     // pixels within which dragged caption edges snap to a target
+        this.snapEnabled = Utils.getStorageItem('vcp-snapping', true); // Hold Alt while dragging to not snap
+        this.minGapFrames = Number(Utils.getStorageItem('vcp-min-gap-frames', 2)); // Gap kept when snapping to a neighbour
+        this.speechBoundaries = [];  // Sorted starts and ends of detected speech
+        this.snapGuide = null;
+        this.captionFilter = 'all'; // 'all', 'speech' or 'sound'
+        this.speakerColors = ['#3b82f6', '#10b981', '#f59e0b', '#8b5cf6', '#ef4444', '#06b6d4', '#ec4899', '#84cc16'];
         this.dragState = {
             isDragging: false,
-            dragType: null, // 'move', 'resize-start', 'resize-end'
+            dragType: null, // 'move', 'resize-start', 'resize-end', 'scrub' or 'select'
             draggedCaption: null,
+            group: null,    // Selected captions moving along with the dragged one
+            ripple: null,   // Later captions moving along in ripple mode
+            movingIds: null, // Everything above, which edges don't snap to
+            baseSelection: null, // Selection a box selection adds to
+            undoState: null,
             startX: 0,
+            startY: 0,
             startTime: 0,
             originalStartTime: 0,
             originalEndTime: 0
@@ -38,6 +96,9 @@ class CaptionEditorManager {
         this.timeline = document.getElementById('timeline');
         this.timelineContainer = document.getElementById('timeline-captions');
         this.playhead = document.getElementById('playhead');
+        this.initializeMediaPlayer();
+        this.initializeAudioLane();
+        this.initializeMinimap();
         
         if (this.timeline && this.timelineContainer) {
             this.calculateTimelineScale();
@@ -46,6 +107,166 @@ class CaptionEditorManager {
         }
     }
 
+    /**
+     * Set up the editor's video player, which drives the playhead while playing
+     */
+    initializeMediaPlayer() {
+        this.media = document.getElementById('editor-media');
+        this.captionOverlay = document.querySelector('.editor-caption');
+        if (!this.media) return;
+
+        this.media.addEventListener('loadedmetadata', () => this.refreshTimeline());
+        this.media.addEventListener('pause', () => {
+            if (this.isPlaying) this.pausePlayback();
+        });
+        this.media.addEventListener('error', () => {
+            if (!this.mediaFile) return;
+            this.pausePlayback();
+            this.app.showToast('This browser can\'t play the file in the editor', 'warning');
+        });
+    }
+
+    /**
+     * Load the file from the upload tab into the editor player when it changed
+     */
+    syncMediaSource() {
+        if (!this.media) return;
+
+        const file = this.app.videoFile || null;
+        if (file === this.mediaFile) return;
+
+        this.pausePlayback();
+        if (this.media.src) {
+            URL.revokeObjectURL(this.media.src);
+            this.media.removeAttribute('src');
+            this.media.load();
+        }
+
+        this.mediaFile = file;
+        if (file) {
+            this.media.src = URL.createObjectURL(file);
+        }
+
+        const player = document.getElementById('editor-player');
+        if (player) {
+            player.style.display = file ? 'block' : 'none';
+            player.classList.toggle('audio-only', !!file && Utils.isAudioFile(file));
+        }
+    }
+
+    /**
+     * Set up the waveform / spectrogram lane under the captions
+     */
+    initializeAudioLane() {
+        this.audioLane = document.getElementById('timeline-audio');
+        const canvas = document.getElementById('timeline-waveform');
+        if (!this.audioLane || !canvas) return;
+
+        this.timelineWaveform = new TimelineWaveform(canvas);
+        this.timelineWaveform.setMode(this.audioLaneMode === 'spectrogram' ? 'spectrogram' : 'waveform');
+
+        const modeSelect = document.getElementById('audio-lane-mode');
+        if (modeSelect) {
+            modeSelect.value = this.audioLaneMode;
+            modeSelect.addEventListener('change', (e) => {
+                this.audioLaneMode = e.target.value;
+                Utils.setStorageItem('vcp-audio-lane', e.target.value);
+                if (this.audioLaneMode !== 'off') {
+                    this.timelineWaveform.setMode(this.audioLaneMode);
+                }
+                this.refreshTimeline();
+            });
+        }
+    }
+
+    /**
+     * Set up the overview of the whole timeline, which scrolls the timeline when clicked or dragged
+     */
+    initializeMinimap() {
+        const canvas = document.getElementById('timeline-minimap');
+        if (!canvas) return;
+
+        this.minimap = new TimelineMinimap(canvas);
+        this.minimap.onSeek = (time) => {
+            this.timeline.scrollLeft = time * this.timelineScale - this.timeline.clientWidth / 2;
+        };
+    }
+
+    isAudioLaneVisible() {
+        return !!this.timelineWaveform && !!this.app.videoFile && this.audioLaneMode !== 'off';
+    }
+
+    /**
+     * Show the lane for the uploaded file and load its peaks when the file, track or channel changed
+     */
+    syncAudioLane() {
+        if (!this.timelineWaveform) return;
+
+        const visible = this.isAudioLaneVisible();
+        this.audioLane.style.display = visible ? 'block' : 'none';
+        this.timeline.classList.toggle('has-audio-lane', visible);
+
+        const processor = this.app.videoProcessor;
+        const file = this.app.videoFile;
+        const key = visible && processor
+            ? `${ProcessingJob.getFileKey(file)}:${processor.audioTrackIndex ?? 'default'}:${processor.audioChannel}`
+            : null;
+
+        if (key === this.audioLaneKey) return;
+        this.audioLaneKey = key;
+
+        if (!key) {
+            this.timelineWaveform.clear();
+            return;
+        }
+
+        this.timelineWaveform.load(key, () => processor.openPreviewAudio())
+            .catch(error => console.warn('Could not draw the audio lane:', error));
+    }
+
+    /**
+     * Match the audio lane to the timeline's scroll position and scale
+     */
+    updateAudioLaneView() {
+        if (!this.isAudioLaneVisible() || !this.timeline) return;
+
+        const canvas = this.timelineWaveform.canvas;
+        this.audioLane.style.width = `${this.totalDuration * this.timelineScale}px`;
+        canvas.style.width = `${this.timeline.clientWidth}px`;
+
+        this.timelineWaveform.setView(this.timeline.scrollLeft / this.timelineScale, this.timelineScale, this.timeline.clientWidth);
+    }
+
+    /**
+     * Whether the playhead follows a loaded media file
+     */
+    hasMedia() {
+        return !!this.mediaFile && !!this.media && this.media.readyState > 0;
+    }
+
+    /**
+     * Show the captions under the playhead over the video, in the current styling
+     */
+    updateCaptionOverlay() {
+        if (!this.captionOverlay || !this.mediaFile) return;
+
+        const active = this.app.captions
+            .filter(caption => this.currentTime >= caption.startTime && this.currentTime < caption.endTime)
+            .sort((a, b) => a.startTime - b.startTime);
+        const text = active.map(caption => caption.text).join('\n');
+
+        if (text !== this.captionOverlay.textContent) {
+            this.captionOverlay.textContent = text;
+
+            // Captions' own italic and position settings override the styling tab's
+            const style = active[0]?.style || {};
+            this.captionOverlay.style.fontStyle = style.italic ? 'italic' : '';
+            this.app.positionCaption(this.captionOverlay.parentElement,
+                style.position || document.getElementById('caption-position')?.value || 'bottom');
+        }
+        this.captionOverlay.style.display = text ? '' : 'none';
+    }
+
     /**
      * Setup event listeners
      */
@@ -60,8 +281,19 @@ class CaptionEditorManager {
         document.addEventListener('mousemove', (e) => this.handleMouseMove(e));
         document.addEventListener('mouseup', (e) => this.handleMouseUp(e));
 
+        // Speech / sound event filter
+        const captionFilter = document.getElementById('caption-filter');
+        if (captionFilter) {
+            captionFilter.addEventListener('change', (e) => this.setCaptionFilter(e.target.value));
+        }
+
         // Form inputs
         this.setupFormEventListeners();
+        this.setupSelectionControls();
+        this.setupTimingTools();
+        this.setupResyncDialog();
+        this.setupQualityPanel();
+        this.setupAutoFixDialog();
 
         // Window resize
         window.addEventListener('resize', () => this.handleResize());
@@ -74,11 +306,21 @@ class CaptionEditorManager {
         const captionText = document.getElementById('caption-text');
         const startTime = document.getElementById('start-time');
         const endTime = document.getElementById('end-time');
+        const captionSpeaker = document.getElementById('caption-speaker');
+        const captionSound = document.getElementById('caption-sound');
 
         if (captionText) {
             captionText.addEventListener('input', () => this.updateSelectedCaptionText());
         }
 
+        if (captionSound) {
+            captionSound.addEventListener('change', () => this.updateSelectedCaptionType());
+        }
+
+        if (captionSpeaker) {
+            captionSpeaker.addEventListener('change', () => this.updateSelectedCaptionSpeaker());
+        }
+
         if (startTime) {
             startTime.addEventListener('change', () => this.updateSelectedCaptionTiming());
         }
@@ -88,17 +330,306 @@ class CaptionEditorManager {
         }
     }
 
+    /**
+     * Set up the bulk actions for the selected captions
+     */
+    setupSelectionControls() {
+        const languageSelect = document.getElementById('selection-language');
+        if (languageSelect) {
+            languageSelect.innerHTML = Object.entries(Utils.getLanguageNames())
+                .map(([code, name]) => `<option value="${code}">${Utils.sanitizeText(name)}</option>`)
+                .join('');
+        }
+
+        const actions = {
+            'selection-merge': () => this.mergeCaptions(),
+            'selection-delete': () => this.deleteCaption(),
+            'selection-shift-btn': () => {
+                const shift = Number(document.getElementById('selection-shift')?.value);
+                this.shiftSelectedCaptions(shift / 1000);
+            },
+            'selection-language-btn': () => this.setSelectedLanguage(languageSelect?.value),
+            'selection-speaker-btn': () => this.setSelectedSpeaker(document.getElementById('selection-speaker')?.value || ''),
+            'selection-style-btn': () => this.setSelectedStyle({
+                italic: document.getElementById('selection-italic')?.checked || false,
+                position: document.getElementById('selection-position')?.value || ''
+            })
+        };
+
+        Object.entries(actions).forEach(([id, action]) => {
+            const button = document.getElementById(id);
+            if (button) button.addEventListener('click', action);
+        });
+    }
+
+    /**
+     * Set up ripple mode and the tools that shift captions or gaps by a number of milliseconds
+     */
+    setupTimingTools() {
+        const rippleToggle = document.getElementById('ripple-mode');
+        if (rippleToggle) {
+            rippleToggle.checked = this.rippleMode;
+            rippleToggle.addEventListener('change', (e) => {
+                this.rippleMode = e.target.checked;
+            });
+        }
+
+        const getAmount = () => Number(document.getElementById('shift-amount')?.value) / 1000;
+        const actions = {
+            'shift-all': () => this.shiftAllCaptions(getAmount()),
+            'insert-gap': () => this.insertGapAtPlayhead(getAmount()),
+            'remove-gap': () => this.removeGapAtPlayhead(getAmount())
+        };
+
+        Object.entries(actions).forEach(([id, action]) => {
+            const button = document.getElementById(id);
+            if (button) button.addEventListener('click', action);
+        });
+    }
+
+    /**
+     * Set up the guideline profile and custom rule inputs of the problems panel
+     */
+    setupQualityPanel() {
+        const profiles = CaptionQualityChecker.getProfiles();
+        if (this.qualityProfile !== 'custom' && !profiles[this.qualityProfile]) {
+            this.qualityProfile = CaptionQualityChecker.getDefaultProfile();
+        }
+        this.updateQualityChecker();
+
+        const profileSelect = document.getElementById('qc-profile');
+        if (profileSelect) {
+            profileSelect.innerHTML = Object.entries(profiles)
+                .map(([id, profile]) => `<option value="${id}">${Utils.sanitizeText(profile.name)}</option>`)
+                .join('') + '<option value="custom">Custom</option>';
+            profileSelect.value = this.qualityProfile;
+            profileSelect.addEventListener('change', (e) => this.setQualityProfile(e.target.value));
+        }
+
+        document.querySelectorAll('#qc-custom-rules [data-rule]').forEach(input => {
+            input.addEventListener('change', () => {
+                const value = Number(input.value);
+                if (!(value >= 0)) {
+                    input.value = this.qualityChecker.rules[input.dataset.rule];
+                    return;
+                }
+
+                this.customQualityRules = { ...this.qualityChecker.rules, [input.dataset.rule]: value };
+                Utils.setStorageItem('vcp-qc-custom', this.customQualityRules);
+                this.updateQualityChecker();
+                this.runQualityCheck();
+            });
+        });
+
+        this.updateQualityRuleInputs();
+    }
+
+    /**
+     * Check captions against another profile: 'netflix', 'bbc', 'fcc' or 'custom'
+     */
+    setQualityProfile(profile) {
+        // Custom rules start from the profile picked before
+        if (profile === 'custom' && !this.customQualityRules) {
+            this.customQualityRules = { ...this.qualityChecker.rules };
+            Utils.setStorageItem('vcp-qc-custom', this.customQualityRules);
+        }
+
+        this.qualityProfile = profile;
+        Utils.setStorageItem('vcp-qc-profile', profile);
+        this.updateQualityChecker();
+        this.updateQualityRuleInputs();
+        this.runQualityCheck();
+    }
+
+    updateQualityChecker() {
+        const profile = CaptionQualityChecker.getProfiles()[this.qualityProfile];
+        this.qualityChecker = new CaptionQualityChecker(profile ? profile.rules : this.customQualityRules || {});
+    }
+
+    /**
+     * Show the custom profile's rules for editing
+     */
+    updateQualityRuleInputs() {
+        const container = document.getElementById('qc-custom-rules');
+        if (!container) return;
+
+        container.style.display = this.qualityProfile === 'custom' ? 'grid' : 'none';
+        container.querySelectorAll('[data-rule]').forEach(input => {
+            input.value = Math.round(this.qualityChecker.rules[input.dataset.rule] * 100) / 100;
+        });
+    }
+
+    /**
+     * Check every caption against the rule profile, then update the problems
+     * panel and the warning badges of the rendered segments
+     */
+    runQualityCheck() {
+        this.qualityIssues = this.qualityChecker.check(this.app.captions, this.frameRate);
+
+        this.issuesByCaption = new Map();
+        this.qualityIssues.forEach(issue => {
+            if (!this.issuesByCaption.has(issue.captionId)) {
+                this.issuesByCaption.set(issue.captionId, []);
+            }
+            this.issuesByCaption.get(issue.captionId).push(issue);
+        });
+
+        this.segmentElements.forEach((element, id) => this.updateCaptionBadge(element, id));
+        this.renderProblemsPanel();
+    }
+
+    /**
+     * List the problems found, each jumping to its caption when clicked
+     */
+    renderProblemsPanel() {
+        const summary = document.getElementById('qc-summary');
+        const list = document.getElementById('qc-list');
+        if (!summary || !list) return;
+
+        const count = this.qualityIssues.length;
+        summary.textContent = count === 0
+            ? 'No problems found'
+            : `${count} problem${count !== 1 ? 's' : ''} in ${this.issuesByCaption.size} caption${this.issuesByCaption.size !== 1 ? 's' : ''}`;
+
+        list.innerHTML = '';
+        this.qualityIssues.slice(0, this.maxProblemRows).forEach(issue => {
+            const caption = this.captionsById.get(issue.captionId);
+            if (!caption) return;
+
+            const item = document.createElement('li');
+            item.innerHTML = `
+                <button type="button" class="qc-item ${issue.severity}">
+                    <span class="qc-time"></span>
+                    <span class="qc-message"></span>
+                    <span class="qc-text"></span>
+                </button>
+            `;
+            item.querySelector('.qc-time').textContent = Utils.formatTime(caption.startTime);
+            item.querySelector('.qc-message').textContent = issue.message;
+            item.querySelector('.qc-text').textContent = caption.text;
+            item.querySelector('button').addEventListener('click', () => this.jumpToCaption(caption));
+            list.appendChild(item);
+        });
+
+        if (count > this.maxProblemRows) {
+            const more = document.createElement('li');
+            more.className = 'qc-more';
+            more.textContent = `…and ${count - this.maxProblemRows} more`;
+            list.appendChild(more);
+        }
+    }
+
+    /**
+     * Select a caption, move the playhead to it and scroll it into view
+     */
+    jumpToCaption(caption) {
+        if (!this.isCaptionVisible(caption)) {
+            const captionFilter = document.getElementById('caption-filter');
+            if (captionFilter) captionFilter.value = 'all';
+            this.setCaptionFilter('all');
+        }
+
+        this.selectCaption(caption);
+        this.setCurrentTime(caption.startTime);
+        this.updatePlayhead();
+
+        if (this.timeline) {
+            this.timeline.scrollLeft = caption.startTime * this.timelineScale - this.timeline.clientWidth * 0.1;
+            this.updateTimelineViewport();
+        }
+    }
+
+    /**
+     * Show a segment's problems as a badge, red when any is an error
+     */
+    updateCaptionBadge(element, captionId) {
+        const badge = element.querySelector('.segment-badge');
+        if (!badge) return;
+
+        const issues = this.issuesByCaption.get(captionId) || [];
+        badge.hidden = issues.length === 0;
+        badge.classList.toggle('error', issues.some(issue => issue.severity === 'error'));
+        badge.textContent = issues.length > 1 ? String(issues.length) : '!';
+        badge.title = issues.map(issue => issue.message).join('\n');
+    }
+
+    /**
+     * Set up the auto-fix dialog, which lists proposed fixes for review
+     */
+    setupAutoFixDialog() {
+        this.autoFixModal = document.getElementById('autofix-modal');
+        const openButton = document.getElementById('qc-autofix');
+        if (!this.autoFixModal || !openButton) return;
+
+        const close = () => this.app.hideModal(this.autoFixModal);
+        openButton.addEventListener('click', () => this.openAutoFixDialog());
+        this.autoFixModal.querySelector('.modal-close')?.addEventListener('click', close);
+        document.getElementById('autofix-cancel')?.addEventListener('click', close);
+        document.getElementById('autofix-accept-all')?.addEventListener('click', () => this.acceptAutoFixes(this.autoFixProposals));
+        this.autoFixModal.addEventListener('click', (e) => {
+            if (e.target === this.autoFixModal) close();
+        });
+    }
+
+    /**
+     * Set up the resync dialog, which retimes every caption linearly
+     */
+    setupResyncDialog() {
+        this.resyncModal = document.getElementById('resync-modal');
+        const openButton = document.getElementById('resync-captions');
+        if (!this.resyncModal || !openButton) return;
+
+        const close = () => this.app.hideModal(this.resyncModal);
+        openButton.addEventListener('click', () => this.openResyncDialog());
+        this.resyncModal.querySelector('.modal-close')?.addEventListener('click', close);
+        document.getElementById('resync-cancel')?.addEventListener('click', close);
+        document.getElementById('resync-apply')?.addEventListener('click', () => this.applyResync());
+        this.resyncModal.addEventListener('click', (e) => {
+            if (e.target === this.resyncModal) close();
+        });
+
+        document.getElementById('resync-mode')?.addEventListener('change', (e) => {
+            const usePoints = e.target.value === 'points';
+            document.getElementById('resync-points').style.display = usePoints ? '' : 'none';
+            document.getElementById('resync-frame-rates').style.display = usePoints ? 'none' : '';
+        });
+
+        [1, 2].forEach(point => {
+            const timeInput = document.getElementById(`resync-time-${point}`);
+
+            // A newly picked caption starts out at its current time
+            document.getElementById(`resync-caption-${point}`)?.addEventListener('change', (e) => {
+                const caption = this.captionsById.get(e.target.value);
+                if (caption && timeInput) timeInput.value = Utils.formatTime(caption.startTime);
+            });
+
+            document.getElementById(`resync-playhead-${point}`)?.addEventListener('click', () => {
+                if (timeInput) timeInput.value = Utils.formatTime(this.currentTime);
+                this.updateResyncPreview();
+            });
+        });
+
+        // The preview follows every edit
+        this.resyncModal.addEventListener('change', () => this.updateResyncPreview());
+        this.resyncModal.addEventListener('input', () => this.updateResyncPreview());
+    }
+
     /**
      * Calculate timeline scale based on container width and total duration
      */
     calculateTimelineScale() {
         if (!this.timelineContainer) return;
 
-        const containerWidth = this.timelineContainer.offsetWidth;
+        // The visible width, not the content's, which grows with the scale
+        const containerWidth = this.timeline ? this.timeline.clientWidth : this.timelineContainer.offsetWidth;
         this.totalDuration = this.calculateTotalDuration();
         
-        if (this.totalDuration > 0) {
-            this.timelineScale = Math.max(containerWidth / this.totalDuration, 50); // Minimum 50px per second
+        if (this.totalDuration > 0 && containerWidth > 0) {
+            // Zooming out stops when the whole timeline fits, zooming in at maxScale
+            const fitScale = containerWidth / this.totalDuration;
+            const maxScale = Math.max(fitScale, Math.min(this.maxScale, this.maxTimelineWidth / this.totalDuration));
+            const scale = this.zoomScale === null ? Math.max(fitScale, this.defaultScale) : this.zoomScale;
+            this.timelineScale = Math.min(maxScale, Math.max(fitScale, scale));
         } else {
             this.timelineScale = 100; // Default scale
         }
@@ -108,15 +639,18 @@ class CaptionEditorManager {
      * Calculate total duration from captions
      */
     calculateTotalDuration() {
+        // The whole media file stays reachable even past the last caption
+        const mediaDuration = this.hasMedia() && Number.isFinite(this.media.duration) ? this.media.duration : 0;
+
         if (!this.app.captions || this.app.captions.length === 0) {
-            return 60; // Default 1 minute
+            return Math.max(mediaDuration, 60); // Default 1 minute
         }
 
         const lastCaption = this.app.captions.reduce((latest, caption) => 
             caption.endTime > latest.endTime ? caption : latest
         );
 
-        return Math.max(lastCaption.endTime + 5, 60); // Add 5 seconds buffer, minimum 1 minute
+        return Math.max(lastCaption.endTime + 5, mediaDuration, 60); // Add 5 seconds buffer, minimum 1 minute
     }
 
     /**
@@ -131,6 +665,160 @@ class CaptionEditorManager {
                 e.preventDefault();
             }
         });
+
+        // Segments come and go as the timeline scrolls, so they share this listener
+        this.timelineContainer.addEventListener('mousedown', (e) => {
+            const target = this.getSegmentTarget(e);
+            if (!target) return;
+
+            if (e.target.classList.contains('resize-start')) {
+                this.handleResizeStart(e, target.caption, target.element, 'start');
+            } else if (e.target.classList.contains('resize-end')) {
+                this.handleResizeStart(e, target.caption, target.element, 'end');
+            } else {
+                this.handleCaptionMouseDown(e, target.caption, target.element);
+            }
+        });
+
+        // Ctrl/Cmd + wheel zooms around the pointer, the plain wheel scrolls sideways
+        this.timeline.addEventListener('wheel', (e) => {
+            if (e.ctrlKey || e.metaKey) {
+                e.preventDefault();
+                const offset = e.clientX - this.timeline.getBoundingClientRect().left;
+                this.zoomTimeline(this.timelineScale * Math.exp(-e.deltaY * 0.002), this.getTimeAtOffset(offset), offset);
+            } else if (!e.shiftKey && Math.abs(e.deltaY) > Math.abs(e.deltaX)) {
+                e.preventDefault();
+                this.timeline.scrollLeft += e.deltaY;
+            }
+        }, { passive: false });
+
+        // The ruler, audio lane and minimap only draw the visible part of the timeline
+        let frame = null;
+        this.timeline.addEventListener('scroll', () => {
+            if (frame) return;
+            frame = requestAnimationFrame(() => {
+                frame = null;
+                this.updateTimelineViewport();
+            });
+        });
+
+        const zoomControls = {
+            'zoom-in': () => this.zoomIn(),
+            'zoom-out': () => this.zoomOut(),
+            'zoom-fit': () => this.zoomToFit()
+        };
+        Object.entries(zoomControls).forEach(([id, action]) => {
+            const button = document.getElementById(id);
+            if (button) button.addEventListener('click', action);
+        });
+
+        const frameRateSelect = document.getElementById('frame-rate');
+        if (frameRateSelect) {
+            frameRateSelect.value = String(this.frameRate);
+            frameRateSelect.addEventListener('change', (e) => {
+                this.frameRate = Number(e.target.value);
+                Utils.setStorageItem('vcp-frame-rate', this.frameRate);
+                this.refreshTimeline();
+            });
+        }
+
+        const snapToggle = document.getElementById('snap-toggle');
+        if (snapToggle) {
+            snapToggle.checked = this.snapEnabled;
+            snapToggle.addEventListener('change', (e) => {
+                this.snapEnabled = e.target.checked;
+                Utils.setStorageItem('vcp-snapping', this.snapEnabled);
+            });
+        }
+
+        const minGapInput = document.getElementById('min-gap-frames');
+        if (minGapInput) {
+            minGapInput.value = this.minGapFrames;
+            minGapInput.addEventListener('change', (e) => {
+                this.minGapFrames = Math.max(0, Math.round(Number(e.target.value) || 0));
+                e.target.value = this.minGapFrames;
+                Utils.setStorageItem('vcp-min-gap-frames', this.minGapFrames);
+            });
+        }
+    }
+
+    /**
+     * Segment element and caption an event happened on, or null
+     */
+    getSegmentTarget(e) {
+        const element = e.target.closest('.timeline-segment');
+        const caption = element && this.captionsById.get(element.dataset.captionId);
+        return caption ? { element, caption } : null;
+    }
+
+    /**
+     * Time under a horizontal offset from the timeline's left edge, including its scroll
+     */
+    getTimeAtOffset(offset) {
+        return Math.max(0, (offset + this.timeline.scrollLeft) / this.timelineScale);
+    }
+
+    /**
+     * Zoom to a scale in pixels per second, keeping anchorTime at anchorOffset pixels
+     * from the left edge. Without an anchor the playhead stays put when visible,
+     * otherwise the middle of the view.
+     */
+    zoomTimeline(scale, anchorTime = null, anchorOffset = null) {
+        if (!this.timeline) return;
+
+        const width = this.timeline.clientWidth;
+        if (anchorTime === null) {
+            const playheadOffset = this.currentTime * this.timelineScale - this.timeline.scrollLeft;
+            anchorOffset = playheadOffset >= 0 && playheadOffset <= width ? playheadOffset : width / 2;
+            anchorTime = this.getTimeAtOffset(anchorOffset);
+        }
+
+        this.zoomScale = scale;
+        this.refreshTimeline();
+        this.timeline.scrollLeft = anchorTime * this.timelineScale - anchorOffset;
+        this.updateTimelineViewport();
+    }
+
+    zoomIn() {
+        this.zoomTimeline(this.timelineScale * this.zoomStep);
+    }
+
+    zoomOut() {
+        this.zoomTimeline(this.timelineScale / this.zoomStep);
+    }
+
+    /**
+     * Show the whole timeline
+     */
+    zoomToFit() {
+        this.zoomTimeline(0, 0, 0);
+    }
+
+    /**
+     * Redraw what depends on the visible part of the timeline
+     */
+    updateTimelineViewport() {
+        this.renderTimelineRuler();
+        this.renderVisibleCaptions();
+        this.updateAudioLaneView();
+
+        if (this.minimap && this.timeline) {
+            const startTime = this.timeline.scrollLeft / this.timelineScale;
+            this.minimap.setViewport(startTime, startTime + this.timeline.clientWidth / this.timelineScale);
+        }
+    }
+
+    /**
+     * Keep the playhead in view while playing, turning the page when it reaches the edge
+     */
+    followPlayhead() {
+        if (!this.timeline) return;
+
+        const x = this.currentTime * this.timelineScale;
+        const { scrollLeft, clientWidth } = this.timeline;
+        if (x < scrollLeft || x > scrollLeft + clientWidth - 20) {
+            this.timeline.scrollLeft = x - clientWidth * 0.1;
+        }
     }
 
     /**
@@ -139,14 +827,30 @@ class CaptionEditorManager {
     refreshTimeline() {
         if (!this.timelineContainer) return;
 
+        this.syncMediaSource();
+        this.syncAudioLane();
+        if (this.captionOverlay && this.mediaFile) {
+            this.app.applyCaptionStyling(this.captionOverlay);
+            this.captionOverlay.textContent = ''; // Reapply the shown caption's own style below
+        }
+
+        this.speechBoundaries = (this.app.speechSegments || [])
+            .flatMap(segment => [segment.startTime, segment.endTime])
+            .sort((a, b) => a - b);
+
         this.calculateTimelineScale();
-        this.renderTimelineRuler();
         this.renderCaptions();
+        this.renderSpeakerPanel();
+        this.renderMinimap();
+        this.updateTimelineViewport();
         this.updateTimeDisplay();
+        this.updatePlayhead();
+        this.updateCaptionOverlay();
     }
 
     /**
-     * Render timeline ruler
+     * Render the ruler for the visible part of the timeline, choosing the marker
+     * spacing from the zoom level: whole frames when zoomed in, up to hours when zoomed out
      */
     renderTimelineRuler() {
         const ruler = this.timeline?.querySelector('.timeline-ruler');
@@ -157,95 +861,602 @@ class CaptionEditorManager {
         const totalWidth = this.totalDuration * this.timelineScale;
         ruler.style.width = `${totalWidth}px`;
 
-        // Add time markers every 5 seconds
-        for (let time = 0; time <= this.totalDuration; time += 5) {
+        // Draw one screen either side so scrolling doesn't show gaps before the redraw
+        const width = this.timeline.clientWidth;
+        const startTime = Math.max(0, (this.timeline.scrollLeft - width) / this.timelineScale);
+        const endTime = Math.min(this.totalDuration, (this.timeline.scrollLeft + 2 * width) / this.timelineScale);
+        const { major, minor } = this.getRulerIntervals();
+
+        if (minor) {
+            for (let i = Math.ceil(startTime / minor); i * minor <= endTime; i++) {
+                const time = i * minor;
+                if (Math.abs(time / major - Math.round(time / major)) < 1e-6) continue;
+
+                const tick = document.createElement('div');
+                tick.className = 'time-marker minor';
+                tick.style.left = `${time * this.timelineScale}px`;
+                ruler.appendChild(tick);
+            }
+        }
+
+        for (let i = Math.ceil(startTime / major); i * major <= endTime; i++) {
+            const time = i * major;
             const marker = document.createElement('div');
             marker.className = 'time-marker';
             marker.style.left = `${time * this.timelineScale}px`;
-            marker.style.position = 'absolute';
-            marker.style.height = '100%';
-            marker.style.borderLeft = '1px solid var(--border-color)';
-            marker.style.fontSize = '10px';
-            marker.style.paddingLeft = '2px';
-            marker.style.color = 'var(--text-muted)';
-            marker.textContent = Utils.formatTime(time, 'display');
+            marker.textContent = major < 1
+                ? Utils.formatTimecode(time, this.frameRate)
+                : Utils.formatTime(time, 'display');
             ruler.appendChild(marker);
         }
     }
 
     /**
-     * Render captions on timeline
+     * Seconds between labelled markers (at least 80px apart) and between unlabelled ticks
+     */
+    getRulerIntervals() {
+        const frame = 1 / this.frameRate;
+        const frameSteps = [1, 2, 5, 10].map(frames => frames * frame);
+        const majorSteps = [...frameSteps, 1, 2, 5, 10, 15, 30, 60, 120, 300, 600, 900, 1800, 3600];
+        const minorSteps = [...frameSteps, 0.1, 0.25, 0.5, ...majorSteps.slice(frameSteps.length)];
+
+        const major = majorSteps.find(step => step * this.timelineScale >= 80) || 3600;
+        const minor = minorSteps.find(step => step < major && step * this.timelineScale >= 10 &&
+            Math.abs(major / step - Math.round(major / step)) < 1e-6) || null;
+
+        return { major, minor };
+    }
+
+    /**
+     * Draw the captions and cuts into the minimap
+     */
+    renderMinimap() {
+        if (!this.minimap) return;
+
+        this.minimap.setCaptions(this.app.captions.filter(caption => this.isCaptionVisible(caption)), this.totalDuration, {
+            cuts: this.app.shotChanges || [],
+            getColor: (caption) => this.getSpeakerColor(caption.speaker)
+        });
+        this.minimap.setCurrentTime(this.currentTime);
+    }
+
+    /**
+     * Render captions on timeline. Only segments near the visible part of the
+     * timeline are in the DOM; renderVisibleCaptions() adds and removes them as it scrolls.
      */
     renderCaptions() {
         if (!this.timelineContainer) return;
 
         this.timelineContainer.innerHTML = '';
+        this.segmentElements.clear();
 
         // Set container width
         const totalWidth = this.totalDuration * this.timelineScale;
         this.timelineContainer.style.width = `${totalWidth}px`;
         this.timelineContainer.style.minWidth = `${totalWidth}px`;
 
-        // Render each caption
-        this.app.captions.forEach((caption, index) => {
-            const captionElement = this.createCaptionElement(caption, index);
-            this.timelineContainer.appendChild(captionElement);
+        this.renderLanes();
+
+        this.shotLayer = document.createElement('div');
+        this.shotLayer.className = 'timeline-layer';
+        this.segmentLayer = document.createElement('div');
+        this.segmentLayer.className = 'timeline-layer';
+        this.timelineContainer.append(this.shotLayer, this.segmentLayer);
+
+        this.indexCaptions();
+        this.runQualityCheck();
+        this.renderVisibleCaptions();
+        this.updateSelectionPanel();
+    }
+
+    /**
+     * Sort the captions passing the filter by start time, for finding those in view
+     */
+    indexCaptions() {
+        this.captionsById = new Map(this.app.captions.map(caption => [caption.id, caption]));
+
+        // Forget selected captions that were removed
+        this.selectedIds.forEach(id => {
+            if (!this.captionsById.has(id)) this.selectedIds.delete(id);
         });
+
+        this.captionIndex = this.app.captions
+            .filter(caption => this.isCaptionVisible(caption))
+            .sort((a, b) => a.startTime - b.startTime);
+        this.maxCaptionDuration = this.captionIndex.reduce(
+            (longest, caption) => Math.max(longest, caption.endTime - caption.startTime), 0);
+    }
+
+    /**
+     * Time range to keep rendered: the visible part plus a screen either side
+     */
+    getRenderRange() {
+        const width = this.timeline ? this.timeline.clientWidth : 0;
+        const scrollLeft = this.timeline ? this.timeline.scrollLeft : 0;
+
+        return {
+            startTime: Math.max(0, (scrollLeft - width) / this.timelineScale),
+            endTime: (scrollLeft + 2 * width) / this.timelineScale
+        };
+    }
+
+    /**
+     * Index of the first entry of a sorted array whose value is at least the given one
+     */
+    static lowerBound(items, value, getValue = item => item) {
+        let low = 0;
+        let high = items.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (getValue(items[middle]) < value) low = middle + 1;
+            else high = middle;
+        }
+        return low;
+    }
+
+    /**
+     * Shown captions whose segments overlap a time range, by start time
+     */
+    getCaptionsInRange(startTime, endTime) {
+        const minDuration = this.minSegmentWidth / this.timelineScale;
+        const lookback = Math.max(this.maxCaptionDuration, minDuration);
+        const captions = [];
+
+        const first = CaptionEditorManager.lowerBound(this.captionIndex, startTime - lookback, caption => caption.startTime);
+        for (let i = first; i < this.captionIndex.length; i++) {
+            const caption = this.captionIndex[i];
+            if (caption.startTime > endTime) break;
+            if (Math.max(caption.endTime, caption.startTime + minDuration) >= startTime) {
+                captions.push(caption);
+            }
+        }
+
+        return captions;
+    }
+
+    /**
+     * Create segments that scrolled into range and remove those that left it
+     */
+    renderVisibleCaptions() {
+        if (!this.segmentLayer) return;
+
+        const { startTime, endTime } = this.getRenderRange();
+        const inRange = new Set();
+
+        this.getCaptionsInRange(startTime, endTime).forEach(caption => {
+            inRange.add(caption.id);
+            if (!this.segmentElements.has(caption.id)) {
+                const element = this.createCaptionElement(caption);
+                this.segmentElements.set(caption.id, element);
+                this.segmentLayer.appendChild(element);
+            }
+        });
+
+        // Keep the segment being dragged even when it leaves the range
+        const dragged = this.dragState.draggedCaption;
+        this.segmentElements.forEach((element, id) => {
+            if (!inRange.has(id) && !(dragged && dragged.id === id)) {
+                element.remove();
+                this.segmentElements.delete(id);
+            }
+        });
+
+        this.renderShotChanges(startTime, endTime);
+    }
+
+    /**
+     * Bring the timeline up to date after caption times or text changed, without
+     * rebuilding it: rendered segments are updated in place
+     */
+    updateTimelineCaptions() {
+        if (this.calculateTotalDuration() !== this.totalDuration) {
+            this.refreshTimeline();
+            return;
+        }
+
+        this.indexCaptions();
+        this.runQualityCheck();
+        this.segmentElements.forEach((element, id) => {
+            const caption = this.captionsById.get(id);
+            if (caption && this.isCaptionVisible(caption)) {
+                this.updateCaptionElement(element, caption);
+            } else {
+                element.remove();
+                this.segmentElements.delete(id);
+            }
+        });
+
+        this.renderVisibleCaptions();
+        this.renderMinimap();
+        this.updateCaptionOverlay();
+        this.updateSelectionPanel();
+    }
+
+    /**
+     * Speakers in order of first appearance
+     */
+    getSpeakers() {
+        const speakers = [];
+        [...this.app.captions]
+            .sort((a, b) => a.startTime - b.startTime)
+            .forEach(caption => {
+                if (caption.speaker && !speakers.includes(caption.speaker)) {
+                    speakers.push(caption.speaker);
+                }
+            });
+        return speakers;
+    }
+
+    getSpeakerColor(speaker) {
+        const index = this.speakers.indexOf(speaker);
+        return index === -1 ? null : this.speakerColors[index % this.speakerColors.length];
+    }
+
+    /**
+     * Whether a caption passes the speech / sound event filter
+     */
+    isCaptionVisible(caption) {
+        if (this.captionFilter === 'speech') return !Utils.isSoundCaption(caption);
+        if (this.captionFilter === 'sound') return Utils.isSoundCaption(caption);
+        return true;
+    }
+
+    /**
+     * Show all captions, only speech or only sound events
+     */
+    setCaptionFilter(filter) {
+        this.captionFilter = filter;
+
+        // Hidden captions leave the selection
+        const visible = this.getSelectedCaptions().filter(caption => this.isCaptionVisible(caption));
+        if (visible.length < this.selectedIds.size) {
+            const primary = visible.includes(this.selectedCaption) ? this.selectedCaption : visible[0] || null;
+            this.setSelection(new Set(visible.map(caption => caption.id)), primary);
+        }
+
+        this.refreshTimeline();
+    }
+
+    /**
+     * Timeline lanes: one per speaker and one for unlabeled speech, plus one for
+     * sound events. A single shared lane is used when there are neither.
+     */
+    getLanes() {
+        const visible = this.app.captions.filter(caption => this.isCaptionVisible(caption));
+        const speech = visible.filter(caption => !Utils.isSoundCaption(caption));
+        const hasSound = visible.length > speech.length;
+
+        if (this.speakers.length === 0 && !hasSound) return [];
+
+        const lanes = [];
+        if (speech.length > 0) {
+            this.speakers.forEach(speaker => lanes.push({ speaker, label: speaker }));
+            if (speech.some(caption => !caption.speaker)) {
+                lanes.push({ speaker: null, label: this.speakers.length > 0 ? 'No speaker' : 'Speech' });
+            }
+        }
+        if (hasSound) {
+            lanes.push({ sound: true, label: 'Sound events' });
+        }
+
+        return lanes;
+    }
+
+    /**
+     * Lane index for a caption
+     */
+    getCaptionLane(caption) {
+        const isSound = Utils.isSoundCaption(caption);
+        const index = this.lanes.findIndex(lane => isSound
+            ? lane.sound
+            : !lane.sound && lane.speaker === (caption.speaker || null));
+
+        return Math.max(0, index);
+    }
+
+    /**
+     * Draw a lane per speaker (colored) and for sound events behind the caption segments
+     */
+    renderLanes() {
+        this.speakers = this.getSpeakers();
+        this.lanes = this.getLanes();
+
+        if (this.lanes.length === 0) {
+            if (this.timeline) this.timeline.style.height = '';
+            return;
+        }
+
+        const audioLaneHeight = this.isAudioLaneVisible() ? this.audioLaneHeight : 0;
+
+        this.lanes.forEach((laneInfo, index) => {
+            const lane = document.createElement('div');
+            lane.className = laneInfo.sound ? 'speaker-lane sound-lane' : 'speaker-lane';
+            lane.style.top = `${index * this.laneHeight}px`;
+            lane.style.height = `${this.laneHeight}px`;
+            if (laneInfo.speaker) {
+                lane.style.setProperty('--speaker-color', this.getSpeakerColor(laneInfo.speaker));
+            }
+            lane.innerHTML = `<span class="speaker-lane-label">${Utils.sanitizeText(laneInfo.label)}</span>`;
+            this.timelineContainer.appendChild(lane);
+        });
+
+        // Grow the timeline to fit all lanes (30px ruler plus padding) and the audio lane
+        if (this.timeline) {
+            this.timeline.style.height = `${Math.max(200, 30 + this.lanes.length * this.laneHeight + 20) + audioLaneHeight}px`;
+        }
+    }
+
+    /**
+     * Mark detected camera cuts in a time range behind the caption segments
+     */
+    renderShotChanges(startTime, endTime) {
+        if (!this.shotLayer) return;
+
+        this.shotLayer.innerHTML = '';
+        const cuts = this.app.shotChanges || [];
+
+        for (let i = CaptionEditorManager.lowerBound(cuts, startTime); i < cuts.length && cuts[i] <= endTime; i++) {
+            const marker = document.createElement('div');
+            marker.className = 'shot-cut';
+            marker.style.left = `${cuts[i] * this.timelineScale}px`;
+            marker.title = `Shot change at ${Utils.formatTime(cuts[i], 'display')}`;
+            this.shotLayer.appendChild(marker);
+        }
+    }
+
+    /**
+     * Nearest place a dragged caption edge snaps to, as {time, kind, distance}, or null.
+     * Targets are the playhead, shot changes, speech boundaries, and the edges of
+     * other captions less the minimum gap: a start snaps to the gap after a
+     * caption's end, an end to the gap before a caption's start.
+     */
+    findSnapTarget(time, edge) {
+        const tolerance = this.snapDistance / this.timelineScale;
+        const gap = this.minGapFrames / this.frameRate;
+        const candidates = [
+            { time: this.currentTime, kind: 'playhead' },
+            { time: ShotChangeDetector.findNearestCut(time, this.app.shotChanges, tolerance), kind: 'cut' },
+            { time: ShotChangeDetector.findNearestCut(time, this.speechBoundaries, tolerance), kind: 'speech' }
+        ];
+
+        const movingIds = this.getMovingIds();
+        this.getCaptionsInRange(time - tolerance - gap, time + tolerance + gap).forEach(caption => {
+            if (movingIds.has(caption.id)) return;
+            candidates.push({ time: edge === 'start' ? caption.endTime + gap : caption.startTime - gap, kind: 'caption' });
+        });
+
+        let nearest = null;
+        candidates.forEach(candidate => {
+            if (candidate.time === null || candidate.time < 0) return;
+            const distance = Math.abs(candidate.time - time);
+            if (distance <= tolerance && (!nearest || distance < nearest.distance)) {
+                nearest = { ...candidate, distance };
+            }
+        });
+
+        return nearest;
+    }
+
+    /**
+     * Ids of the captions moving in the current drag
+     */
+    getMovingIds() {
+        if (!this.dragState.movingIds) {
+            const { draggedCaption, group, ripple } = this.dragState;
+            this.dragState.movingIds = new Set([
+                ...(draggedCaption ? [draggedCaption.id] : []),
+                ...(group || []).map(item => item.caption.id),
+                ...(ripple || []).map(item => item.caption.id)
+            ]);
+        }
+        return this.dragState.movingIds;
+    }
+
+    /**
+     * Round a time to the nearest frame
+     */
+    snapToFrame(time) {
+        return Math.round(time * this.frameRate) / this.frameRate;
+    }
+
+    /**
+     * Snap an edge being dragged to the nearest target, or else to the frame grid,
+     * and show a guide at the target
+     */
+    snapEdge(time, edge) {
+        const target = this.findSnapTarget(time, edge);
+        this.showSnapGuide(target);
+        return target ? target.time : this.snapToFrame(time);
+    }
+
+    /**
+     * Draw a line across the timeline where an edge snapped, or hide it for null
+     */
+    showSnapGuide(target) {
+        if (!target) {
+            if (this.snapGuide) this.snapGuide.style.display = 'none';
+            return;
+        }
+
+        // Rendering the captions clears the container, guide included
+        if (!this.snapGuide || !this.snapGuide.isConnected) {
+            this.snapGuide = document.createElement('div');
+            this.timelineContainer.appendChild(this.snapGuide);
+        }
+
+        this.snapGuide.className = `snap-guide snap-${target.kind}`;
+        this.snapGuide.style.left = `${target.time * this.timelineScale}px`;
+        this.snapGuide.style.display = '';
+    }
+
+    /**
+     * List speakers with rename inputs
+     */
+    renderSpeakerPanel() {
+        const panel = document.getElementById('speaker-panel');
+        const list = document.getElementById('speaker-list');
+        const options = document.getElementById('speaker-options');
+
+        if (options) {
+            options.innerHTML = this.speakers
+                .map(speaker => `<option value="${Utils.sanitizeText(speaker)}"></option>`)
+                .join('');
+        }
+
+        if (!panel || !list) return;
+
+        panel.style.display = this.speakers.length > 0 ? 'block' : 'none';
+        list.innerHTML = '';
+
+        this.speakers.forEach(speaker => {
+            const row = document.createElement('div');
+            row.className = 'speaker-row';
+            row.innerHTML = `
+                <span class="speaker-swatch" style="background: ${this.getSpeakerColor(speaker)}"></span>
+                <input type="text" class="text-input" aria-label="Speaker name">
+                <span class="speaker-count">${this.app.captions.filter(c => c.speaker === speaker).length}</span>
+            `;
+
+            const input = row.querySelector('input');
+            input.value = speaker;
+            input.addEventListener('change', () => this.renameSpeaker(speaker, input.value));
+
+            list.appendChild(row);
+        });
+    }
+
+    /**
+     * Rename a speaker on every caption; renaming to an existing name merges them
+     */
+    renameSpeaker(oldName, newName) {
+        const name = newName.trim();
+        if (!name || name === oldName) {
+            this.renderSpeakerPanel();
+            return;
+        }
+
+        const merging = this.speakers.includes(name);
+        this.saveUndoState();
+
+        this.app.captions.forEach(caption => {
+            if (caption.speaker === oldName) {
+                caption.speaker = name;
+            }
+        });
+
+        this.refreshTimeline();
+        this.updateCaptionForm();
+        this.app.showToast(merging ? `Merged "${oldName}" into "${name}"` : `Renamed "${oldName}" to "${name}"`, 'success');
+    }
+
+    /**
+     * Update the speaker of the selected caption
+     */
+    updateSelectedCaptionSpeaker() {
+        if (!this.selectedCaption) return;
+
+        const captionSpeaker = document.getElementById('caption-speaker');
+        if (!captionSpeaker) return;
+
+        const speaker = captionSpeaker.value.trim();
+        if ((this.selectedCaption.speaker || '') === speaker) return;
+
+        this.saveUndoState();
+        if (speaker) {
+            this.selectedCaption.speaker = speaker;
+        } else {
+            delete this.selectedCaption.speaker;
+        }
+
+        this.refreshTimeline();
+    }
+
+    /**
+     * Mark or unmark the selected caption as a sound event
+     */
+    updateSelectedCaptionType() {
+        if (!this.selectedCaption) return;
+
+        const captionSound = document.getElementById('caption-sound');
+        if (!captionSound || captionSound.checked === Utils.isSoundCaption(this.selectedCaption)) return;
+
+        this.saveUndoState();
+        if (captionSound.checked) {
+            this.selectedCaption.type = 'sound';
+        } else {
+            delete this.selectedCaption.type;
+            delete this.selectedCaption.soundEvent;
+        }
+
+        if (!this.isCaptionVisible(this.selectedCaption)) {
+            this.selectedIds.delete(this.selectedCaption.id);
+            this.setSelection(this.selectedIds, null);
+        }
+
+        this.refreshTimeline();
     }
 
     /**
      * Create caption element for timeline
      */
-    createCaptionElement(caption, index) {
+    createCaptionElement(caption) {
         const element = document.createElement('div');
-        element.className = 'timeline-segment';
         element.dataset.captionId = caption.id;
-        element.dataset.index = index;
-
-        // Position and size
-        const left = caption.startTime * this.timelineScale;
-        const width = Math.max((caption.endTime - caption.startTime) * this.timelineScale, 30);
-        
-        element.style.left = `${left}px`;
-        element.style.width = `${width}px`;
-        element.style.top = '10px';
-
-        // Content
         element.innerHTML = `
-            <div class="segment-text">${Utils.sanitizeText(caption.text.substring(0, 50))}${caption.text.length > 50 ? '...' : ''}</div>
-            <div class="segment-time">${Utils.formatTime(caption.startTime, 'display')}</div>
+            <div class="segment-text"></div>
+            <div class="segment-time"></div>
+            <div class="segment-badge" hidden></div>
             <div class="resize-handle resize-start"></div>
             <div class="resize-handle resize-end"></div>
         `;
 
-        // Event listeners
-        element.addEventListener('click', (e) => this.selectCaption(caption, element));
-        element.addEventListener('mousedown', (e) => this.handleCaptionMouseDown(e, caption, element));
-
-        // Resize handles
-        const startHandle = element.querySelector('.resize-start');
-        const endHandle = element.querySelector('.resize-end');
+        this.updateCaptionElement(element, caption);
+        return element;
+    }
 
-        if (startHandle) {
-            startHandle.addEventListener('mousedown', (e) => this.handleResizeStart(e, caption, element, 'start'));
+    /**
+     * Set a segment's position, lane, colors and text from its caption
+     */
+    updateCaptionElement(element, caption) {
+        element.className = 'timeline-segment';
+        element.classList.toggle('selected', this.selectedIds.has(caption.id));
+        element.style.top = `${this.getCaptionTop(caption)}px`;
+
+        const speakerColor = this.getSpeakerColor(caption.speaker);
+        delete element.dataset.speaker;
+        element.style.removeProperty('--speaker-color');
+        element.title = '';
+        if (Utils.isSoundCaption(caption)) {
+            element.classList.add('sound-event');
+            element.title = 'Sound event';
+        } else if (speakerColor) {
+            element.dataset.speaker = caption.speaker;
+            element.style.setProperty('--speaker-color', speakerColor);
+            element.title = caption.speaker;
         }
 
-        if (endHandle) {
-            endHandle.addEventListener('mousedown', (e) => this.handleResizeStart(e, caption, element, 'end'));
-        }
+        const displayText = caption.text.substring(0, 50) + (caption.text.length > 50 ? '...' : '');
+        element.querySelector('.segment-text').textContent = displayText;
+        this.updateCaptionBadge(element, caption.id);
 
-        return element;
+        this.updateCaptionElementPosition(caption, element);
+    }
+
+    /**
+     * Offset of a caption's segment from the top of the caption area
+     */
+    getCaptionTop(caption) {
+        return this.lanes.length > 0 ? this.getCaptionLane(caption) * this.laneHeight + 4 : 10;
     }
 
     /**
      * Handle timeline click
      */
     handleTimelineClick(e) {
-        if (this.dragState.isDragging) return;
+        if (this.dragState.isDragging || this.suppressClick) return;
 
         const rect = this.timeline.getBoundingClientRect();
-        const x = e.clientX - rect.left;
-        const time = x / this.timelineScale;
+        const time = this.getTimeAtOffset(e.clientX - rect.left);
 
         this.setCurrentTime(time);
         this.updatePlayhead();
@@ -257,6 +1468,12 @@ class CaptionEditorManager {
     handleTimelineMouseDown(e) {
         if (e.target.closest('.timeline-segment')) return;
 
+        // Dragging across empty caption space selects; the ruler and audio lane scrub
+        if (this.timelineContainer.contains(e.target)) {
+            this.startSelectionBox(e);
+            return;
+        }
+
         // Start timeline scrubbing
         this.dragState.isDragging = true;
         this.dragState.dragType = 'scrub';
@@ -270,13 +1487,28 @@ class CaptionEditorManager {
         if (e.target.classList.contains('resize-handle')) return;
 
         e.stopPropagation();
-        
-        this.selectCaption(caption, element);
+
+        // Shift selects everything from the last clicked caption, Ctrl/Cmd adds or removes one
+        if (e.shiftKey || e.ctrlKey || e.metaKey) {
+            this.selectCaption(caption, e.shiftKey ? 'range' : 'toggle');
+            return;
+        }
+
+        // Dragging one of several selected captions moves them all
+        const isGroup = this.selectedIds.has(caption.id) && this.selectedIds.size > 1;
+        this.selectCaption(caption, isGroup ? 'add' : 'replace');
         
         // Start dragging
         this.dragState.isDragging = true;
         this.dragState.dragType = 'move';
         this.dragState.draggedCaption = caption;
+        this.dragState.undoState = Utils.deepClone(this.app.captions);
+        this.dragState.group = isGroup
+            ? this.getSelectedCaptions().map(selected => ({ caption: selected, startTime: selected.startTime }))
+            : null;
+        this.dragState.ripple = this.rippleMode
+            ? this.getRippleCaptions(isGroup ? this.dragState.group.map(item => item.caption) : [caption])
+            : null;
         this.dragState.startX = e.clientX;
         this.dragState.startTime = this.currentTime;
         this.dragState.originalStartTime = caption.startTime;
@@ -284,6 +1516,7 @@ class CaptionEditorManager {
 
         element.style.cursor = 'grabbing';
         element.style.zIndex = '1000';
+        element.classList.add('dragging');
     }
 
     /**
@@ -292,16 +1525,19 @@ class CaptionEditorManager {
     handleResizeStart(e, caption, element, handle) {
         e.stopPropagation();
         
-        this.selectCaption(caption, element);
+        this.selectCaption(caption, this.selectedIds.has(caption.id) ? 'add' : 'replace');
         
         this.dragState.isDragging = true;
         this.dragState.dragType = handle === 'start' ? 'resize-start' : 'resize-end';
         this.dragState.draggedCaption = caption;
+        this.dragState.undoState = Utils.deepClone(this.app.captions);
+        this.dragState.ripple = this.rippleMode && handle === 'end' ? this.getRippleCaptions([caption]) : null;
         this.dragState.startX = e.clientX;
         this.dragState.originalStartTime = caption.startTime;
         this.dragState.originalEndTime = caption.endTime;
 
         element.style.cursor = 'ew-resize';
+        element.classList.add('dragging');
     }
 
     /**
@@ -310,22 +1546,49 @@ class CaptionEditorManager {
     handleMouseMove(e) {
         if (!this.dragState.isDragging) return;
 
+        // Mice can report moves faster than the screen redraws; apply the latest once per frame
+        this.pendingMouseMove = e;
+        if (this.mouseMoveFrame) return;
+
+        this.mouseMoveFrame = requestAnimationFrame(() => this.flushMouseMove());
+    }
+
+    /**
+     * Apply the latest mouse move to the drag in progress
+     */
+    flushMouseMove() {
+        if (this.mouseMoveFrame) {
+            cancelAnimationFrame(this.mouseMoveFrame);
+            this.mouseMoveFrame = null;
+        }
+
+        const e = this.pendingMouseMove;
+        this.pendingMouseMove = null;
+        if (!e || !this.dragState.isDragging) return;
+
         const deltaX = e.clientX - this.dragState.startX;
         const deltaTime = deltaX / this.timelineScale;
 
+        // Alt (Option) turns snapping off while held
+        const snap = this.snapEnabled && !e.altKey;
+        if (!snap) this.showSnapGuide(null);
+
         switch (this.dragState.dragType) {
             case 'move':
-                this.handleCaptionMove(deltaTime);
+                this.handleCaptionMove(deltaTime, snap);
                 break;
             case 'resize-start':
-                this.handleCaptionResizeStart(deltaTime);
+                this.handleCaptionResizeStart(deltaTime, snap);
                 break;
             case 'resize-end':
-                this.handleCaptionResizeEnd(deltaTime);
+                this.handleCaptionResizeEnd(deltaTime, snap);
                 break;
             case 'scrub':
                 this.handleTimelineScrub(e);
                 break;
+            case 'select':
+                this.updateSelectionBox(e);
+                break;
         }
     }
 
@@ -335,53 +1598,201 @@ class CaptionEditorManager {
     handleMouseUp(e) {
         if (!this.dragState.isDragging) return;
 
-        const caption = this.dragState.draggedCaption;
+        this.flushMouseMove();
+        const { dragType, draggedCaption: caption, group } = this.dragState;
+        const draggedElement = caption && this.segmentElements.get(caption.id);
+        const moved = caption &&
+            (caption.startTime !== this.dragState.originalStartTime || caption.endTime !== this.dragState.originalEndTime);
         
-        if (caption && this.dragState.dragType !== 'scrub') {
-            // Save state for undo
-            this.saveUndoState();
+        if (moved) {
+            // Save the state from before the drag for undo
+            this.saveUndoState(this.dragState.undoState);
             
             // Validate and snap to grid if needed
-            this.validateCaptionTiming(caption);
-            
-            // Update UI
-            this.refreshTimeline();
-            this.updateCaptionForm();
+            (group ? group.map(item => item.caption) : [caption]).forEach(movedCaption => this.validateCaptionTiming(movedCaption));
+        } else if (group) {
+            // Clicking one of several selected captions without dragging selects just that one
+            this.selectCaption(caption);
         }
 
+        if (dragType === 'select') {
+            this.endSelectionBox();
+        }
+        this.showSnapGuide(null);
+
         // Reset drag state
         this.dragState = {
             isDragging: false,
             dragType: null,
             draggedCaption: null,
+            group: null,
+            ripple: null,
+            movingIds: null,
+            baseSelection: null,
+            undoState: null,
             startX: 0,
+            startY: 0,
             startTime: 0,
             originalStartTime: 0,
             originalEndTime: 0
         };
 
         // Reset cursor
-        const draggedElement = document.querySelector('.timeline-segment[style*="grabbing"], .timeline-segment[style*="ew-resize"]');
         if (draggedElement) {
             draggedElement.style.cursor = '';
             draggedElement.style.zIndex = '';
+            draggedElement.classList.remove('dragging');
+        }
+
+        // Update UI
+        if (moved) {
+            this.updateTimelineCaptions();
+            this.updateCaptionForm();
+        }
+    }
+
+    /**
+     * Start a rubber band selection at a mouse down in empty caption space.
+     * Shift or Ctrl/Cmd adds to the current selection instead of replacing it.
+     */
+    startSelectionBox(e) {
+        const rect = this.timelineContainer.getBoundingClientRect();
+        const additive = e.shiftKey || e.ctrlKey || e.metaKey;
+
+        this.dragState.isDragging = true;
+        this.dragState.dragType = 'select';
+        this.dragState.startX = e.clientX - rect.left;
+        this.dragState.startY = e.clientY - rect.top;
+        this.dragState.baseSelection = additive ? new Set(this.selectedIds) : new Set();
+
+        if (!additive) this.clearSelection();
+    }
+
+    /**
+     * Stretch the rubber band to the mouse and select the segments it touches
+     */
+    updateSelectionBox(e) {
+        const rect = this.timelineContainer.getBoundingClientRect();
+        const x = Math.max(0, e.clientX - rect.left);
+        const y = e.clientY - rect.top;
+        const { startX, startY } = this.dragState;
+
+        if (!this.selectionBox) {
+            // A click is not a selection
+            if (Math.abs(x - startX) < 3 && Math.abs(y - startY) < 3) return;
+
+            this.selectionBox = document.createElement('div');
+            this.selectionBox.className = 'selection-box';
+            this.timelineContainer.appendChild(this.selectionBox);
         }
+
+        const left = Math.min(x, startX);
+        const top = Math.min(y, startY);
+        const width = Math.abs(x - startX);
+        const height = Math.abs(y - startY);
+
+        this.selectionBox.style.left = `${left}px`;
+        this.selectionBox.style.top = `${top}px`;
+        this.selectionBox.style.width = `${width}px`;
+        this.selectionBox.style.height = `${height}px`;
+
+        const ids = new Set(this.dragState.baseSelection);
+        let primary = null;
+        this.getCaptionsInRange(left / this.timelineScale, (left + width) / this.timelineScale).forEach(caption => {
+            const captionTop = this.getCaptionTop(caption);
+            if (captionTop > top + height || captionTop + this.segmentHeight < top) return;
+
+            ids.add(caption.id);
+            primary = primary || caption;
+        });
+
+        this.setSelection(ids, primary || this.selectedCaption);
+    }
+
+    /**
+     * Remove the rubber band at the end of a selection
+     */
+    endSelectionBox() {
+        if (!this.selectionBox) return;
+
+        this.selectionBox.remove();
+        this.selectionBox = null;
+
+        // The click that ends the selection shouldn't also move the playhead
+        this.suppressClick = true;
+        setTimeout(() => {
+            this.suppressClick = false;
+        });
     }
 
     /**
      * Handle caption move
      */
-    handleCaptionMove(deltaTime) {
+    handleCaptionMove(deltaTime, snap = false) {
         const caption = this.dragState.draggedCaption;
         if (!caption) return;
 
         const duration = caption.endTime - caption.startTime;
-        const newStartTime = Math.max(0, this.dragState.originalStartTime + deltaTime);
-        const newEndTime = newStartTime + duration;
+        let newStartTime = Math.max(0, this.dragState.originalStartTime + deltaTime);
+
+        // Snap whichever edge is closer to a target, or else the start to a frame
+        if (snap) {
+            const startTarget = this.findSnapTarget(newStartTime, 'start');
+            const endTarget = this.findSnapTarget(newStartTime + duration, 'end');
+            if (startTarget && (!endTarget || startTarget.distance <= endTarget.distance)) {
+                newStartTime = startTarget.time;
+                this.showSnapGuide(startTarget);
+            } else if (endTarget && endTarget.time - duration >= 0) {
+                newStartTime = endTarget.time - duration;
+                this.showSnapGuide(endTarget);
+            } else {
+                newStartTime = this.snapToFrame(newStartTime);
+                this.showSnapGuide(null);
+            }
+        }
 
-        // Update caption timing
-        caption.startTime = newStartTime;
-        caption.endTime = newEndTime;
+        // The rest of a group moves by as much, without any caption going before zero
+        const group = this.dragState.group || [{ caption, startTime: this.dragState.originalStartTime }];
+        const earliestStart = Math.min(...group.map(item => item.startTime));
+        const offset = Math.max(newStartTime - this.dragState.originalStartTime, -earliestStart);
+
+        group.forEach(item => this.moveCaption(item.caption, item.startTime + offset));
+        this.moveRippleCaptions(offset);
+    }
+
+    /**
+     * Captions starting at or after the first of the given ones, which ripple mode moves along with them
+     */
+    getRippleCaptions(moving) {
+        const ids = new Set(moving.map(caption => caption.id));
+        const from = moving.reduce((earliest, caption) => Math.min(earliest, caption.startTime), Infinity);
+
+        return this.app.captions
+            .filter(caption => !ids.has(caption.id) && caption.startTime >= from)
+            .map(caption => ({ caption, startTime: caption.startTime }));
+    }
+
+    /**
+     * Move the rippling captions by an offset from where the drag started
+     */
+    moveRippleCaptions(offset) {
+        if (!this.dragState.ripple) return;
+
+        this.dragState.ripple.forEach(item => this.moveCaption(item.caption, Math.max(0, item.startTime + offset)));
+
+        // Captions may have moved into view
+        this.renderVisibleCaptions();
+    }
+
+    /**
+     * Move a caption to a new start time, keeping its duration and word timings
+     */
+    moveCaption(caption, startTime) {
+        const offset = startTime - caption.startTime;
+
+        caption.words = Utils.offsetWords(caption.words, offset);
+        caption.startTime = startTime;
+        caption.endTime += offset;
 
         // Update visual representation
         this.updateCaptionElementPosition(caption);
@@ -390,11 +1801,12 @@ class CaptionEditorManager {
     /**
      * Handle caption resize start
      */
-    handleCaptionResizeStart(deltaTime) {
+    handleCaptionResizeStart(deltaTime, snap = false) {
         const caption = this.dragState.draggedCaption;
         if (!caption) return;
 
-        const newStartTime = Math.max(0, this.dragState.originalStartTime + deltaTime);
+        let newStartTime = Math.max(0, this.dragState.originalStartTime + deltaTime);
+        if (snap) newStartTime = this.snapEdge(newStartTime, 'start');
         const minDuration = 0.1; // Minimum 100ms duration
 
         if (newStartTime < caption.endTime - minDuration) {
@@ -406,13 +1818,16 @@ class CaptionEditorManager {
     /**
      * Handle caption resize end
      */
-    handleCaptionResizeEnd(deltaTime) {
+    handleCaptionResizeEnd(deltaTime, snap = false) {
         const caption = this.dragState.draggedCaption;
         if (!caption) return;
 
-        const newEndTime = Math.max(caption.startTime + 0.1, this.dragState.originalEndTime + deltaTime);
+        let newEndTime = this.dragState.originalEndTime + deltaTime;
+        if (snap) newEndTime = this.snapEdge(newEndTime, 'end');
+        newEndTime = Math.max(caption.startTime + 0.1, newEndTime);
         caption.endTime = newEndTime;
         this.updateCaptionElementPosition(caption);
+        this.moveRippleCaptions(newEndTime - this.dragState.originalEndTime);
     }
 
     /**
@@ -420,8 +1835,7 @@ class CaptionEditorManager {
      */
     handleTimelineScrub(e) {
         const rect = this.timeline.getBoundingClientRect();
-        const x = e.clientX - rect.left;
-        const time = Math.max(0, x / this.timelineScale);
+        const time = this.getTimeAtOffset(e.clientX - rect.left);
 
         this.setCurrentTime(time);
         this.updatePlayhead();
@@ -430,8 +1844,7 @@ class CaptionEditorManager {
     /**
      * Update caption element position
      */
-    updateCaptionElementPosition(caption) {
-        const element = document.querySelector(`[data-caption-id="${caption.id}"]`);
+    updateCaptionElementPosition(caption, element = this.segmentElements.get(caption.id)) {
         if (!element) return;
 
         const left = caption.startTime * this.timelineScale;
@@ -448,23 +1861,90 @@ class CaptionEditorManager {
     }
 
     /**
-     * Select caption
+     * Select a caption. The mode is 'replace' (just this caption), 'add', 'toggle'
+     * (add or remove it), or 'range' (the shown captions from the last one clicked to this one).
      */
-    selectCaption(caption, element) {
-        // Deselect previous
-        const previousSelected = document.querySelector('.timeline-segment.selected');
-        if (previousSelected) {
-            previousSelected.classList.remove('selected');
+    selectCaption(caption, mode = 'replace') {
+        if (!caption) {
+            this.clearSelection();
+            return;
         }
 
-        // Select new
-        if (element) {
-            element.classList.add('selected');
+        let ids = mode === 'replace' ? new Set() : new Set(this.selectedIds);
+        let primary = caption;
+
+        if (mode === 'toggle' && ids.has(caption.id)) {
+            ids.delete(caption.id);
+            primary = this.selectedCaption && ids.has(this.selectedCaption.id)
+                ? this.selectedCaption
+                : this.getSelectedCaptions().find(selected => ids.has(selected.id)) || null;
+        } else if (mode === 'range') {
+            const from = this.captionIndex.findIndex(shown => shown.id === this.selectionAnchorId);
+            const to = this.captionIndex.indexOf(caption);
+            ids = from === -1 || to === -1
+                ? new Set([caption.id])
+                : new Set(this.captionIndex.slice(Math.min(from, to), Math.max(from, to) + 1).map(shown => shown.id));
+        } else {
+            ids.add(caption.id);
+        }
+
+        if (mode !== 'range') {
+            this.selectionAnchorId = caption.id;
         }
 
-        this.selectedCaption = caption;
-        this.app.selectedCaption = caption;
+        this.setSelection(ids, primary);
+    }
+
+    /**
+     * Replace the selection; primary is the caption shown in the edit form
+     */
+    setSelection(ids, primary = null) {
+        this.selectedIds = ids;
+        this.selectedCaption = primary;
+        this.app.selectedCaption = primary;
+
+        this.segmentElements.forEach((element, id) => {
+            element.classList.toggle('selected', ids.has(id));
+        });
+
         this.updateCaptionForm();
+        this.updateSelectionPanel();
+    }
+
+    clearSelection() {
+        this.setSelection(new Set(), null);
+    }
+
+    /**
+     * Select every caption shown on the timeline
+     */
+    selectAllCaptions() {
+        this.setSelection(new Set(this.captionIndex.map(caption => caption.id)), this.selectedCaption || this.captionIndex[0] || null);
+    }
+
+    /**
+     * Selected captions by start time
+     */
+    getSelectedCaptions() {
+        return this.app.captions
+            .filter(caption => this.selectedIds.has(caption.id))
+            .sort((a, b) => a.startTime - b.startTime);
+    }
+
+    /**
+     * Show the bulk actions while captions are selected
+     */
+    updateSelectionPanel() {
+        const panel = document.getElementById('selection-panel');
+        if (!panel) return;
+
+        const count = this.selectedIds.size;
+        panel.style.display = count > 0 ? 'block' : 'none';
+
+        const countLabel = document.getElementById('selection-count');
+        if (countLabel) {
+            countLabel.textContent = `${count} caption${count !== 1 ? 's' : ''} selected`;
+        }
     }
 
     /**
@@ -474,15 +1954,21 @@ class CaptionEditorManager {
         const captionText = document.getElementById('caption-text');
         const startTime = document.getElementById('start-time');
         const endTime = document.getElementById('end-time');
+        const captionSpeaker = document.getElementById('caption-speaker');
+        const captionSound = document.getElementById('caption-sound');
 
         if (this.selectedCaption) {
             if (captionText) captionText.value = this.selectedCaption.text;
             if (startTime) startTime.value = Utils.formatTime(this.selectedCaption.startTime);
             if (endTime) endTime.value = Utils.formatTime(this.selectedCaption.endTime);
+            if (captionSpeaker) captionSpeaker.value = this.selectedCaption.speaker || '';
+            if (captionSound) captionSound.checked = Utils.isSoundCaption(this.selectedCaption);
         } else {
             if (captionText) captionText.value = '';
             if (startTime) startTime.value = '';
             if (endTime) endTime.value = '';
+            if (captionSpeaker) captionSpeaker.value = '';
+            if (captionSound) captionSound.checked = false;
         }
     }
 
@@ -496,9 +1982,10 @@ class CaptionEditorManager {
         if (captionText) {
             this.saveUndoState();
             this.selectedCaption.text = captionText.value;
+            this.selectedCaption.words = Utils.reconcileWords(this.selectedCaption.words, captionText.value);
             
             // Update timeline display
-            const element = document.querySelector(`[data-caption-id="${this.selectedCaption.id}"]`);
+            const element = this.segmentElements.get(this.selectedCaption.id);
             if (element) {
                 const textElement = element.querySelector('.segment-text');
                 if (textElement) {
@@ -506,6 +1993,8 @@ class CaptionEditorManager {
                     textElement.textContent = displayText + (this.selectedCaption.text.length > 50 ? '...' : '');
                 }
             }
+
+            this.scheduleQualityCheck();
         }
     }
 
@@ -528,7 +2017,7 @@ class CaptionEditorManager {
             this.selectedCaption.endTime = newEndTime;
 
             this.validateCaptionTiming(this.selectedCaption);
-            this.refreshTimeline();
+            this.updateTimelineCaptions();
         }
     }
 
@@ -583,6 +2072,12 @@ class CaptionEditorManager {
     setCurrentTime(time) {
         this.currentTime = Math.max(0, Math.min(time, this.totalDuration));
         this.updateTimeDisplay();
+        this.updateCaptionOverlay();
+
+        // Seek the media to match clicks and scrubs
+        if (this.hasMedia() && Math.abs(this.media.currentTime - this.currentTime) > 0.01) {
+            this.media.currentTime = Math.min(this.currentTime, this.media.duration || this.currentTime);
+        }
     }
 
     /**
@@ -616,6 +2111,9 @@ class CaptionEditorManager {
 
         const left = this.currentTime * this.timelineScale;
         this.playhead.style.left = `${left}px`;
+
+        if (this.isPlaying) this.followPlayhead();
+        if (this.minimap) this.minimap.setCurrentTime(this.currentTime);
     }
 
     /**
@@ -635,8 +2133,13 @@ class CaptionEditorManager {
     startPlayback() {
         this.isPlaying = true;
         this.updatePlayButton();
+
+        if (this.hasMedia()) {
+            this.startMediaPlayback();
+            return;
+        }
         
-        // Simple playback simulation
+        // Without media, just advance the playhead in real time
         this.playbackInterval = setInterval(() => {
             this.currentTime += 0.1;
             if (this.currentTime >= this.totalDuration) {
@@ -648,6 +2151,32 @@ class CaptionEditorManager {
         }, 100);
     }
 
+    /**
+     * Play the media from the playhead and move the playhead with it every frame
+     */
+    startMediaPlayback() {
+        if (this.media.ended || this.currentTime >= this.media.duration) {
+            this.setCurrentTime(0);
+        }
+        this.media.currentTime = this.currentTime;
+
+        this.media.play().catch(error => {
+            console.warn('Media playback failed:', error);
+            this.pausePlayback();
+        });
+
+        const tick = () => {
+            if (!this.isPlaying) return;
+
+            this.currentTime = this.media.currentTime;
+            this.updateTimeDisplay();
+            this.updatePlayhead();
+            this.updateCaptionOverlay();
+            this.playbackFrame = requestAnimationFrame(tick);
+        };
+        this.playbackFrame = requestAnimationFrame(tick);
+    }
+
     /**
      * Pause playback
      */
@@ -659,6 +2188,15 @@ class CaptionEditorManager {
             clearInterval(this.playbackInterval);
             this.playbackInterval = null;
         }
+
+        if (this.playbackFrame) {
+            cancelAnimationFrame(this.playbackFrame);
+            this.playbackFrame = null;
+        }
+
+        if (this.media && !this.media.paused) {
+            this.media.pause();
+        }
     }
 
     /**
@@ -715,32 +2253,31 @@ class CaptionEditorManager {
      * Merge selected captions
      */
     mergeCaptions() {
-        const selectedElements = document.querySelectorAll('.timeline-segment.selected');
-        if (selectedElements.length < 2) {
-            this.app.showToast('Select at least two captions to merge', 'warning');
+        const selectedCaptions = this.getSelectedCaptions();
+        if (selectedCaptions.length < 2) {
+            this.app.showToast('Select at least two captions to merge (Shift or Ctrl/Cmd + click)', 'warning');
             return;
         }
 
         this.saveUndoState();
 
-        // Get selected captions
-        const selectedCaptions = Array.from(selectedElements).map(el => {
-            const id = el.dataset.captionId;
-            return this.app.captions.find(c => c.id === id);
-        }).filter(Boolean);
-
-        // Sort by start time
-        selectedCaptions.sort((a, b) => a.startTime - b.startTime);
-
         // Create merged caption
         const mergedCaption = {
             id: Utils.generateId(),
             text: selectedCaptions.map(c => c.text).join(' '),
             startTime: selectedCaptions[0].startTime,
             endTime: selectedCaptions[selectedCaptions.length - 1].endTime,
-            language: selectedCaptions[0].language
+            language: selectedCaptions[0].language,
+            speaker: selectedCaptions[0].speaker,
+            words: Utils.concatWords(selectedCaptions)
         };
 
+        // Merging only sound events keeps a sound event
+        if (selectedCaptions.every(caption => Utils.isSoundCaption(caption))) {
+            mergedCaption.type = 'sound';
+            mergedCaption.text = [...new Set(selectedCaptions.map(c => c.text))].join(' ');
+        }
+
         // Remove original captions and add merged one
         selectedCaptions.forEach(caption => {
             const index = this.app.captions.findIndex(c => c.id === caption.id);
@@ -753,30 +2290,200 @@ class CaptionEditorManager {
         this.app.captions.sort((a, b) => a.startTime - b.startTime);
 
         this.refreshTimeline();
-        this.selectCaption(mergedCaption, null);
+        this.selectCaption(mergedCaption);
         this.app.showToast('Captions merged successfully', 'success');
     }
 
     /**
-     * Delete selected caption
+     * Delete the selected captions
      */
     deleteCaption() {
-        if (!this.selectedCaption) {
+        const count = this.getSelectedCaptions().length;
+        if (count === 0) {
             this.app.showToast('Select a caption to delete', 'warning');
             return;
         }
 
         this.saveUndoState();
 
-        const index = this.app.captions.findIndex(c => c.id === this.selectedCaption.id);
-        if (index !== -1) {
-            this.app.captions.splice(index, 1);
-            this.selectedCaption = null;
-            this.app.selectedCaption = null;
-            this.refreshTimeline();
-            this.updateCaptionForm();
-            this.app.showToast('Caption deleted', 'success');
+        this.app.captions = this.app.captions.filter(caption => !this.selectedIds.has(caption.id));
+        this.clearSelection();
+        this.refreshTimeline();
+        this.app.showToast(count === 1 ? 'Caption deleted' : `${count} captions deleted`, 'success');
+    }
+
+    /**
+     * Move the selected captions by an offset in seconds, as one undo step
+     */
+    shiftSelectedCaptions(offset) {
+        const selected = this.getSelectedCaptions();
+        if (selected.length === 0) {
+            this.app.showToast('Select captions to shift', 'warning');
+            return;
+        }
+        if (!Number.isFinite(offset) || offset === 0) {
+            this.app.showToast('Enter the number of milliseconds to shift by', 'warning');
+            return;
+        }
+
+        const applied = this.shiftCaptions(selected, offset, { resolveOverlaps: true });
+        this.reportShift(selected.length, applied);
+    }
+
+    /**
+     * Move every caption by an offset in seconds, as one undo step
+     */
+    shiftAllCaptions(offset) {
+        if (this.app.captions.length === 0) {
+            this.app.showToast('No captions to shift', 'warning');
+            return;
+        }
+        if (!Number.isFinite(offset) || offset === 0) {
+            this.app.showToast('Enter the number of milliseconds to shift by', 'warning');
+            return;
+        }
+
+        const applied = this.shiftCaptions(this.app.captions, offset);
+        this.reportShift(this.app.captions.length, applied);
+    }
+
+    /**
+     * Move captions by an offset in seconds as one undo step, keeping them at or
+     * after 0. Returns the offset applied.
+     */
+    shiftCaptions(captions, offset, { resolveOverlaps = false } = {}) {
+        const earliestStart = captions.reduce((earliest, caption) => Math.min(earliest, caption.startTime), Infinity);
+        const applied = Math.max(offset, -earliestStart);
+        if (captions.length === 0 || applied === 0) return 0;
+
+        this.saveUndoState();
+        captions.forEach(caption => this.moveCaption(caption, caption.startTime + applied));
+        if (resolveOverlaps) {
+            captions.forEach(caption => this.validateCaptionTiming(caption));
+        }
+
+        this.refreshTimeline();
+        this.updateCaptionForm();
+        return applied;
+    }
+
+    reportShift(count, applied) {
+        if (applied === 0) {
+            this.app.showToast('The captions already start at 0:00', 'info');
+            return;
+        }
+
+        const milliseconds = Math.round(applied * 1000);
+        this.app.showToast(`Shifted ${count} caption${count !== 1 ? 's' : ''} by ${milliseconds > 0 ? '+' : ''}${milliseconds} ms`, 'success');
+    }
+
+    /**
+     * Push every caption starting at or after the playhead later by a duration in seconds
+     */
+    insertGapAtPlayhead(duration) {
+        if (!Number.isFinite(duration) || duration <= 0) {
+            this.app.showToast('Enter a positive number of milliseconds for the gap', 'warning');
+            return;
+        }
+
+        const after = this.app.captions.filter(caption => caption.startTime >= this.currentTime);
+        if (after.length === 0) {
+            this.app.showToast('No captions after the playhead', 'info');
+            return;
+        }
+
+        this.shiftCaptions(after, duration);
+        this.app.showToast(`Inserted ${Math.round(duration * 1000)} ms at ${Utils.formatTime(this.currentTime, 'display')}`, 'success');
+    }
+
+    /**
+     * Pull every caption after the playhead earlier, closing up to a duration in seconds
+     * of the empty space the playhead is in (all of it for 0)
+     */
+    removeGapAtPlayhead(duration) {
+        const time = this.currentTime;
+        if (this.app.captions.some(caption => caption.startTime < time && caption.endTime > time)) {
+            this.app.showToast('Move the playhead into the gap to remove', 'warning');
+            return;
+        }
+
+        const after = this.app.captions.filter(caption => caption.startTime >= time);
+        if (after.length === 0) {
+            this.app.showToast('No captions after the playhead', 'info');
+            return;
+        }
+
+        const gapStart = this.app.captions
+            .filter(caption => caption.startTime < time)
+            .reduce((latest, caption) => Math.max(latest, caption.endTime), 0);
+        const gapEnd = after.reduce((earliest, caption) => Math.min(earliest, caption.startTime), Infinity);
+        const gap = gapEnd - gapStart;
+        const removed = Number.isFinite(duration) && duration > 0 ? Math.min(duration, gap) : gap;
+
+        if (removed <= 0) {
+            this.app.showToast('There is no gap at the playhead', 'info');
+            return;
+        }
+
+        this.shiftCaptions(after, -removed);
+        this.app.showToast(`Removed ${Math.round(removed * 1000)} ms at ${Utils.formatTime(time, 'display')}`, 'success');
+    }
+
+    /**
+     * Apply a change to every selected caption as one undo step
+     */
+    updateSelectedCaptions(update, message) {
+        const selected = this.getSelectedCaptions();
+        if (selected.length === 0) {
+            this.app.showToast('Select captions first', 'warning');
+            return;
         }
+
+        this.saveUndoState();
+        selected.forEach(update);
+
+        this.refreshTimeline();
+        this.updateCaptionForm();
+        this.app.showToast(`${message} for ${selected.length} caption${selected.length !== 1 ? 's' : ''}`, 'success');
+    }
+
+    setSelectedLanguage(language) {
+        if (!language) return;
+        this.updateSelectedCaptions(caption => {
+            caption.language = language;
+        }, `Language set to ${Utils.getLanguageNames()[language] || language}`);
+    }
+
+    /**
+     * Set the speaker of the selected captions; an empty name removes it
+     */
+    setSelectedSpeaker(name) {
+        const speaker = name.trim();
+        this.updateSelectedCaptions(caption => {
+            if (speaker) {
+                caption.speaker = speaker;
+            } else {
+                delete caption.speaker;
+            }
+        }, speaker ? `Speaker set to "${speaker}"` : 'Speaker removed');
+    }
+
+    /**
+     * Set the italic and position overrides of the selected captions; they
+     * otherwise use the styling tab's settings
+     */
+    setSelectedStyle({ italic = false, position = '' }) {
+        const style = {};
+        if (italic) style.italic = true;
+        if (position) style.position = position;
+
+        this.updateSelectedCaptions(caption => {
+            if (Object.keys(style).length > 0) {
+                caption.style = { ...style };
+            } else {
+                delete caption.style;
+            }
+        }, 'Style applied');
     }
 
     /**
@@ -793,11 +2500,17 @@ class CaptionEditorManager {
             language: 'en-US'
         };
 
+        // Add a sound event while only sound events are shown
+        if (this.captionFilter === 'sound') {
+            newCaption.text = '[SOUND]';
+            newCaption.type = 'sound';
+        }
+
         this.app.captions.push(newCaption);
         this.app.captions.sort((a, b) => a.startTime - b.startTime);
         
         this.refreshTimeline();
-        this.selectCaption(newCaption, null);
+        this.selectCaption(newCaption);
         this.app.showToast('New caption added', 'success');
     }
 
@@ -812,6 +2525,8 @@ class CaptionEditorManager {
 
         this.updateSelectedCaptionText();
         this.updateSelectedCaptionTiming();
+        this.updateSelectedCaptionSpeaker();
+        this.updateSelectedCaptionType();
         this.app.showToast('Caption saved', 'success');
     }
 
@@ -838,6 +2553,7 @@ class CaptionEditorManager {
         this.app.captions.forEach(caption => {
             if (caption.text.includes(searchText)) {
                 caption.text = caption.text.replace(searchText, replaceText);
+                caption.words = Utils.reconcileWords(caption.words, caption.text);
                 replacedCount++;
             }
         });
@@ -875,6 +2591,7 @@ class CaptionEditorManager {
         this.app.captions.forEach(caption => {
             const originalText = caption.text;
             caption.text = caption.text.replace(new RegExp(searchText, 'g'), replaceText);
+            caption.words = Utils.reconcileWords(caption.words, caption.text);
             const replacements = (originalText.match(new RegExp(searchText, 'g')) || []).length;
             totalReplacements += replacements;
         });
@@ -889,11 +2606,237 @@ class CaptionEditorManager {
         }
     }
 
+    /**
+     * Open the resync dialog with the first and last selected captions (or the
+     * first and last captions) as the two points
+     */
+    openResyncDialog() {
+        if (!this.resyncModal) return;
+        if (this.app.captions.length === 0) {
+            this.app.showToast('No captions to resync', 'warning');
+            return;
+        }
+
+        const captions = [...this.app.captions].sort((a, b) => a.startTime - b.startTime);
+        const options = captions.map((caption, index) => {
+            const text = caption.text.length > 40 ? `${caption.text.substring(0, 40)}...` : caption.text;
+            return `<option value="${caption.id}">${index + 1}. ${Utils.formatTime(caption.startTime, 'display')} ${Utils.sanitizeText(text)}</option>`;
+        }).join('');
+
+        const selected = this.getSelectedCaptions();
+        const points = selected.length >= 2
+            ? [selected[0], selected[selected.length - 1]]
+            : [captions[0], captions[captions.length - 1]];
+
+        points.forEach((caption, index) => {
+            const select = document.getElementById(`resync-caption-${index + 1}`);
+            const timeInput = document.getElementById(`resync-time-${index + 1}`);
+            if (select) {
+                select.innerHTML = options;
+                select.value = caption.id;
+            }
+            if (timeInput) timeInput.value = Utils.formatTime(caption.startTime);
+        });
+
+        this.updateResyncPreview();
+        this.app.showModal(this.resyncModal);
+    }
+
+    /**
+     * Transform described by the resync dialog; throws when its input is unusable
+     */
+    getResyncTransform() {
+        if (document.getElementById('resync-mode')?.value === 'frame-rate') {
+            return CaptionResync.fromFrameRates(
+                Number(document.getElementById('resync-source-rate')?.value),
+                Number(document.getElementById('resync-target-rate')?.value));
+        }
+
+        const [first, second] = [1, 2].map(point => {
+            const caption = this.captionsById.get(document.getElementById(`resync-caption-${point}`)?.value);
+            if (!caption) {
+                throw Utils.createError('Pick two captions', 'RESYNC_NO_CAPTION');
+            }
+            return { from: caption.startTime, to: Utils.parseTime(document.getElementById(`resync-time-${point}`)?.value) };
+        });
+
+        return CaptionResync.fromTwoPoints(first, second);
+    }
+
+    /**
+     * Show how the resync would move each caption
+     */
+    updateResyncPreview() {
+        const summary = document.getElementById('resync-summary');
+        const rows = document.getElementById('resync-preview-rows');
+        const applyButton = document.getElementById('resync-apply');
+        if (!summary || !rows) return;
+
+        const formatChange = seconds => `${seconds < 0 ? '-' : '+'}${Math.abs(seconds).toFixed(3)} s`;
+
+        let transform;
+        try {
+            transform = this.getResyncTransform();
+        } catch (error) {
+            summary.textContent = error.message;
+            rows.innerHTML = '';
+            if (applyButton) applyButton.disabled = true;
+            return;
+        }
+
+        const diff = CaptionResync.diff(this.app.captions, transform);
+        const changed = diff.filter(entry => Math.abs(entry.change) >= 0.001);
+        const largest = changed.reduce((max, entry) => Math.max(max, Math.abs(entry.change)), 0);
+
+        summary.textContent = changed.length === 0
+            ? 'No caption would move.'
+            : `Times are scaled by ${transform.scale.toFixed(5)} and moved by ${formatChange(transform.offset)}. ` +
+              `${changed.length} of ${diff.length} captions move, by up to ${largest.toFixed(3)} s.`;
+        if (applyButton) applyButton.disabled = changed.length === 0;
+
+        const row = (entry, index) => `
+            <tr>
+                <td>${index + 1}</td>
+                <td>${Utils.sanitizeText(entry.caption.text)}</td>
+                <td>${Utils.formatTime(entry.caption.startTime)}</td>
+                <td>${Utils.formatTime(entry.startTime)}</td>
+                <td>${formatChange(entry.change)}</td>
+            </tr>`;
+
+        // Long files show both ends, where the drift is smallest and largest
+        const limit = this.resyncPreviewRows;
+        if (diff.length <= limit * 2) {
+            rows.innerHTML = diff.map(row).join('');
+        } else {
+            rows.innerHTML = diff.slice(0, limit).map(row).join('') +
+                `<tr><td colspan="5">... ${diff.length - limit * 2} more ...</td></tr>` +
+                diff.slice(-limit).map((entry, i) => row(entry, diff.length - limit + i)).join('');
+        }
+    }
+
+    /**
+     * Retime every caption as the resync dialog describes, as one undo step
+     */
+    applyResync() {
+        let transform;
+        try {
+            transform = this.getResyncTransform();
+        } catch (error) {
+            this.app.showToast(error.message, 'warning');
+            return;
+        }
+
+        this.saveUndoState();
+        this.app.captions = this.app.captions.map(caption => CaptionResync.transformCaption(caption, transform));
+
+        this.clearSelection();
+        this.refreshTimeline();
+        this.app.hideModal(this.resyncModal);
+        this.app.showToast(`Resynced ${this.app.captions.length} caption${this.app.captions.length !== 1 ? 's' : ''}`, 'success');
+    }
+
+    /**
+     * Propose fixes for the problems found with the current guidelines and show them for review
+     */
+    openAutoFixDialog() {
+        if (!this.autoFixModal) return;
+
+        const fixer = new CaptionAutoFixer(this.qualityChecker.rules);
+        const duration = this.hasMedia() && Number.isFinite(this.media.duration) ? this.media.duration : null;
+        this.autoFixProposals = fixer.propose(this.app.captions, { frameRate: this.frameRate, duration });
+
+        if (this.autoFixProposals.length === 0) {
+            this.app.showToast('Nothing to fix automatically', 'info');
+            return;
+        }
+
+        this.renderAutoFixList();
+        this.app.showModal(this.autoFixModal);
+    }
+
+    /**
+     * List each proposed fix with the captions before and after it
+     */
+    renderAutoFixList() {
+        const summary = document.getElementById('autofix-summary');
+        const list = document.getElementById('autofix-list');
+        if (!list) return;
+
+        const count = this.autoFixProposals.length;
+        if (summary) {
+            summary.textContent = `${count} proposed change${count !== 1 ? 's' : ''}`;
+        }
+
+        const describe = captions => captions
+            .map(caption => `<span class="autofix-time">${Utils.formatTime(caption.startTime)} → ${Utils.formatTime(caption.endTime)}</span>${Utils.sanitizeText(caption.text)}`)
+            .join('');
+
+        list.innerHTML = '';
+        this.autoFixProposals.slice(0, this.maxProblemRows).forEach(proposal => {
+            const item = document.createElement('li');
+            item.className = 'autofix-item';
+            item.innerHTML = `
+                <div class="autofix-changes">${Utils.sanitizeText(proposal.changes.join('; '))}</div>
+                <div class="autofix-diff">
+                    <div class="autofix-before">${describe(proposal.before)}</div>
+                    <div class="autofix-after">${describe(proposal.after)}</div>
+                </div>
+                <button type="button" class="btn btn-secondary">Accept</button>
+            `;
+            item.querySelector('button').addEventListener('click', () => this.acceptAutoFixes([proposal]));
+            list.appendChild(item);
+        });
+
+        if (count > this.maxProblemRows) {
+            const more = document.createElement('li');
+            more.className = 'autofix-more';
+            more.textContent = `…and ${count - this.maxProblemRows} more, included in Accept All`;
+            list.appendChild(more);
+        }
+    }
+
+    /**
+     * Apply proposed fixes as one undo step. Fixes whose captions were changed
+     * since they were proposed are dropped.
+     */
+    acceptAutoFixes(proposals) {
+        const current = proposals.filter(proposal =>
+            proposal.before.every(caption => this.captionsById.get(caption.id) === caption));
+
+        if (current.length < proposals.length) {
+            const stale = new Set(proposals.filter(proposal => !current.includes(proposal)));
+            this.autoFixProposals = this.autoFixProposals.filter(proposal => !stale.has(proposal));
+            this.app.showToast('Some captions changed since the fixes were proposed; those fixes were skipped', 'warning');
+        }
+
+        if (current.length > 0) {
+            this.saveUndoState();
+
+            const replaced = new Set(current.flatMap(proposal => proposal.before.map(caption => caption.id)));
+            this.app.captions = this.app.captions
+                .filter(caption => !replaced.has(caption.id))
+                .concat(current.flatMap(proposal => proposal.after))
+                .sort((a, b) => a.startTime - b.startTime);
+
+            const accepted = new Set(current);
+            this.autoFixProposals = this.autoFixProposals.filter(proposal => !accepted.has(proposal));
+
+            this.clearSelection();
+            this.refreshTimeline();
+            this.app.showToast(`Applied ${current.length} fix${current.length !== 1 ? 'es' : ''}`, 'success');
+        }
+
+        if (this.autoFixProposals.length === 0) {
+            this.app.hideModal(this.autoFixModal);
+        } else {
+            this.renderAutoFixList();
+        }
+    }
+
     /**
      * Save state for undo
      */
-    saveUndoState() {
-        const state = Utils.deepClone(this.app.captions);
+    saveUndoState(state = Utils.deepClone(this.app.captions)) {
         this.undoStack.push(state);
         
         if (this.undoStack.length > this.maxUndoSteps) {
@@ -921,10 +2864,8 @@ class CaptionEditorManager {
         const previousState = this.undoStack.pop();
         this.app.captions = previousState;
 
-        this.selectedCaption = null;
-        this.app.selectedCaption = null;
+        this.clearSelection();
         this.refreshTimeline();
-        this.updateCaptionForm();
         this.app.showToast('Undone', 'info');
     }
 
@@ -945,10 +2886,8 @@ class CaptionEditorManager {
         const nextState = this.redoStack.pop();
         this.app.captions = nextState;
 
-        this.selectedCaption = null;
-        this.app.selectedCaption = null;
+        this.clearSelection();
         this.refreshTimeline();
-        this.updateCaptionForm();
         this.app.showToast('Redone', 'info');
     }
 
@@ -971,7 +2910,19 @@ class CaptionEditorManager {
         }
         
         this.pausePlayback();
+        if (this.media && this.media.src) {
+            URL.revokeObjectURL(this.media.src);
+            this.media.removeAttribute('src');
+            this.media.load();
+        }
+        this.mediaFile = null;
+        if (this.timelineWaveform) {
+            this.timelineWaveform.clear();
+            this.audioLaneKey = null;
+        }
         this.selectedCaption = null;
+        this.selectedIds = new Set();
+        this.selectionAnchorId = null;
         this.undoStack = [];
         this.redoStack = [];
     }
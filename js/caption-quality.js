@@ -0,0 +1,142 @@
+/**
+ * Video Caption Generator - Caption Quality Module
+ * Checks captions against subtitling guidelines: reading speed, line length,
+ * line count, duration, gaps and orphan words
+ *
+ * Each guideline set is a profile of rule limits. Characters per second count
+ * every character including spaces, as most style guides do, with line breaks
+ * counted as one space.
+ */
+
+class CaptionQualityChecker {
+    constructor(rules = {}) {
+        this.rules = { ...CaptionQualityChecker.getProfiles().netflix.rules, ...rules };
+    }
+
+    /**
+     * Rule profiles shown in the problems panel. 'custom' starts from these
+     * values and is edited by the user.
+     */
+    static getProfiles() {
+        return {
+            netflix: {
+                name: 'Netflix',
+                rules: {
+                    maxCps: 17,
+                    maxLineLength: 42,
+                    maxLines: 2,
+                    minDuration: 5 / 6,  // 20 frames at 24 fps
+                    maxDuration: 7,
+                    minGapFrames: 2
+                }
+            },
+            bbc: {
+                name: 'BBC',
+                rules: {
+                    maxCps: 16,
+                    maxLineLength: 37,
+                    maxLines: 2,
+                    minDuration: 1,
+                    maxDuration: 7,
+                    minGapFrames: 1
+                }
+            },
+            fcc: {
+                name: 'FCC (DCMP)',
+                rules: {
+                    maxCps: 15,
+                    maxLineLength: 32,
+                    maxLines: 2,
+                    minDuration: 1.5,
+                    maxDuration: 6,
+                    minGapFrames: 0
+                }
+            }
+        };
+    }
+
+    static getDefaultProfile() {
+        return 'netflix';
+    }
+
+    /**
+     * Characters a caption is read as, for reading speed
+     */
+    static getCharacterCount(text) {
+        return text.trim().replace(/\s*\n\s*/g, ' ').length;
+    }
+
+    /**
+     * Problems with the captions, by caption start time, as
+     * {captionId, rule, severity ('error' or 'warning'), message}
+     */
+    check(captions, frameRate = 25) {
+        const { maxCps, maxLineLength, maxLines, minDuration, maxDuration, minGapFrames } = this.rules;
+        const minGap = minGapFrames / frameRate;
+        const sorted = [...captions].sort((a, b) => a.startTime - b.startTime);
+        const issues = [];
+
+        const add = (caption, rule, severity, message) => {
+            issues.push({ captionId: caption.id, rule, severity, message });
+        };
+
+        sorted.forEach(caption => {
+            const text = caption.text.trim();
+            const duration = caption.endTime - caption.startTime;
+
+            if (!text) {
+                add(caption, 'empty', 'error', 'No text');
+                return;
+            }
+
+            const cps = CaptionQualityChecker.getCharacterCount(text) / duration;
+            if (duration > 0 && cps > maxCps) {
+                add(caption, 'cps', 'warning', `Reading speed ${cps.toFixed(1)} characters/s (max ${maxCps})`);
+            }
+
+            const lines = text.split('\n').map(line => line.trim());
+            lines.forEach((line, i) => {
+                if (line.length > maxLineLength) {
+                    add(caption, 'line-length', 'warning', `Line ${i + 1} is ${line.length} characters (max ${maxLineLength})`);
+                }
+            });
+
+            if (lines.length > maxLines) {
+                add(caption, 'line-count', 'warning', `${lines.length} lines (max ${maxLines})`);
+            }
+
+            if (duration < minDuration) {
+                add(caption, 'min-duration', 'warning', `Shown for ${duration.toFixed(2)} s (min ${minDuration.toFixed(2)})`);
+            } else if (duration > maxDuration) {
+                add(caption, 'max-duration', 'warning', `Shown for ${duration.toFixed(1)} s (max ${maxDuration})`);
+            }
+
+            // A word left alone on its line when the caption has more than one
+            const orphan = lines.length > 1 && !Utils.isSoundCaption(caption)
+                ? lines.findIndex(line => line && Utils.wordCount(line) === 1)
+                : -1;
+            if (orphan !== -1) {
+                add(caption, 'orphan', 'warning', `Single word on line ${orphan + 1}`);
+            }
+        });
+
+        // Gaps are between captions of the same kind; sound events have their own lane
+        [sorted.filter(caption => !Utils.isSoundCaption(caption)), sorted.filter(Utils.isSoundCaption)].forEach(group => {
+            for (let i = 0; i < group.length - 1; i++) {
+                const gap = group[i + 1].startTime - group[i].endTime;
+                if (gap < -0.001) {
+                    add(group[i], 'overlap', 'error', 'Overlaps the next caption');
+                } else if (gap < minGap - 0.001) {
+                    add(group[i], 'min-gap', 'warning',
+                        `${Math.round(gap * frameRate)} frame gap to the next caption (min ${minGapFrames})`);
+                }
+            }
+        });
+
+        const order = new Map(sorted.map((caption, i) => [caption.id, i]));
+        return issues.sort((a, b) => order.get(a.captionId) - order.get(b.captionId));
+    }
+}
+
+// Make available globally
+window.CaptionQualityChecker = CaptionQualityChecker;
@@ -0,0 +1,86 @@
+/**
+ * Video Caption Generator - Caption Resync Module
+ * Linear retiming for captions that drift against the video
+ *
+ * Captions made for another cut or frame rate drift further off the longer the
+ * video runs, which a constant offset can't fix. Every time t becomes
+ * t * scale + offset, with the scale and offset worked out from two captions
+ * and the times they should start at, or from a pair of frame rates.
+ */
+
+class CaptionResync {
+    /**
+     * Transform moving two times ({from, to}) onto their corrected times
+     */
+    static fromTwoPoints(first, second) {
+        const span = second.from - first.from;
+        if (Math.abs(span) < 0.001) {
+            throw Utils.createError('Pick two captions that start at different times', 'RESYNC_SAME_TIME');
+        }
+
+        const scale = (second.to - first.to) / span;
+        if (!(scale > 0)) {
+            throw Utils.createError('The corrected times must be in the same order as the captions', 'RESYNC_REVERSED');
+        }
+
+        return { scale, offset: first.to - first.from * scale };
+    }
+
+    /**
+     * Transform for captions timed against video at one frame rate that now plays
+     * at another, e.g. 23.976 to 25 for a PAL speed-up
+     */
+    static fromFrameRates(sourceRate, targetRate) {
+        if (!(sourceRate > 0) || !(targetRate > 0)) {
+            throw Utils.createError('Frame rates must be positive', 'RESYNC_INVALID_RATE');
+        }
+
+        return { scale: sourceRate / targetRate, offset: 0 };
+    }
+
+    /**
+     * Retimed copy of a time, to the millisecond and never before 0
+     */
+    static transformTime(time, { scale, offset }) {
+        return Math.max(0, Math.round((time * scale + offset) * 1000) / 1000);
+    }
+
+    /**
+     * Retimed copy of a caption, including its word timings
+     */
+    static transformCaption(caption, transform) {
+        const result = {
+            ...caption,
+            startTime: CaptionResync.transformTime(caption.startTime, transform),
+            endTime: CaptionResync.transformTime(caption.endTime, transform)
+        };
+
+        if (caption.words) {
+            result.words = caption.words.map(word => ({
+                ...word,
+                start: CaptionResync.transformTime(word.start, transform),
+                end: CaptionResync.transformTime(word.end, transform)
+            }));
+        }
+        if (caption.duration !== undefined) {
+            result.duration = result.endTime - result.startTime;
+        }
+
+        return result;
+    }
+
+    /**
+     * Old and new start of every caption, by start time, for previewing a transform
+     */
+    static diff(captions, transform) {
+        return [...captions]
+            .sort((a, b) => a.startTime - b.startTime)
+            .map(caption => {
+                const startTime = CaptionResync.transformTime(caption.startTime, transform);
+                return { caption, startTime, change: startTime - caption.startTime };
+            });
+    }
+}
+
+// Make available globally
+window.CaptionResync = CaptionResync;
@@ -10,6 +10,7 @@ class ExportManager {
         this.exportSettings = {
             includeTimestamps: true,
             includeStyling: true,
+            includeSoundEvents: true,
             filename: 'captions'
         };
         
@@ -32,6 +33,7 @@ class ExportManager {
         // Export settings checkboxes
         const stylingCheckbox = document.getElementById('include-styling');
         const timestampsCheckbox = document.getElementById('include-timestamps');
+        const soundEventsCheckbox = document.getElementById('include-sound-events');
 
         if (stylingCheckbox) {
             stylingCheckbox.addEventListener('change', (e) => {
@@ -46,6 +48,23 @@ class ExportManager {
                 this.updateExportPreview(this.currentFormat);
             });
         }
+
+        if (soundEventsCheckbox) {
+            soundEventsCheckbox.addEventListener('change', (e) => {
+                this.exportSettings.includeSoundEvents = e.target.checked;
+                this.updateExportPreview(this.currentFormat);
+            });
+        }
+    }
+
+    /**
+     * Captions to export, leaving out sound events when they are excluded
+     */
+    getExportCaptions() {
+        if (this.exportSettings.includeSoundEvents) {
+            return this.app.captions;
+        }
+        return this.app.captions.filter(caption => !Utils.isSoundCaption(caption));
     }
 
     /**
@@ -106,7 +125,7 @@ class ExportManager {
      * Generate SRT format
      */
     generateSRT() {
-        const sortedCaptions = [...this.app.captions].sort((a, b) => a.startTime - b.startTime);
+        const sortedCaptions = [...this.getExportCaptions()].sort((a, b) => a.startTime - b.startTime);
         let srtContent = '';
 
         sortedCaptions.forEach((caption, index) => {
@@ -115,7 +134,7 @@ class ExportManager {
             
             srtContent += `${index + 1}\n`;
             srtContent += `${startTime} --> ${endTime}\n`;
-            srtContent += `${this.formatCaptionText(caption.text, 'srt')}\n\n`;
+            srtContent += `${this.formatCaptionText(caption.text, 'srt', caption.style)}\n\n`;
         });
 
         return srtContent.trim();
@@ -125,7 +144,7 @@ class ExportManager {
      * Generate VTT format
      */
     generateVTT() {
-        const sortedCaptions = [...this.app.captions].sort((a, b) => a.startTime - b.startTime);
+        const sortedCaptions = [...this.getExportCaptions()].sort((a, b) => a.startTime - b.startTime);
         let vttContent = 'WEBVTT\n\n';
 
         // Add styling if enabled
@@ -140,12 +159,12 @@ class ExportManager {
             vttContent += `${index + 1}\n`;
             vttContent += `${startTime} --> ${endTime}`;
             
-            // Add position and styling if enabled
-            if (this.exportSettings.includeStyling) {
-                vttContent += this.generateVTTCueSettings();
+            // Add position and styling if enabled, or if the caption has its own position
+            if (this.exportSettings.includeStyling || caption.style?.position) {
+                vttContent += this.generateVTTCueSettings(caption.style?.position);
             }
             
-            vttContent += `\n${this.formatCaptionText(caption.text, 'vtt')}\n\n`;
+            vttContent += `\n${this.formatVoiceSpan(caption.speaker)}${this.formatCaptionText(caption.text, 'vtt', caption.style)}\n\n`;
         });
 
         return vttContent.trim();
@@ -155,7 +174,7 @@ class ExportManager {
      * Generate ASS format
      */
     generateASS() {
-        const sortedCaptions = [...this.app.captions].sort((a, b) => a.startTime - b.startTime);
+        const sortedCaptions = [...this.getExportCaptions()].sort((a, b) => a.startTime - b.startTime);
         let assContent = '';
 
         // Add ASS header
@@ -172,7 +191,9 @@ class ExportManager {
             const startTime = Utils.formatTime(caption.startTime, 'ass');
             const endTime = Utils.formatTime(caption.endTime, 'ass');
             
-            assContent += `Dialogue: 0,${startTime},${endTime},Default,,0,0,0,,${this.formatCaptionText(caption.text, 'ass')}\n`;
+            const name = (caption.speaker || '').replace(/[,\r\n]/g, ' ');
+            
+            assContent += `Dialogue: 0,${startTime},${endTime},Default,${name},0,0,0,,${this.formatCaptionText(caption.text, 'ass', caption.style)}\n`;
         });
 
         return assContent;
@@ -182,17 +203,18 @@ class ExportManager {
      * Generate JSON format
      */
     generateJSON() {
+        const captions = this.getExportCaptions();
         const exportData = {
             metadata: {
                 title: 'Video Captions',
                 generator: 'Video Caption Generator',
                 version: '1.0',
                 exportDate: new Date().toISOString(),
-                totalCaptions: this.app.captions.length,
+                totalCaptions: captions.length,
                 duration: this.calculateTotalDuration()
             },
             styling: this.exportSettings.includeStyling ? this.getStyleSettings() : null,
-            captions: this.app.captions.map((caption, index) => ({
+            captions: captions.map((caption, index) => ({
                 index: index + 1,
                 id: caption.id,
                 text: caption.text,
@@ -202,7 +224,11 @@ class ExportManager {
                 startTimeFormatted: Utils.formatTime(caption.startTime, 'srt'),
                 endTimeFormatted: Utils.formatTime(caption.endTime, 'srt'),
                 language: caption.language || 'en-US',
-                confidence: caption.confidence || 1.0
+                confidence: caption.confidence || 1.0,
+                speaker: caption.speaker,
+                type: caption.type,
+                style: caption.style,
+                words: caption.words
             }))
         };
 
@@ -210,9 +236,18 @@ class ExportManager {
     }
 
     /**
-     * Format caption text for specific format
+     * VTT voice span opening a cue for a speaker
      */
-    formatCaptionText(text, format) {
+    formatVoiceSpan(speaker) {
+        if (!speaker) return '';
+        return `<v ${speaker.replace(/[<>&\r\n]/g, ' ').trim()}>`;
+    }
+
+    /**
+     * Format caption text for specific format. style holds the caption's own
+     * italic and position settings, if any.
+     */
+    formatCaptionText(text, format, style = null) {
         let formattedText = text;
 
         switch (format) {
@@ -223,6 +258,10 @@ class ExportManager {
                     .replace(/&/g, '&amp;')
                     .replace(/</g, '&lt;')
                     .replace(/>/g, '&gt;');
+
+                // Most players read ASS alignment tags in SRT too
+                if (style?.italic) formattedText = `<i>${formattedText}</i>`;
+                formattedText = this.getASSAlignmentTag(style?.position) + formattedText;
                 break;
 
             case 'vtt':
@@ -232,6 +271,8 @@ class ExportManager {
                     .replace(/&/g, '&amp;')
                     .replace(/</g, '&lt;')
                     .replace(/>/g, '&gt;');
+
+                if (style?.italic) formattedText = `<i>${formattedText}</i>`;
                 
                 if (this.exportSettings.includeStyling) {
                     formattedText = `<c.styled>${formattedText}</c>`;
@@ -245,6 +286,9 @@ class ExportManager {
                     .replace(/\r/g, '')
                     .replace(/{/g, '\\{')
                     .replace(/}/g, '\\}');
+
+                if (style?.italic) formattedText = `{\\i1}${formattedText}`;
+                formattedText = this.getASSAlignmentTag(style?.position) + formattedText;
                 break;
 
             default:
@@ -254,6 +298,13 @@ class ExportManager {
         return formattedText;
     }
 
+    /**
+     * ASS override tag placing a caption at the top or middle ({\an8}, {\an5}), or ''
+     */
+    getASSAlignmentTag(position) {
+        return { top: '{\\an8}', middle: '{\\an5}' }[position] || '';
+    }
+
     /**
      * Generate VTT styling
      */
@@ -273,11 +324,10 @@ class ExportManager {
     }
 
     /**
-     * Generate VTT cue settings
+     * Generate VTT cue settings for a caption's own position, or the styling tab's
      */
-    generateVTTCueSettings() {
-        const styling = this.getStyleSettings();
-        const position = styling.captionPosition;
+    generateVTTCueSettings(captionPosition = null) {
+        const position = captionPosition || this.getStyleSettings().captionPosition;
         
         let settings = '';
         
@@ -587,7 +637,8 @@ Style: Default,${styling.fontFamily.split(',')[0]},${styling.fontSize},${textCol
                         text: text,
                         startTime: Utils.parseTime(timeMatch[1]),
                         endTime: Utils.parseTime(timeMatch[2]),
-                        language: 'en-US'
+                        language: 'en-US',
+                        type: Utils.isSoundEventText(text) ? 'sound' : undefined
                     });
                 }
             }
@@ -622,12 +673,20 @@ Style: Default,${styling.fontFamily.split(',')[0]},${styling.fontSize},${textCol
                     }
                     
                     if (textLines.length > 0) {
+                        // Voice spans (<v Name>) carry the speaker
+                        const voiceMatch = textLines[0].match(/^<v(?:\.[^\s>]*)?\s+([^>]+)>/);
+                        const text = textLines.join('\n')
+                            .replace(/<v(?:\.[^\s>]*)?\s+[^>]+>/g, '')
+                            .replace(/<\/v>/g, '');
+
                         captions.push({
                             id: Utils.generateId(),
-                            text: textLines.join('\n'),
+                            text,
                             startTime: Utils.parseTime(timeMatch[1]),
                             endTime: Utils.parseTime(timeMatch[2]),
-                            language: 'en-US'
+                            language: 'en-US',
+                            speaker: voiceMatch ? voiceMatch[1].trim() : undefined,
+                            type: Utils.isSoundEventText(text) ? 'sound' : undefined
                         });
                     }
                 }
@@ -650,13 +709,29 @@ Style: Default,${styling.fontFamily.split(',')[0]},${styling.fontSize},${textCol
                 text: caption.text,
                 startTime: caption.startTime,
                 endTime: caption.endTime,
-                language: caption.language || 'en-US'
+                language: caption.language || 'en-US',
+                speaker: typeof caption.speaker === 'string' && caption.speaker ? caption.speaker : undefined,
+                type: caption.type === 'sound' ? 'sound' : undefined,
+                style: this.sanitizeStyle(caption.style),
+                words: Utils.sanitizeWords(caption.words)
             }));
         }
 
         throw new Error('Invalid JSON format');
     }
 
+    /**
+     * Keep only the caption style settings the app understands
+     */
+    sanitizeStyle(style) {
+        if (!style || typeof style !== 'object') return undefined;
+
+        const result = {};
+        if (style.italic === true) result.italic = true;
+        if (['top', 'middle', 'bottom'].includes(style.position)) result.position = style.position;
+        return Object.keys(result).length > 0 ? result : undefined;
+    }
+
     /**
      * Validate export settings
      */
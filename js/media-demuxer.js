@@ -0,0 +1,1094 @@
+/**
+ * Video Caption Generator - Media Demuxer Module
+ * Reads compressed audio packets out of MP4/MOV/M4A and WebM/Matroska files without loading the whole file
+ *
+ * Demuxers parse only the container headers up front (the MP4 sample table or
+ * the Matroska track list and cues), then read the file in small ranges as
+ * packets are requested, so memory use does not grow with the file size.
+ */
+
+class MediaDemuxer {
+    constructor(file) {
+        this.file = file;
+        this.audioTracks = [];  // Every audio track in the file, in container order
+        this.audioTrack = null; // Track being read: { index, number, codec, format, language, name, sampleRate, numberOfChannels, description, duration }
+        this.position = 0;      // File offset reached by the last read, for progress
+        this.maxReadSize = 1024 * 1024;
+    }
+
+    /**
+     * Whether a file is in a container the streaming demuxers understand
+     */
+    static canDemux(file) {
+        return [
+            'video/mp4',
+            'video/quicktime',
+            'video/webm',
+            'video/x-matroska',
+            'audio/mp4',
+            'audio/x-m4a',
+            'audio/webm',
+            'audio/x-matroska'
+        ].includes(file.type);
+    }
+
+    /**
+     * Pick a demuxer from the file's leading bytes and parse its headers
+     */
+    static async create(file) {
+        const header = new Uint8Array(await file.slice(0, 12).arrayBuffer());
+        const boxType = String.fromCharCode(...header.subarray(4, 8));
+
+        let demuxer;
+        if (header[0] === 0x1A && header[1] === 0x45 && header[2] === 0xDF && header[3] === 0xA3) {
+            demuxer = new WebmDemuxer(file);
+        } else if (['ftyp', 'moov', 'mdat', 'free', 'skip', 'wide'].includes(boxType)) {
+            demuxer = new Mp4Demuxer(file);
+        } else {
+            throw Utils.createError('Unrecognized media container', 'UNSUPPORTED_CONTAINER');
+        }
+
+        await demuxer.open();
+        return demuxer;
+    }
+
+    /**
+     * WebCodecs codec string for an AAC AudioSpecificConfig
+     */
+    static getAacCodec(config) {
+        if (!config || config.length < 2) return 'mp4a.40.2';
+
+        let objectType = config[0] >> 3;
+        if (objectType === 31) {
+            objectType = 32 + (((config[0] & 0x07) << 3) | (config[1] >> 5));
+        }
+        return `mp4a.40.${objectType}`;
+    }
+
+    /**
+     * Readable name for a channel count
+     */
+    static getChannelLayoutName(numberOfChannels) {
+        const layouts = { 1: 'Mono', 2: 'Stereo', 6: '5.1', 8: '7.1' };
+        return layouts[numberOfChannels] || `${numberOfChannels} channels`;
+    }
+
+    /**
+     * Read from another audio track. Tracks whose codec can't be decoded can be listed but not selected.
+     */
+    selectAudioTrack(index) {
+        const track = this.audioTracks[index];
+        if (!track) {
+            throw Utils.createError(`The file has no audio track ${index + 1}`, 'NO_AUDIO_TRACK');
+        }
+        if (!track.codec) {
+            throw Utils.createError(`${track.format} audio tracks cannot be decoded`, 'UNSUPPORTED_CODEC');
+        }
+
+        this.audioTrack = track;
+    }
+
+    /**
+     * First decodable track, preferring one the container marks as default
+     */
+    getDefaultAudioTrack() {
+        const decodable = this.audioTracks.filter(track => track.codec);
+        return decodable.find(track => track.isDefault) || decodable[0] || null;
+    }
+
+    async read(start, end) {
+        const data = new Uint8Array(await this.file.slice(start, end).arrayBuffer());
+        this.position = start + data.length;
+        return data;
+    }
+
+    async open() {
+        throw new Error('open() must be implemented by the demuxer');
+    }
+
+    /**
+     * Yield { timestamp, data } audio packets in decode order, starting at or before startTime
+     */
+    async *packets(startTime = 0) {
+        throw new Error('packets() must be implemented by the demuxer');
+    }
+}
+
+/**
+ * ISO base media (MP4, M4V, MOV) demuxer driven by the sample table
+ */
+class Mp4Demuxer extends MediaDemuxer {
+    async open() {
+        const moov = await this.findTopLevelBox('moov');
+        if (!moov) {
+            throw Utils.createError('The file has no movie header (moov box)', 'INVALID_CONTAINER');
+        }
+        if (moov.end - moov.start > 256 * 1024 * 1024) {
+            throw Utils.createError('The movie header is too large to read', 'INVALID_CONTAINER');
+        }
+
+        const data = await this.read(moov.start, moov.end);
+        const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+
+        // Fragmented files (MediaRecorder, CMAF) list their samples in moof boxes, which aren't read
+        if (this.findBox(view, { contentStart: moov.contentStart - moov.start, end: data.length }, ['mvex'])) {
+            throw Utils.createError('Fragmented MP4 files can\'t be streamed', 'UNSUPPORTED_CONTAINER');
+        }
+
+        this.sampleTables = [];
+        for (const trak of this.boxes(view, moov.contentStart - moov.start, data.length)) {
+            if (trak.type !== 'trak') continue;
+
+            const track = this.parseTrack(view, trak);
+            if (track) {
+                this.audioTracks.push({ index: this.audioTracks.length, ...track.info });
+                this.sampleTables.push(track.samples);
+            }
+        }
+
+        const track = this.getDefaultAudioTrack();
+        if (track) {
+            this.selectAudioTrack(track.index);
+        }
+    }
+
+    selectAudioTrack(index) {
+        super.selectAudioTrack(index);
+        this.samples = this.sampleTables[index];
+    }
+
+    /**
+     * Find a top-level box by reading only box headers
+     */
+    async findTopLevelBox(type) {
+        let offset = 0;
+
+        while (offset + 8 <= this.file.size) {
+            const header = await this.read(offset, Math.min(offset + 16, this.file.size));
+            const view = new DataView(header.buffer, header.byteOffset, header.byteLength);
+
+            let size = view.getUint32(0);
+            let headerSize = 8;
+            if (size === 1 && header.length >= 16) {
+                size = Number(view.getBigUint64(8));
+                headerSize = 16;
+            } else if (size === 0) {
+                size = this.file.size - offset;
+            }
+            if (size < headerSize) return null;
+
+            if (this.fourCC(view, 4) === type) {
+                return { start: offset, contentStart: offset + headerSize, end: Math.min(offset + size, this.file.size) };
+            }
+            offset += size;
+        }
+
+        return null;
+    }
+
+    fourCC(view, offset) {
+        return String.fromCharCode(
+            view.getUint8(offset), view.getUint8(offset + 1), view.getUint8(offset + 2), view.getUint8(offset + 3)
+        );
+    }
+
+    /**
+     * Iterate the boxes between two offsets of a buffer
+     */
+    *boxes(view, start, end) {
+        let offset = start;
+
+        while (offset + 8 <= end) {
+            let size = view.getUint32(offset);
+            let headerSize = 8;
+            if (size === 1) {
+                size = Number(view.getBigUint64(offset + 8));
+                headerSize = 16;
+            } else if (size === 0) {
+                size = end - offset;
+            }
+            if (size < headerSize || offset + size > end) return;
+
+            yield { type: this.fourCC(view, offset + 4), start: offset, contentStart: offset + headerSize, end: offset + size };
+            offset += size;
+        }
+    }
+
+    /**
+     * Follow a path of box types down from a parent box
+     */
+    findBox(view, parent, path) {
+        let box = parent;
+        for (const type of path) {
+            box = [...this.boxes(view, box.contentStart, box.end)].find(child => child.type === type);
+            if (!box) return null;
+        }
+        return box;
+    }
+
+    /**
+     * Parse a trak box, returning its metadata, decoder config and sample table if it is an audio track.
+     * Tracks in codecs WebCodecs can't decode are returned with a null codec and no sample table.
+     */
+    parseTrack(view, trak) {
+        const mdia = this.findBox(view, trak, ['mdia']);
+        const hdlr = mdia && this.findBox(view, mdia, ['hdlr']);
+        if (!hdlr || this.fourCC(view, hdlr.contentStart + 8) !== 'soun') return null;
+
+        const mdhd = this.findBox(view, mdia, ['mdhd']);
+        const stbl = this.findBox(view, mdia, ['minf', 'stbl']);
+        const stsd = stbl && this.findBox(view, stbl, ['stsd']);
+        if (!mdhd || !stsd) return null;
+
+        const version = view.getUint8(mdhd.contentStart);
+        const timescale = view.getUint32(mdhd.contentStart + (version === 1 ? 20 : 12));
+        const duration = version === 1
+            ? Number(view.getBigUint64(mdhd.contentStart + 24))
+            : view.getUint32(mdhd.contentStart + 16);
+
+        const entry = this.boxes(view, stsd.contentStart + 8, stsd.end).next().value;
+        if (!entry || !timescale) return null;
+
+        const config = this.parseSampleEntry(view, entry) || {
+            codec: null,
+            sampleRate: view.getUint32(entry.contentStart + 24) >>> 16,
+            numberOfChannels: view.getUint16(entry.contentStart + 16)
+        };
+
+        const tkhd = this.findBox(view, trak, ['tkhd']);
+        const tkhdVersion = tkhd ? view.getUint8(tkhd.contentStart) : 0;
+        const trackId = tkhd ? view.getUint32(tkhd.contentStart + (tkhdVersion === 1 ? 20 : 12)) : 0;
+        const name = this.findBox(view, trak, ['udta', 'name']);
+
+        return {
+            info: {
+                number: trackId,
+                ...config,
+                format: this.getFormatName(entry.type, config.codec),
+                language: this.parseLanguage(view.getUint16(mdhd.contentStart + (version === 1 ? 32 : 20))),
+                name: name ? this.readString(view, name.contentStart, name.end) : null,
+                // The enabled flag marks the track players pick by default
+                isDefault: tkhd ? (view.getUint32(tkhd.contentStart) & 0x1) === 1 : false,
+                duration: duration / timescale
+            },
+            samples: config.codec ? this.buildSampleTable(view, stbl, timescale) : null
+        };
+    }
+
+    /**
+     * Unpack the ISO 639-2/T code stored in mdhd (three 5-bit letters)
+     */
+    parseLanguage(packed) {
+        const code = String.fromCharCode(
+            ((packed >> 10) & 0x1F) + 0x60,
+            ((packed >> 5) & 0x1F) + 0x60,
+            (packed & 0x1F) + 0x60
+        );
+        return /^[a-z]{3}$/.test(code) && code !== 'und' ? code : null;
+    }
+
+    readString(view, start, end) {
+        const bytes = new Uint8Array(view.buffer, view.byteOffset + start, end - start);
+        return new TextDecoder().decode(bytes).replace(/\0+$/, '').trim() || null;
+    }
+
+    /**
+     * Readable codec name for a sample entry type
+     */
+    getFormatName(type, codec) {
+        if (codec) {
+            return codec.startsWith('mp4a') ? 'AAC' : codec === 'opus' ? 'Opus' : 'MP3';
+        }
+
+        const names = {
+            'ac-3': 'AC-3',
+            'ec-3': 'E-AC-3',
+            'ac-4': 'AC-4',
+            'dtsc': 'DTS',
+            'alac': 'ALAC',
+            'fLaC': 'FLAC',
+            'lpcm': 'PCM',
+            'sowt': 'PCM',
+            'twos': 'PCM',
+            'ipcm': 'PCM',
+            'mp4a': 'MPEG-4 audio'
+        };
+        return names[type] || type.trim();
+    }
+
+    /**
+     * Read codec parameters from an audio sample entry (mp4a, Opus, .mp3)
+     */
+    parseSampleEntry(view, entry) {
+        const start = entry.contentStart;
+        const version = view.getUint16(start + 8);
+        let numberOfChannels = view.getUint16(start + 16);
+        let sampleRate = view.getUint32(start + 24) >>> 16;
+        let childStart = start + 28;
+
+        // QuickTime sound descriptions v1 and v2 carry extra fields
+        if (version === 1) {
+            childStart += 16;
+        } else if (version === 2) {
+            sampleRate = view.getFloat64(start + 32);
+            numberOfChannels = view.getUint32(start + 40);
+            childStart = start + 64;
+        }
+
+        const findChild = (type) => {
+            for (const box of this.boxes(view, childStart, entry.end)) {
+                if (box.type === type) return box;
+                // QuickTime wraps esds in a wave box
+                if (box.type === 'wave') {
+                    const inner = [...this.boxes(view, box.contentStart, box.end)].find(child => child.type === type);
+                    if (inner) return inner;
+                }
+            }
+            return null;
+        };
+
+        switch (entry.type) {
+            case 'mp4a': {
+                const esds = findChild('esds');
+                const decoderConfig = esds && this.parseEsds(view, esds);
+                if (!decoderConfig) return null;
+
+                if ([0x69, 0x6B].includes(decoderConfig.objectType)) {
+                    return { codec: 'mp3', sampleRate, numberOfChannels };
+                }
+                if (![0x40, 0x66, 0x67, 0x68].includes(decoderConfig.objectType)) return null;
+
+                return {
+                    codec: MediaDemuxer.getAacCodec(decoderConfig.config),
+                    sampleRate,
+                    numberOfChannels,
+                    description: decoderConfig.config || undefined
+                };
+            }
+
+            case 'Opus': {
+                const dOps = findChild('dOps');
+                if (!dOps) return null;
+                return { codec: 'opus', sampleRate: 48000, numberOfChannels, description: this.createOpusHead(view, dOps) };
+            }
+
+            case '.mp3':
+                return { codec: 'mp3', sampleRate, numberOfChannels };
+
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Extract the object type and AudioSpecificConfig from an esds box
+     */
+    parseEsds(view, esds) {
+        let offset = esds.contentStart + 4; // version and flags
+
+        const readDescriptor = () => {
+            const tag = view.getUint8(offset++);
+            let size = 0;
+            for (let i = 0; i < 4; i++) {
+                const byte = view.getUint8(offset++);
+                size = (size << 7) | (byte & 0x7F);
+                if (!(byte & 0x80)) break;
+            }
+            return { tag, size, start: offset };
+        };
+
+        try {
+            if (readDescriptor().tag !== 0x03) return null;
+
+            // ES_Descriptor: ES_ID, flags and optional fields
+            offset += 2;
+            const flags = view.getUint8(offset++);
+            if (flags & 0x80) offset += 2;
+            if (flags & 0x40) offset += view.getUint8(offset) + 1;
+            if (flags & 0x20) offset += 2;
+
+            const decoderConfig = readDescriptor();
+            if (decoderConfig.tag !== 0x04) return null;
+
+            const objectType = view.getUint8(offset);
+            offset += 13;
+
+            let config = null;
+            if (offset < Math.min(decoderConfig.start + decoderConfig.size, esds.end)) {
+                const specificInfo = readDescriptor();
+                if (specificInfo.tag === 0x05) {
+                    config = new Uint8Array(view.buffer, view.byteOffset + offset, specificInfo.size).slice();
+                }
+            }
+
+            return { objectType, config };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Convert an MP4 dOps box into the OpusHead header WebCodecs expects
+     */
+    createOpusHead(view, dOps) {
+        const start = dOps.contentStart;
+        const channelCount = view.getUint8(start + 1);
+        const mappingFamily = view.getUint8(start + 10);
+        const mappingLength = mappingFamily === 0 ? 0 : 2 + channelCount;
+
+        const head = new Uint8Array(19 + mappingLength);
+        const headView = new DataView(head.buffer);
+        head.set([0x4F, 0x70, 0x75, 0x73, 0x48, 0x65, 0x61, 0x64]); // "OpusHead"
+        head[8] = 1;
+        head[9] = channelCount;
+        headView.setUint16(10, view.getUint16(start + 2), true);  // Pre-skip
+        headView.setUint32(12, view.getUint32(start + 4), true);  // Input sample rate
+        headView.setInt16(16, view.getInt16(start + 8), true);    // Output gain
+        head[18] = mappingFamily;
+        for (let i = 0; i < mappingLength; i++) {
+            head[19 + i] = view.getUint8(start + 11 + i);
+        }
+
+        return head;
+    }
+
+    /**
+     * Expand stsz/stsc/stco/stts into per-sample file offsets, sizes and times
+     */
+    buildSampleTable(view, stbl, timescale) {
+        const stsz = this.findBox(view, stbl, ['stsz']);
+        const stsc = this.findBox(view, stbl, ['stsc']);
+        const stts = this.findBox(view, stbl, ['stts']);
+        const stco = this.findBox(view, stbl, ['stco']) || this.findBox(view, stbl, ['co64']);
+        if (!stsz || !stsc || !stts || !stco) {
+            throw Utils.createError('The audio track has no sample table', 'INVALID_CONTAINER');
+        }
+
+        const constantSize = view.getUint32(stsz.contentStart + 4);
+        const count = view.getUint32(stsz.contentStart + 8);
+        if (count === 0) {
+            throw Utils.createError('The audio track has no samples in its sample table', 'UNSUPPORTED_CONTAINER');
+        }
+        const sizes = new Uint32Array(count);
+        for (let i = 0; i < count; i++) {
+            sizes[i] = constantSize || view.getUint32(stsz.contentStart + 12 + i * 4);
+        }
+
+        const is64 = stco.type === 'co64';
+        const chunkCount = view.getUint32(stco.contentStart + 4);
+        const chunkOffset = (chunk) => is64
+            ? Number(view.getBigUint64(stco.contentStart + 8 + chunk * 8))
+            : view.getUint32(stco.contentStart + 8 + chunk * 4);
+
+        // Samples are stored in chunks; stsc gives the samples per chunk in runs
+        const offsets = new Float64Array(count);
+        const entryCount = view.getUint32(stsc.contentStart + 4);
+        let sample = 0;
+        for (let entry = 0; entry < entryCount && sample < count; entry++) {
+            const base = stsc.contentStart + 8 + entry * 12;
+            const firstChunk = view.getUint32(base) - 1;
+            const samplesPerChunk = view.getUint32(base + 4);
+            const lastChunk = entry + 1 < entryCount ? view.getUint32(base + 12) - 1 : chunkCount;
+
+            for (let chunk = firstChunk; chunk < lastChunk && sample < count; chunk++) {
+                let offset = chunkOffset(chunk);
+                for (let i = 0; i < samplesPerChunk && sample < count; i++) {
+                    offsets[sample] = offset;
+                    offset += sizes[sample];
+                    sample++;
+                }
+            }
+        }
+
+        const times = new Float64Array(count);
+        const timeEntries = view.getUint32(stts.contentStart + 4);
+        let time = 0;
+        sample = 0;
+        for (let entry = 0; entry < timeEntries && sample < count; entry++) {
+            const sampleCount = view.getUint32(stts.contentStart + 8 + entry * 8);
+            const delta = view.getUint32(stts.contentStart + 12 + entry * 8);
+            for (let i = 0; i < sampleCount && sample < count; i++) {
+                times[sample++] = time / timescale;
+                time += delta;
+            }
+        }
+
+        return { count: sample, offsets, sizes, times };
+    }
+
+    /**
+     * Index of the last sample starting at or before a time
+     */
+    findSample(time) {
+        const { times, count } = this.samples;
+        let low = 0;
+        let high = count - 1;
+
+        while (low < high) {
+            const mid = Math.ceil((low + high) / 2);
+            if (times[mid] <= time) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+
+        return low;
+    }
+
+    async *packets(startTime = 0) {
+        if (!this.samples) return;
+
+        const { count, offsets, sizes, times } = this.samples;
+        let index = this.findSample(startTime);
+
+        while (index < count) {
+            // Read runs of samples stored back to back in one request
+            let last = index;
+            let rangeEnd = offsets[index] + sizes[index];
+            while (last + 1 < count &&
+                   offsets[last + 1] === rangeEnd &&
+                   rangeEnd + sizes[last + 1] - offsets[index] <= this.maxReadSize) {
+                last++;
+                rangeEnd += sizes[last];
+            }
+
+            const data = await this.read(offsets[index], rangeEnd);
+            for (let i = index; i <= last; i++) {
+                const offset = offsets[i] - offsets[index];
+                yield { timestamp: times[i], data: data.subarray(offset, offset + sizes[i]) };
+            }
+
+            index = last + 1;
+        }
+    }
+}
+
+/**
+ * WebM/Matroska demuxer reading EBML elements sequentially.
+ * Clusters of unknown size (as written by MediaRecorder) are supported.
+ */
+class WebmDemuxer extends MediaDemuxer {
+    constructor(file) {
+        super(file);
+        this.buffer = new Uint8Array(0);
+        this.bufferStart = 0;
+        this.timecodeScale = 1000000; // Nanoseconds per timecode unit
+        this.clusterIndex = [];       // { time, position } from cues or clusters seen so far
+    }
+
+    static get ids() {
+        return {
+            EBML: 0x1A45DFA3,
+            SEGMENT: 0x18538067,
+            SEEK_HEAD: 0x114D9B74,
+            SEEK: 0x4DBB,
+            SEEK_ID: 0x53AB,
+            SEEK_POSITION: 0x53AC,
+            INFO: 0x1549A966,
+            TIMECODE_SCALE: 0x2AD7B1,
+            DURATION: 0x4489,
+            TRACKS: 0x1654AE6B,
+            TRACK_ENTRY: 0xAE,
+            TRACK_NUMBER: 0xD7,
+            TRACK_TYPE: 0x83,
+            CODEC_ID: 0x86,
+            CODEC_PRIVATE: 0x63A2,
+            AUDIO: 0xE1,
+            SAMPLING_FREQUENCY: 0xB5,
+            CHANNELS: 0x9F,
+            NAME: 0x536E,
+            LANGUAGE: 0x22B59C,
+            LANGUAGE_IETF: 0x22B59D,
+            FLAG_DEFAULT: 0x88,
+            CUES: 0x1C53BB6B,
+            CUE_POINT: 0xBB,
+            CUE_TIME: 0xB3,
+            CUE_TRACK_POSITIONS: 0xB7,
+            CUE_CLUSTER_POSITION: 0xF1,
+            CLUSTER: 0x1F43B675,
+            TIMECODE: 0xE7,
+            SIMPLE_BLOCK: 0xA3,
+            BLOCK_GROUP: 0xA0,
+            BLOCK: 0xA1
+        };
+    }
+
+    /**
+     * Read a variable-length integer. IDs keep their length marker, sizes drop it.
+     */
+    static readVint(bytes, offset, keepMarker = false) {
+        if (offset >= bytes.length) return null;
+
+        const first = bytes[offset];
+        let length = 1;
+        while (length <= 8 && !(first & (0x80 >> (length - 1)))) {
+            length++;
+        }
+        if (length > 8 || offset + length > bytes.length) return null;
+
+        let value = keepMarker ? first : first & (0xFF >> length);
+        let allOnes = value === (0xFF >> length);
+        for (let i = 1; i < length; i++) {
+            value = value * 256 + bytes[offset + i];
+            if (bytes[offset + i] !== 0xFF) allOnes = false;
+        }
+
+        return { value, length, unknown: !keepMarker && allOnes };
+    }
+
+    static readUint(bytes, start, end) {
+        let value = 0;
+        for (let i = start; i < end; i++) {
+            value = value * 256 + bytes[i];
+        }
+        return value;
+    }
+
+    static readFloat(bytes, start, end) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset + start, end - start);
+        return end - start === 4 ? view.getFloat32(0) : view.getFloat64(0);
+    }
+
+    /**
+     * Iterate child elements of a fully loaded element
+     */
+    static *elements(bytes, start, end) {
+        let offset = start;
+
+        while (offset < end) {
+            const id = WebmDemuxer.readVint(bytes, offset, true);
+            const size = id && WebmDemuxer.readVint(bytes, offset + id.length);
+            if (!id || !size) return;
+
+            const dataStart = offset + id.length + size.length;
+            const dataEnd = size.unknown ? end : Math.min(end, dataStart + size.value);
+            yield { id: id.value, dataStart, dataEnd };
+            offset = dataEnd;
+        }
+    }
+
+    /**
+     * Make sure bytes [position, position + length) are in the read buffer,
+     * returning the buffer holding them and their offset in it
+     */
+    async ensure(position, length) {
+        const bufferEnd = this.bufferStart + this.buffer.length;
+        if (position >= this.bufferStart && position + length <= bufferEnd) {
+            return { bytes: this.buffer, offset: position - this.bufferStart };
+        }
+
+        const end = Math.min(this.file.size, position + Math.max(length, this.maxReadSize));
+        const buffer = await this.read(position, end);
+        this.buffer = buffer;
+        this.bufferStart = position;
+
+        // Another reader may replace the shared buffer before the caller resumes
+        return { bytes: buffer, offset: 0 };
+    }
+
+    /**
+     * Read an element header at a file offset, or null at the end of the file
+     */
+    async readElementHeader(position) {
+        if (position >= this.file.size) return null;
+
+        const { bytes, offset } = await this.ensure(position, 12);
+        const id = WebmDemuxer.readVint(bytes, offset, true);
+        const size = id && WebmDemuxer.readVint(bytes, offset + id.length);
+        if (!id || !size) return null;
+
+        return {
+            id: id.value,
+            size: size.unknown ? null : size.value,
+            dataStart: position + id.length + size.length
+        };
+    }
+
+    /**
+     * Load an element's data into memory
+     */
+    async readElementData(header) {
+        return this.read(header.dataStart, Math.min(this.file.size, header.dataStart + header.size));
+    }
+
+    async open() {
+        const ids = WebmDemuxer.ids;
+
+        const ebml = await this.readElementHeader(0);
+        if (!ebml || ebml.id !== ids.EBML || ebml.size === null) {
+            throw Utils.createError('Invalid WebM header', 'INVALID_CONTAINER');
+        }
+
+        const segment = await this.readElementHeader(ebml.dataStart + ebml.size);
+        if (!segment || segment.id !== ids.SEGMENT) {
+            throw Utils.createError('The WebM file has no segment', 'INVALID_CONTAINER');
+        }
+
+        this.segmentStart = segment.dataStart;
+        this.segmentEnd = segment.size === null ? this.file.size : Math.min(this.file.size, segment.dataStart + segment.size);
+
+        let tracks = [];
+        let cuesPosition = null;
+        let duration = null;
+        let position = this.segmentStart;
+
+        // Read the headers that precede the first cluster
+        while (position < this.segmentEnd) {
+            const header = await this.readElementHeader(position);
+            if (!header) break;
+
+            if (header.id === ids.CLUSTER || header.size === null) {
+                this.firstClusterPosition = position;
+                break;
+            }
+
+            if (header.id === ids.INFO) {
+                duration = this.parseInfo(await this.readElementData(header));
+            } else if (header.id === ids.TRACKS) {
+                tracks = this.parseTracks(await this.readElementData(header));
+            } else if (header.id === ids.SEEK_HEAD) {
+                cuesPosition = this.parseSeekHead(await this.readElementData(header));
+            } else if (header.id === ids.CUES) {
+                this.parseCues(await this.readElementData(header));
+            }
+
+            position = header.dataStart + header.size;
+        }
+
+        if (this.firstClusterPosition === undefined) {
+            this.firstClusterPosition = position;
+        }
+
+        // Cues are usually written after the clusters
+        if (this.clusterIndex.length === 0 && cuesPosition !== null) {
+            const header = await this.readElementHeader(this.segmentStart + cuesPosition);
+            if (header && header.id === ids.CUES && header.size !== null) {
+                this.parseCues(await this.readElementData(header));
+            }
+        }
+
+        tracks
+            .filter(track => track.type === 2)
+            .forEach(track => {
+                this.audioTracks.push({
+                    index: this.audioTracks.length,
+                    number: track.number,
+                    codec: track.codec,
+                    format: this.getFormatName(track),
+                    language: track.language,
+                    name: track.name,
+                    isDefault: track.isDefault,
+                    sampleRate: track.sampleRate,
+                    numberOfChannels: track.numberOfChannels,
+                    description: track.description,
+                    duration
+                });
+            });
+
+        const track = this.getDefaultAudioTrack();
+        if (track) {
+            this.selectAudioTrack(track.index);
+        }
+    }
+
+    parseInfo(data) {
+        const ids = WebmDemuxer.ids;
+        let duration = null;
+
+        for (const element of WebmDemuxer.elements(data, 0, data.length)) {
+            if (element.id === ids.TIMECODE_SCALE) {
+                this.timecodeScale = WebmDemuxer.readUint(data, element.dataStart, element.dataEnd);
+            } else if (element.id === ids.DURATION) {
+                duration = WebmDemuxer.readFloat(data, element.dataStart, element.dataEnd);
+            }
+        }
+
+        return duration === null ? null : duration * this.timecodeScale / 1e9;
+    }
+
+    parseTracks(data) {
+        const ids = WebmDemuxer.ids;
+        const tracks = [];
+
+        for (const entry of WebmDemuxer.elements(data, 0, data.length)) {
+            if (entry.id !== ids.TRACK_ENTRY) continue;
+
+            const track = {
+                number: 0,
+                type: 0,
+                codecId: '',
+                language: null,
+                name: null,
+                isDefault: true,
+                sampleRate: 8000,
+                numberOfChannels: 1,
+                description: undefined
+            };
+            const readString = (element) => new TextDecoder().decode(data.subarray(element.dataStart, element.dataEnd)).replace(/\0+$/, '');
+
+            for (const element of WebmDemuxer.elements(data, entry.dataStart, entry.dataEnd)) {
+                switch (element.id) {
+                    case ids.TRACK_NUMBER:
+                        track.number = WebmDemuxer.readUint(data, element.dataStart, element.dataEnd);
+                        break;
+                    case ids.TRACK_TYPE:
+                        track.type = WebmDemuxer.readUint(data, element.dataStart, element.dataEnd);
+                        break;
+                    case ids.CODEC_ID:
+                        track.codecId = readString(element);
+                        break;
+                    case ids.NAME:
+                        track.name = readString(element) || null;
+                        break;
+                    case ids.LANGUAGE:
+                        // 'und' means undetermined; the IETF tag wins when both are present
+                        if (!track.language) {
+                            const language = readString(element);
+                            track.language = language && language !== 'und' ? language : null;
+                        }
+                        break;
+                    case ids.LANGUAGE_IETF:
+                        track.language = readString(element) || track.language;
+                        break;
+                    case ids.FLAG_DEFAULT:
+                        track.isDefault = WebmDemuxer.readUint(data, element.dataStart, element.dataEnd) === 1;
+                        break;
+                    case ids.CODEC_PRIVATE:
+                        track.description = data.slice(element.dataStart, element.dataEnd);
+                        break;
+                    case ids.AUDIO:
+                        for (const audio of WebmDemuxer.elements(data, element.dataStart, element.dataEnd)) {
+                            if (audio.id === ids.SAMPLING_FREQUENCY) {
+                                track.sampleRate = WebmDemuxer.readFloat(data, audio.dataStart, audio.dataEnd);
+                            } else if (audio.id === ids.CHANNELS) {
+                                track.numberOfChannels = WebmDemuxer.readUint(data, audio.dataStart, audio.dataEnd);
+                            }
+                        }
+                        break;
+                }
+            }
+
+            track.codec = this.getCodec(track);
+            tracks.push(track);
+        }
+
+        return tracks;
+    }
+
+    /**
+     * Map a Matroska codec ID to a WebCodecs codec string
+     */
+    getCodec(track) {
+        if (track.codecId === 'A_OPUS') return 'opus';
+        if (track.codecId === 'A_VORBIS') return 'vorbis';
+        if (track.codecId === 'A_FLAC') return 'flac';
+        if (track.codecId === 'A_MPEG/L3') return 'mp3';
+        if (track.codecId.startsWith('A_AAC')) return MediaDemuxer.getAacCodec(track.description);
+        return null;
+    }
+
+    /**
+     * Readable codec name for a Matroska track
+     */
+    getFormatName(track) {
+        const names = {
+            A_OPUS: 'Opus',
+            A_VORBIS: 'Vorbis',
+            A_FLAC: 'FLAC',
+            'A_MPEG/L3': 'MP3',
+            A_AC3: 'AC-3',
+            A_EAC3: 'E-AC-3',
+            A_DTS: 'DTS',
+            A_TRUEHD: 'TrueHD',
+            A_ALAC: 'ALAC'
+        };
+
+        if (names[track.codecId]) return names[track.codecId];
+        if (track.codecId.startsWith('A_AAC')) return 'AAC';
+        if (track.codecId.startsWith('A_PCM')) return 'PCM';
+        return track.codecId.replace(/^A_/, '');
+    }
+
+    /**
+     * Offset of the Cues element relative to the segment, if listed
+     */
+    parseSeekHead(data) {
+        const ids = WebmDemuxer.ids;
+
+        for (const seek of WebmDemuxer.elements(data, 0, data.length)) {
+            if (seek.id !== ids.SEEK) continue;
+
+            let seekId = null;
+            let seekPosition = null;
+            for (const element of WebmDemuxer.elements(data, seek.dataStart, seek.dataEnd)) {
+                if (element.id === ids.SEEK_ID) {
+                    seekId = WebmDemuxer.readUint(data, element.dataStart, element.dataEnd);
+                } else if (element.id === ids.SEEK_POSITION) {
+                    seekPosition = WebmDemuxer.readUint(data, element.dataStart, element.dataEnd);
+                }
+            }
+
+            if (seekId === ids.CUES && seekPosition !== null) {
+                return seekPosition;
+            }
+        }
+
+        return null;
+    }
+
+    parseCues(data) {
+        const ids = WebmDemuxer.ids;
+        const index = [];
+
+        for (const point of WebmDemuxer.elements(data, 0, data.length)) {
+            if (point.id !== ids.CUE_POINT) continue;
+
+            let time = null;
+            let position = null;
+            for (const element of WebmDemuxer.elements(data, point.dataStart, point.dataEnd)) {
+                if (element.id === ids.CUE_TIME) {
+                    time = WebmDemuxer.readUint(data, element.dataStart, element.dataEnd);
+                } else if (element.id === ids.CUE_TRACK_POSITIONS && position === null) {
+                    for (const track of WebmDemuxer.elements(data, element.dataStart, element.dataEnd)) {
+                        if (track.id === ids.CUE_CLUSTER_POSITION) {
+                            position = WebmDemuxer.readUint(data, track.dataStart, track.dataEnd);
+                        }
+                    }
+                }
+            }
+
+            if (time !== null && position !== null) {
+                index.push({ time: time * this.timecodeScale / 1e9, position: this.segmentStart + position });
+            }
+        }
+
+        this.clusterIndex = index.sort((a, b) => a.time - b.time);
+    }
+
+    /**
+     * File offset of the last known cluster starting at or before a time
+     */
+    findClusterPosition(time) {
+        let position = this.firstClusterPosition;
+        for (const entry of this.clusterIndex) {
+            if (entry.time > time) break;
+            position = entry.position;
+        }
+        return position;
+    }
+
+    /**
+     * Remember where clusters start so later seeks don't rescan the file
+     */
+    recordCluster(time, position) {
+        const last = this.clusterIndex[this.clusterIndex.length - 1];
+        if (!last || time > last.time) {
+            this.clusterIndex.push({ time, position });
+        }
+    }
+
+    async *packets(startTime = 0) {
+        if (!this.audioTrack) return;
+
+        const ids = WebmDemuxer.ids;
+        let position = this.findClusterPosition(startTime);
+        let clusterPosition = position;
+        let clusterTime = 0;
+
+        while (position < this.segmentEnd) {
+            const header = await this.readElementHeader(position);
+            if (!header) break;
+
+            // Descend into clusters and block groups instead of skipping them
+            if (header.id === ids.CLUSTER || header.id === ids.BLOCK_GROUP) {
+                if (header.id === ids.CLUSTER) clusterPosition = position;
+                position = header.dataStart;
+                continue;
+            }
+            if (header.size === null) break;
+
+            const dataEnd = header.dataStart + header.size;
+
+            if (header.id === ids.TIMECODE) {
+                const { bytes, offset } = await this.ensure(header.dataStart, header.size);
+                clusterTime = WebmDemuxer.readUint(bytes, offset, offset + header.size);
+                this.recordCluster(clusterTime * this.timecodeScale / 1e9, clusterPosition);
+            } else if (header.id === ids.SIMPLE_BLOCK || header.id === ids.BLOCK) {
+                const { bytes, offset } = await this.ensure(header.dataStart, header.size);
+                const frames = this.parseBlock(bytes, offset, offset + header.size, clusterTime);
+                for (const frame of frames) {
+                    yield frame;
+                }
+            }
+
+            position = dataEnd;
+        }
+    }
+
+    /**
+     * Split a (Simple)Block into frames of the audio track, handling lacing
+     */
+    parseBlock(bytes, start, end, clusterTime) {
+        const track = WebmDemuxer.readVint(bytes, start);
+        if (!track || track.value !== this.audioTrack.number) return [];
+
+        let offset = start + track.length;
+        const relativeTime = ((bytes[offset] << 8) | bytes[offset + 1]) << 16 >> 16;
+        const flags = bytes[offset + 2];
+        offset += 3;
+
+        const timestamp = (clusterTime + relativeTime) * this.timecodeScale / 1e9;
+        const lacing = (flags >> 1) & 0x03;
+        if (lacing === 0) {
+            return [{ timestamp, data: bytes.subarray(offset, end) }];
+        }
+
+        const frameCount = bytes[offset++] + 1;
+        const sizes = [];
+
+        if (lacing === 1) {
+            // Xiph lacing: sizes as runs of 255
+            for (let i = 0; i < frameCount - 1; i++) {
+                let size = 0;
+                let byte;
+                do {
+                    byte = bytes[offset++];
+                    size += byte;
+                } while (byte === 255);
+                sizes.push(size);
+            }
+        } else if (lacing === 3) {
+            // EBML lacing: first size, then signed differences
+            const first = WebmDemuxer.readVint(bytes, offset);
+            offset += first.length;
+            sizes.push(first.value);
+            for (let i = 1; i < frameCount - 1; i++) {
+                const difference = WebmDemuxer.readVint(bytes, offset);
+                offset += difference.length;
+                const bias = Math.pow(2, 7 * difference.length - 1) - 1;
+                sizes.push(sizes[i - 1] + difference.value - bias);
+            }
+        } else {
+            // Fixed-size lacing
+            const size = Math.floor((end - offset) / frameCount);
+            for (let i = 0; i < frameCount - 1; i++) {
+                sizes.push(size);
+            }
+        }
+
+        sizes.push(end - offset - sizes.reduce((sum, size) => sum + size, 0));
+
+        const frames = [];
+        sizes.forEach(size => {
+            frames.push({ timestamp, data: bytes.subarray(offset, offset + size) });
+            offset += size;
+        });
+        return frames;
+    }
+}
+
+// Make available globally
+window.MediaDemuxer = MediaDemuxer;
+window.Mp4Demuxer = Mp4Demuxer;
+window.WebmDemuxer = WebmDemuxer;
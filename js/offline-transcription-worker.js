@@ -0,0 +1,115 @@
+/**
+ * Video Caption Generator - Offline Transcription Worker
+ * Runs a WASM speech model in a dedicated worker so the UI stays responsive
+ *
+ * The speech runtime is loaded with importScripts() and must expose
+ * self.SpeechModelRuntime.load({ modelUrl, wasmUrl, language, onProgress }),
+ * resolving to a model with transcribe(samples, { language, onPartial }).
+ * Samples are 16 kHz mono Float32Array PCM. With language 'auto' the model should
+ * detect the language and include it in the result; an optional
+ * detectLanguage(samples) resolving to { language, confidence } is used for
+ * whole-file detection.
+ */
+
+let runtimeUrl = null;
+let model = null;
+
+self.addEventListener('message', async (event) => {
+    const { type, id, data } = event.data;
+
+    try {
+        switch (type) {
+            case 'load':
+                await loadModel(data);
+                self.postMessage({ type: 'ready', id });
+                break;
+
+            case 'transcribe': {
+                const result = await transcribe(id, data);
+                self.postMessage({ type: 'result', id, data: result });
+                break;
+            }
+
+            case 'detect-language':
+                self.postMessage({ type: 'result', id, data: await detectLanguage(data) });
+                break;
+
+            case 'dispose':
+                disposeModel();
+                self.postMessage({ type: 'disposed', id });
+                break;
+
+            default:
+                throw new Error(`Unknown message type: ${type}`);
+        }
+    } catch (error) {
+        self.postMessage({
+            type: 'error',
+            id,
+            data: { message: error.message, code: error.code || 'OFFLINE_TRANSCRIPTION_ERROR' }
+        });
+    }
+});
+
+// Load the speech runtime and model files
+async function loadModel(config) {
+    if (model && runtimeUrl === config.runtimeUrl) {
+        return;
+    }
+
+    if (!self.SpeechModelRuntime || runtimeUrl !== config.runtimeUrl) {
+        importScripts(config.runtimeUrl);
+        runtimeUrl = config.runtimeUrl;
+    }
+
+    if (!self.SpeechModelRuntime || typeof self.SpeechModelRuntime.load !== 'function') {
+        throw new Error('Speech runtime did not register SpeechModelRuntime.load()');
+    }
+
+    disposeModel();
+    model = await self.SpeechModelRuntime.load({
+        modelUrl: config.modelUrl,
+        wasmUrl: config.wasmUrl,
+        language: config.language,
+        onProgress: (loaded, total) => {
+            self.postMessage({ type: 'load-progress', data: { loaded, total } });
+        }
+    });
+}
+
+// Transcribe a chunk, streaming partial hypotheses back to the main thread
+async function transcribe(id, chunk) {
+    if (!model) {
+        throw new Error('Speech model is not loaded');
+    }
+
+    return model.transcribe(chunk.samples, {
+        language: chunk.language,
+        onPartial: (text) => {
+            self.postMessage({ type: 'partial', id, data: { text } });
+        }
+    });
+}
+
+// Identify the spoken language of a chunk
+async function detectLanguage(chunk) {
+    if (!model) {
+        throw new Error('Speech model is not loaded');
+    }
+
+    if (typeof model.detectLanguage !== 'function') {
+        const error = new Error('Speech model cannot detect the spoken language');
+        error.code = 'LANGUAGE_DETECTION_UNSUPPORTED';
+        throw error;
+    }
+
+    return model.detectLanguage(chunk.samples);
+}
+
+// Release the model and its WASM memory
+function disposeModel() {
+    if (model && typeof model.dispose === 'function') {
+        model.dispose();
+    }
+    model = null;
+}
@@ -0,0 +1,258 @@
+/**
+ * Video Caption Generator - Processing Job Module
+ * Job model for video processing with cancel/pause/resume and IndexedDB persistence
+ */
+
+class ProcessingJob {
+    constructor(data = {}) {
+        this.id = data.id || Utils.generateId();
+        this.fileKey = data.fileKey || null;
+        this.fileName = data.fileName || '';
+        this.language = data.language || 'en-US'; // May be 'auto'
+        this.detectedLanguage = data.detectedLanguage || null; // Dominant language when auto-detecting
+        this.audioTrack = data.audioTrack ?? null;       // Index into the demuxer's audio tracks, null for the default
+        this.audioChannel = data.audioChannel ?? 'mix';  // Channel index, or 'mix' to average all channels
+        this.enhancement = data.enhancement || null;     // Audio clean-up stages, null when off
+        this.audioProfile = data.audioProfile || null;   // Noise floor and loudness measured for clean-up
+        this.status = data.status || 'running';
+        this.segments = data.segments || null; // Speech segments, once detected
+        this.shotChanges = data.shotChanges || null; // Camera cut times, once detected
+        this.createdAt = data.createdAt || Date.now();
+        this.updatedAt = data.updatedAt || Date.now();
+
+        // Caption (or null when nothing was recognized) per completed segment index
+        this.results = new Map();
+        this.resumeWaiters = [];
+        this.onStateChange = null;
+    }
+
+    /**
+     * Identify a file across reloads
+     */
+    static getFileKey(file) {
+        return `${file.name}:${file.size}:${file.lastModified}`;
+    }
+
+    get isPaused() {
+        return this.status === 'paused';
+    }
+
+    get isCancelled() {
+        return this.status === 'cancelled';
+    }
+
+    /**
+     * Number of segments already transcribed
+     */
+    get completedSegments() {
+        return this.results.size;
+    }
+
+    pause() {
+        if (this.status !== 'running') return;
+        this.setStatus('paused');
+    }
+
+    resume() {
+        if (this.status !== 'paused') return;
+        this.setStatus('running');
+        this.releaseWaiters();
+    }
+
+    cancel() {
+        if (this.status === 'completed' || this.status === 'cancelled') return;
+        this.setStatus('cancelled');
+        this.releaseWaiters();
+    }
+
+    complete() {
+        this.setStatus('completed');
+    }
+
+    setStatus(status) {
+        this.status = status;
+        this.updatedAt = Date.now();
+
+        if (this.onStateChange) {
+            this.onStateChange(this);
+        }
+    }
+
+    releaseWaiters() {
+        const waiters = this.resumeWaiters;
+        this.resumeWaiters = [];
+        waiters.forEach(resolve => resolve());
+    }
+
+    /**
+     * Wait while the job is paused and throw if it was cancelled.
+     * Called between units of work so pausing takes effect at the next safe point.
+     */
+    async checkpoint() {
+        this.throwIfCancelled();
+
+        while (this.isPaused) {
+            await new Promise(resolve => this.resumeWaiters.push(resolve));
+        }
+
+        this.throwIfCancelled();
+    }
+
+    throwIfCancelled() {
+        if (this.isCancelled) {
+            throw ProcessingJob.createCancelledError();
+        }
+    }
+
+    /**
+     * Create the error used to unwind a cancelled job
+     */
+    static createCancelledError() {
+        return Utils.createError('Processing cancelled', 'PROCESSING_CANCELLED');
+    }
+
+    /**
+     * Persistable job record (results are stored separately per segment)
+     */
+    toRecord() {
+        return {
+            id: this.id,
+            fileKey: this.fileKey,
+            fileName: this.fileName,
+            language: this.language,
+            detectedLanguage: this.detectedLanguage,
+            audioTrack: this.audioTrack,
+            audioChannel: this.audioChannel,
+            enhancement: this.enhancement,
+            audioProfile: this.audioProfile,
+            status: this.status,
+            segments: this.segments,
+            shotChanges: this.shotChanges,
+            createdAt: this.createdAt,
+            updatedAt: this.updatedAt
+        };
+    }
+}
+
+class ProcessingJobStore {
+    constructor(dbName = 'VideoCaptionGeneratorJobs') {
+        this.dbName = dbName;
+        this.version = 1;
+        this.dbPromise = null;
+    }
+
+    isAvailable() {
+        return Utils.browserSupports('indexedDB');
+    }
+
+    /**
+     * Open (and create on first use) the jobs database
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, this.version);
+
+                request.onerror = () => reject(request.error);
+                request.onsuccess = () => resolve(request.result);
+
+                request.onupgradeneeded = (event) => {
+                    const db = event.target.result;
+                    if (!db.objectStoreNames.contains('jobs')) {
+                        const jobs = db.createObjectStore('jobs', { keyPath: 'id' });
+                        jobs.createIndex('fileKey', 'fileKey');
+                    }
+                    if (!db.objectStoreNames.contains('results')) {
+                        const results = db.createObjectStore('results', { keyPath: ['jobId', 'index'] });
+                        results.createIndex('jobId', 'jobId');
+                    }
+                };
+            });
+
+            // Allow a later retry if opening failed
+            this.dbPromise.catch(() => {
+                this.dbPromise = null;
+            });
+        }
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a request against a store and resolve with its result
+     */
+    async run(storeName, mode, operation) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([storeName], mode);
+            const request = operation(transaction.objectStore(storeName));
+            let result;
+
+            request.onsuccess = () => {
+                result = request.result;
+            };
+            transaction.oncomplete = () => resolve(result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    saveJob(job) {
+        return this.run('jobs', 'readwrite', store => store.put(job.toRecord()));
+    }
+
+    saveResult(jobId, index, caption) {
+        return this.run('results', 'readwrite', store => store.put({ jobId, index, caption }));
+    }
+
+    /**
+     * Load the most recent unfinished job, optionally for a specific file
+     */
+    async findIncompleteJob(fileKey = null) {
+        const records = fileKey
+            ? await this.run('jobs', 'readonly', store => store.index('fileKey').getAll(fileKey))
+            : await this.run('jobs', 'readonly', store => store.getAll());
+
+        const record = records
+            .filter(item => item.status !== 'completed' && item.status !== 'cancelled')
+            .sort((a, b) => b.updatedAt - a.updatedAt)[0];
+
+        if (!record) return null;
+
+        const job = new ProcessingJob(record);
+        const results = await this.run('results', 'readonly', store => store.index('jobId').getAll(record.id));
+        results.forEach(result => job.results.set(result.index, result.caption));
+
+        return job;
+    }
+
+    /**
+     * Remove a job and its per-segment results
+     */
+    async deleteJob(jobId) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(['jobs', 'results'], 'readwrite');
+            transaction.objectStore('jobs').delete(jobId);
+
+            const results = transaction.objectStore('results');
+            const request = results.index('jobId').openKeyCursor(IDBKeyRange.only(jobId));
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    results.delete(cursor.primaryKey);
+                    cursor.continue();
+                }
+            };
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+}
+
+// Make available globally
+window.ProcessingJob = ProcessingJob;
+window.ProcessingJobStore = ProcessingJobStore;
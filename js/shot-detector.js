@@ -0,0 +1,311 @@
+/**
+ * Video Caption Generator - Shot Detector Module
+ * Finds camera cuts in a video so caption boundaries can be aligned with them
+ *
+ * The video is sampled a few times a second by seeking a hidden video element
+ * and drawing each frame onto a small canvas. Consecutive frames are compared
+ * by their color histograms; a cut is a difference that is large on its own and
+ * stands out from the differences around it (so pans and flashes in busy scenes
+ * don't count). Each cut is then narrowed down by bisection to the first frame
+ * of the new shot, at the video's frame rate.
+ */
+
+class ShotChangeDetector {
+    constructor(options = {}) {
+        this.options = {
+            sampleInterval: 0.5,        // Seconds between scanned frames
+            frameRate: 25,              // Cuts are refined to one frame at this rate
+            frameWidth: 64,             // Size frames are scaled down to before comparing
+            frameHeight: 36,
+            histogramBins: 16,          // Bins per color channel
+            minDifference: 0.3,         // Histogram distance (0 to 1) a cut needs at least
+            contrastFactor: 3,          // ...and how many times the surrounding average it must be
+            contextSize: 6,             // Samples either side making up that average
+            minShotDuration: 1,         // Seconds; closer cuts keep only the stronger one
+            seekTimeout: 10000,         // Milliseconds before a seek is given up
+            ...options
+        };
+    }
+
+    /**
+     * Scan a video file and return the times of its cuts in seconds
+     */
+    async detect(file, { onProgress = null, checkpoint = null } = {}) {
+        const video = document.createElement('video');
+        video.muted = true;
+        video.preload = 'auto';
+        video.playsInline = true;
+        video.src = URL.createObjectURL(file);
+
+        const canvas = document.createElement('canvas');
+        canvas.width = this.options.frameWidth;
+        canvas.height = this.options.frameHeight;
+        this.context = canvas.getContext('2d', { willReadFrequently: true });
+
+        try {
+            await this.waitForMetadata(video);
+            if (!video.videoWidth) {
+                throw Utils.createError('The file has no video track', 'NO_VIDEO_TRACK');
+            }
+            if (!Number.isFinite(video.duration) || video.duration <= 0) {
+                throw Utils.createError('Video duration is unknown', 'UNKNOWN_DURATION');
+            }
+
+            const duration = video.duration;
+            const times = [];
+            const histograms = [];
+
+            for (let time = 0; time < duration; time += this.options.sampleInterval) {
+                histograms.push(await this.captureHistogram(video, time));
+                times.push(time);
+
+                if (onProgress) onProgress(Math.min(1, time / duration));
+                if (checkpoint && histograms.length % 20 === 0) await checkpoint();
+            }
+
+            const differences = histograms.map((histogram, i) =>
+                i === 0 ? 0 : ShotChangeDetector.getDistance(histograms[i - 1], histogram));
+
+            const cuts = [];
+            for (const index of this.findCandidates(differences)) {
+                if (checkpoint) await checkpoint();
+                const time = await this.refineCut(video, times[index - 1], times[index], histograms[index - 1], histograms[index]);
+                cuts.push({ time, strength: differences[index] });
+            }
+
+            if (onProgress) onProgress(1);
+            return this.removeCloseCuts(cuts).map(cut => Math.round(cut.time * 1000) / 1000);
+        } finally {
+            URL.revokeObjectURL(video.src);
+            video.removeAttribute('src');
+            video.load();
+            this.context = null;
+        }
+    }
+
+    waitForMetadata(video) {
+        return new Promise((resolve, reject) => {
+            if (video.readyState >= 1) {
+                resolve();
+                return;
+            }
+            video.addEventListener('loadedmetadata', () => resolve(), { once: true });
+            video.addEventListener('error', () => {
+                reject(Utils.createError('The browser cannot play this video', 'VIDEO_LOAD_ERROR'));
+            }, { once: true });
+        });
+    }
+
+    /**
+     * Seek to a time and wait until the frame there can be drawn
+     */
+    seek(video, time) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                video.removeEventListener('seeked', onSeeked);
+                reject(Utils.createError('Seeking the video timed out', 'SEEK_TIMEOUT'));
+            }, this.options.seekTimeout);
+
+            const onSeeked = () => {
+                clearTimeout(timer);
+                resolve();
+            };
+
+            video.addEventListener('seeked', onSeeked, { once: true });
+            video.currentTime = time;
+        });
+    }
+
+    /**
+     * Normalized RGB histogram of the frame at a time
+     */
+    async captureHistogram(video, time) {
+        await this.seek(video, time);
+
+        const { frameWidth, frameHeight, histogramBins } = this.options;
+        this.context.drawImage(video, 0, 0, frameWidth, frameHeight);
+        const pixels = this.context.getImageData(0, 0, frameWidth, frameHeight).data;
+
+        const histogram = new Float32Array(histogramBins * 3);
+        const shift = 8 - Math.log2(histogramBins);
+        const weight = 1 / (frameWidth * frameHeight);
+
+        for (let i = 0; i < pixels.length; i += 4) {
+            histogram[pixels[i] >> shift] += weight;
+            histogram[histogramBins + (pixels[i + 1] >> shift)] += weight;
+            histogram[2 * histogramBins + (pixels[i + 2] >> shift)] += weight;
+        }
+
+        return histogram;
+    }
+
+    /**
+     * Share of pixels that changed color bin, from 0 (same) to 1 (nothing in common)
+     */
+    static getDistance(a, b) {
+        let sum = 0;
+        for (let i = 0; i < a.length; i++) {
+            sum += Math.abs(a[i] - b[i]);
+        }
+        return sum / 6; // Each of the 3 channels contributes at most 2
+    }
+
+    /**
+     * Sample indices whose difference to the previous frame marks a cut
+     */
+    findCandidates(differences) {
+        const { minDifference, contrastFactor, contextSize } = this.options;
+        const candidates = [];
+
+        for (let i = 1; i < differences.length; i++) {
+            const difference = differences[i];
+            if (difference < minDifference) continue;
+
+            // A change spread over neighbouring samples counts once
+            if (difference < differences[i - 1] || difference < (differences[i + 1] || 0)) continue;
+
+            let sum = 0;
+            let count = 0;
+            for (let j = Math.max(1, i - contextSize); j <= Math.min(differences.length - 1, i + contextSize); j++) {
+                if (j === i) continue;
+                sum += differences[j];
+                count++;
+            }
+
+            const average = count > 0 ? sum / count : 0;
+            if (difference >= average * contrastFactor) {
+                candidates.push(i);
+            }
+        }
+
+        return candidates;
+    }
+
+    /**
+     * Narrow a cut between two sampled times down to the start of the first frame after it
+     */
+    async refineCut(video, startTime, endTime, startHistogram, endHistogram) {
+        const { frameRate } = this.options;
+        let left = startTime;
+        let right = endTime;
+        let leftHistogram = startHistogram;
+        let rightHistogram = endHistogram;
+
+        while (right - left > 1 / frameRate) {
+            const middle = (left + right) / 2;
+            const histogram = await this.captureHistogram(video, middle);
+
+            // The cut is on the side where the picture changes the most
+            if (ShotChangeDetector.getDistance(leftHistogram, histogram) >=
+                ShotChangeDetector.getDistance(histogram, rightHistogram)) {
+                right = middle;
+                rightHistogram = histogram;
+            } else {
+                left = middle;
+                leftHistogram = histogram;
+            }
+        }
+
+        // Left shows the old shot and right the new one, at most a frame later,
+        // so the frame shown at right is the first of the new shot
+        return Math.floor(right * frameRate + 1e-6) / frameRate;
+    }
+
+    /**
+     * Drop the weaker of two cuts closer than the minimum shot duration
+     */
+    removeCloseCuts(cuts) {
+        const kept = [];
+
+        cuts.forEach(cut => {
+            const previous = kept[kept.length - 1];
+            if (previous && cut.time - previous.time < this.options.minShotDuration) {
+                if (cut.strength > previous.strength) {
+                    kept[kept.length - 1] = cut;
+                }
+            } else {
+                kept.push(cut);
+            }
+        });
+
+        return kept;
+    }
+
+    /**
+     * Cut nearest to a time within the tolerance (seconds), or null. Cuts must be sorted.
+     */
+    static findNearestCut(time, cuts, tolerance) {
+        if (!cuts || cuts.length === 0) return null;
+
+        // Binary search for the first cut at or after the time
+        let low = 0;
+        let high = cuts.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (cuts[middle] < time) low = middle + 1;
+            else high = middle;
+        }
+
+        let nearest = null;
+        [cuts[low - 1], cuts[low]].forEach(cut => {
+            if (cut === undefined || Math.abs(cut - time) > tolerance) return;
+            if (nearest === null || Math.abs(cut - time) < Math.abs(nearest - time)) {
+                nearest = cut;
+            }
+        });
+
+        return nearest;
+    }
+
+    /**
+     * Move caption starts that fall just before or after a cut onto the cut, and
+     * ends onto the frame before it, without overlapping neighbours or shrinking
+     * a caption below the minimum duration
+     */
+    static snapCaptions(captions, cuts, { tolerance = 0.5, minDuration = 0.5, frameRate = 25 } = {}) {
+        if (!cuts || cuts.length === 0) return captions;
+
+        const sorted = [...captions].sort((a, b) => a.startTime - b.startTime);
+        const snapped = [];
+
+        sorted.forEach((caption, i) => {
+            const previousEnd = snapped.length > 0 ? snapped[snapped.length - 1].endTime : 0;
+            const nextStart = i < sorted.length - 1 ? sorted[i + 1].startTime : Infinity;
+            let { startTime, endTime } = caption;
+
+            const startCut = ShotChangeDetector.findNearestCut(startTime, cuts, tolerance);
+            if (startCut !== null && startCut >= previousEnd && endTime - startCut >= minDuration) {
+                startTime = startCut;
+            }
+
+            const endCut = ShotChangeDetector.findNearestCut(endTime, cuts, tolerance);
+            const frameBeforeCut = endCut === null ? null : Math.round((endCut - 1 / frameRate) * 1000) / 1000;
+            if (frameBeforeCut !== null && frameBeforeCut <= nextStart && frameBeforeCut - startTime >= minDuration) {
+                endTime = frameBeforeCut;
+            }
+
+            if (startTime === caption.startTime && endTime === caption.endTime) {
+                snapped.push(caption);
+                return;
+            }
+
+            // Keep word timings inside the caption
+            const words = caption.words && caption.words.map(word => ({
+                ...word,
+                start: Math.min(Math.max(word.start, startTime), endTime),
+                end: Math.min(Math.max(word.end, startTime), endTime)
+            }));
+
+            const result = { ...caption, startTime, endTime, words };
+            if (caption.duration !== undefined) {
+                result.duration = endTime - startTime;
+            }
+            snapped.push(result);
+        });
+
+        return snapped;
+    }
+}
+
+// Make available globally
+window.ShotChangeDetector = ShotChangeDetector;
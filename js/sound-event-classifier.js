@@ -0,0 +1,243 @@
+/**
+ * Video Caption Generator - Sound Event Classifier Module
+ * Proposes bracketed sound-event captions ([MUSIC], [APPLAUSE], [LAUGHTER]) for non-speech audio
+ *
+ * Gaps between speech segments are cut into one-second blocks. Each block is
+ * described by the same window features as speech detection (energy, zero-crossing
+ * rate, spectral flatness) plus how its loudness moves over time, then scored
+ * against simple profiles: music is tonal and sustained, applause is bright dense
+ * noise, laughter is voiced bursts repeating a few times a second.
+ */
+
+class SoundEventClassifier {
+    constructor(options = {}) {
+        this.options = {
+            blockDuration: 1,           // Seconds classified at a time
+            minEventDuration: 1,        // Shorter events are not captioned
+            minLevel: 0.005,            // Block RMS below which audio counts as silence (-46 dBFS)
+            minScore: 0.5,              // Score a block needs to be tagged
+            maxSpanBlocks: 30,          // Blocks fetched from the audio source at a time
+            laughterRate: [3, 8],       // Burst repetition rate of laughter in Hz
+            ...options
+        };
+    }
+
+    /**
+     * Sound events that can be tagged, with their caption text
+     */
+    static getEventTypes() {
+        return {
+            music: { name: 'Music', label: '[MUSIC]' },
+            applause: { name: 'Applause', label: '[APPLAUSE]' },
+            laughter: { name: 'Laughter', label: '[LAUGHTER]' }
+        };
+    }
+
+    /**
+     * Classify the audio between speech segments and return sound-event captions
+     */
+    async classify(audioSource, speechSegments, { language = 'en-US', onProgress = null } = {}) {
+        this.detector = new SpeechDetector(audioSource.sampleRate);
+
+        const gaps = this.findGaps(speechSegments, audioSource.duration);
+        const eventTypes = SoundEventClassifier.getEventTypes();
+        const captions = [];
+
+        for (let i = 0; i < gaps.length; i++) {
+            (await this.classifyGap(audioSource, gaps[i])).forEach(event => {
+                captions.push({
+                    id: Utils.generateId(),
+                    text: eventTypes[event.type].label,
+                    startTime: event.startTime,
+                    endTime: event.endTime,
+                    confidence: event.confidence,
+                    language,
+                    type: 'sound',
+                    soundEvent: event.type
+                });
+            });
+
+            // Yield between gaps so the UI stays responsive
+            if (onProgress) onProgress((i + 1) / gaps.length);
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+
+        return captions;
+    }
+
+    /**
+     * Regions of the timeline not covered by speech
+     */
+    findGaps(speechSegments, duration) {
+        const gaps = [];
+        let cursor = 0;
+
+        [...speechSegments]
+            .sort((a, b) => a.startTime - b.startTime)
+            .forEach(segment => {
+                if (segment.startTime - cursor >= this.options.minEventDuration) {
+                    gaps.push({ startTime: cursor, endTime: segment.startTime });
+                }
+                cursor = Math.max(cursor, segment.endTime);
+            });
+
+        if (duration - cursor >= this.options.minEventDuration) {
+            gaps.push({ startTime: cursor, endTime: duration });
+        }
+
+        return gaps;
+    }
+
+    /**
+     * Label the blocks of one gap and join neighbouring blocks of the same type
+     */
+    async classifyGap(audioSource, gap) {
+        const { blockDuration, minEventDuration, maxSpanBlocks } = this.options;
+        const blockCount = Math.max(1, Math.round((gap.endTime - gap.startTime) / blockDuration));
+        const step = (gap.endTime - gap.startTime) / blockCount;
+        const blockSize = Math.floor(step * audioSource.sampleRate);
+
+        // Long gaps are read a span at a time so memory stays bounded
+        const blocks = [];
+        for (let first = 0; first < blockCount; first += maxSpanBlocks) {
+            const count = Math.min(maxSpanBlocks, blockCount - first);
+            const spanStart = gap.startTime + first * step;
+            const span = await audioSource.getSegment(spanStart, spanStart + count * step);
+
+            for (let i = 0; i < count; i++) {
+                const startTime = spanStart + i * step;
+                const samples = span.subarray(i * blockSize, (i + 1) * blockSize);
+                blocks.push({ startTime, endTime: startTime + step, ...this.classifyBlock(samples, audioSource.sampleRate) });
+            }
+        }
+
+        // A single odd block between two blocks of the same type joins them
+        for (let i = 1; i < blocks.length - 1; i++) {
+            if (blocks[i - 1].type && blocks[i - 1].type === blocks[i + 1].type && blocks[i].type !== blocks[i - 1].type) {
+                blocks[i].type = blocks[i - 1].type;
+            }
+        }
+
+        const events = [];
+        blocks.forEach(block => {
+            const previous = events[events.length - 1];
+            if (!block.type) return;
+
+            if (previous && previous.type === block.type && Math.abs(previous.endTime - block.startTime) < 1e-6) {
+                previous.endTime = block.endTime;
+                previous.scores.push(block.score);
+            } else {
+                events.push({ type: block.type, startTime: block.startTime, endTime: block.endTime, scores: [block.score] });
+            }
+        });
+
+        return events
+            .filter(event => event.endTime - event.startTime >= minEventDuration)
+            .map(event => ({
+                type: event.type,
+                startTime: event.startTime,
+                endTime: event.endTime,
+                confidence: event.scores.reduce((sum, score) => sum + score, 0) / event.scores.length
+            }));
+    }
+
+    /**
+     * Score one block against each event profile
+     */
+    classifyBlock(samples, sampleRate) {
+        const features = this.computeBlockFeatures(samples, sampleRate);
+        if (!features || features.level < this.options.minLevel) {
+            return { type: null, score: 0 };
+        }
+
+        const { flatness, zcrFrequency, variation, modulation } = features;
+        const clamp = (value) => Math.max(0, Math.min(1, value));
+
+        const scores = {
+            // Tonal and sustained
+            music: clamp(1 - flatness / 0.3) * clamp(1 - (variation - 0.3) / 0.6),
+            // Noise-like and bright, made of many overlapping claps (steady hiss has no variation)
+            applause: clamp((flatness - 0.15) / 0.25) * clamp((zcrFrequency - 1000) / 2000) *
+                clamp((variation - 0.15) / 0.25) * clamp(1 - (variation - 1) / 0.8),
+            // Voiced bursts at a syllable-like rate
+            laughter: modulation * clamp(variation / 0.6) * clamp(1 - (flatness - 0.35) / 0.3)
+        };
+
+        let type = null;
+        Object.entries(scores).forEach(([name, score]) => {
+            if (score >= this.options.minScore && (!type || score > scores[type])) {
+                type = name;
+            }
+        });
+
+        return { type, score: type ? scores[type] : 0 };
+    }
+
+    /**
+     * Average window features over a block, plus the variation and periodicity of its loudness
+     */
+    computeBlockFeatures(samples, sampleRate) {
+        const windowSize = this.detector.windowSize;
+        const windowCount = Math.floor(samples.length / windowSize);
+        if (windowCount < 4) return null;
+
+        const envelope = new Float64Array(windowCount);
+        let energy = 0;
+        let flatness = 0;
+        let zcr = 0;
+
+        for (let i = 0; i < windowCount; i++) {
+            const features = this.detector.computeFeatures(samples, i * windowSize, (i + 1) * windowSize);
+            envelope[i] = features.rms;
+            energy += features.rms * features.rms;
+
+            // Weight spectral features by loudness so quiet tails don't dominate
+            flatness += features.flatness * features.rms;
+            zcr += features.zcr * features.rms;
+        }
+
+        const mean = envelope.reduce((sum, value) => sum + value, 0) / windowCount;
+        if (mean === 0) return null;
+
+        const variance = envelope.reduce((sum, value) => sum + (value - mean) * (value - mean), 0) / windowCount;
+        const totalRms = envelope.reduce((sum, value) => sum + value, 0);
+
+        return {
+            level: Math.sqrt(energy / windowCount),
+            flatness: flatness / totalRms,
+            zcrFrequency: (zcr / totalRms) * sampleRate / 2,
+            variation: Math.sqrt(variance) / mean,
+            modulation: this.computeModulation(envelope, mean, sampleRate / windowSize)
+        };
+    }
+
+    /**
+     * Strength of loudness periodicity in the laughter rate range (normalized autocorrelation peak)
+     */
+    computeModulation(envelope, mean, framesPerSecond) {
+        const [minRate, maxRate] = this.options.laughterRate;
+        const minLag = Math.max(1, Math.floor(framesPerSecond / maxRate));
+        const maxLag = Math.min(envelope.length - 2, Math.ceil(framesPerSecond / minRate));
+
+        let zeroLag = 0;
+        for (let i = 0; i < envelope.length; i++) {
+            zeroLag += (envelope[i] - mean) * (envelope[i] - mean);
+        }
+        if (zeroLag === 0 || maxLag < minLag) return 0;
+
+        let peak = 0;
+        for (let lag = minLag; lag <= maxLag; lag++) {
+            let sum = 0;
+            for (let i = 0; i + lag < envelope.length; i++) {
+                sum += (envelope[i] - mean) * (envelope[i + lag] - mean);
+            }
+            // Compensate for the shrinking overlap at larger lags
+            peak = Math.max(peak, (sum / (envelope.length - lag)) / (zeroLag / envelope.length));
+        }
+
+        return Math.max(0, Math.min(1, peak));
+    }
+}
+
+// Make available globally
+window.SoundEventClassifier = SoundEventClassifier;
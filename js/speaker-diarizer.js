@@ -0,0 +1,373 @@
+/**
+ * Video Caption Generator - Speaker Diarizer Module
+ * Clusters captions by voice to label who is speaking
+ *
+ * Each caption is summarized by the mean and spread of its MFCCs (a compact
+ * description of vocal timbre), then captions are grouped with k-means. When the
+ * number of speakers is not given it is chosen by silhouette score.
+ */
+
+class SpeakerDiarizer {
+    constructor(options = {}) {
+        this.options = {
+            analysisRate: 16000,      // Audio is decimated to roughly this rate
+            frameSize: 512,           // 32ms frames at 16 kHz
+            melBands: 24,
+            coefficients: 12,         // MFCCs kept (c1..c12; c0 is loudness)
+            maxFramesPerCaption: 300, // Long captions are subsampled
+            minFrames: 5,             // Captions with fewer voiced frames borrow a neighbour's speaker
+            maxSpeakers: 6,
+            minSilhouette: 0.2,       // Below this, a single speaker is assumed
+            smoothingDuration: 1,     // Short captions between two same-speaker captions join them
+            ...options
+        };
+    }
+
+    /**
+     * Assign a `speaker` label to each caption.
+     * speakerCount is a number, or 'auto' to estimate it.
+     */
+    async assignSpeakers(audioSource, captions, { speakerCount = 'auto', onProgress = null } = {}) {
+        if (captions.length === 0) return captions;
+
+        this.setupAnalysis(audioSource.sampleRate);
+
+        const embeddings = [];
+        for (let i = 0; i < captions.length; i++) {
+            const samples = await audioSource.getSegment(captions[i].startTime, captions[i].endTime);
+            embeddings.push(this.computeEmbedding(samples));
+
+            // Yield regularly so the UI stays responsive
+            if (i % 20 === 19) {
+                if (onProgress) onProgress((i + 1) / captions.length);
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+        }
+
+        const labels = this.cluster(embeddings, captions, speakerCount);
+        this.smoothLabels(labels, captions);
+
+        // Number speakers in order of first appearance
+        const names = new Map();
+        captions.forEach((caption, i) => {
+            if (!names.has(labels[i])) {
+                names.set(labels[i], `Speaker ${names.size + 1}`);
+            }
+            caption.speaker = names.get(labels[i]);
+        });
+
+        return captions;
+    }
+
+    /**
+     * Precompute decimation, window and mel filterbank for a sample rate
+     */
+    setupAnalysis(sampleRate) {
+        const { analysisRate, frameSize, melBands } = this.options;
+
+        this.decimation = Math.max(1, Math.round(sampleRate / analysisRate));
+        this.effectiveRate = sampleRate / this.decimation;
+
+        this.hann = new Float64Array(frameSize);
+        for (let i = 0; i < frameSize; i++) {
+            this.hann[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (frameSize - 1));
+        }
+
+        // Triangular filters spaced evenly on the mel scale between 100 Hz and 7 kHz
+        const toMel = (hz) => 2595 * Math.log10(1 + hz / 700);
+        const toHz = (mel) => 700 * (Math.pow(10, mel / 2595) - 1);
+        const bins = frameSize / 2 + 1;
+        const maxHz = Math.min(7000, this.effectiveRate / 2);
+        const melPoints = [];
+        for (let i = 0; i < melBands + 2; i++) {
+            const mel = toMel(100) + (toMel(maxHz) - toMel(100)) * i / (melBands + 1);
+            melPoints.push(toHz(mel) * frameSize / this.effectiveRate);
+        }
+
+        this.filterbank = [];
+        for (let band = 0; band < melBands; band++) {
+            const [left, center, right] = [melPoints[band], melPoints[band + 1], melPoints[band + 2]];
+            const weights = new Float64Array(bins);
+            for (let bin = Math.floor(left); bin <= Math.ceil(right) && bin < bins; bin++) {
+                if (bin > left && bin <= center) {
+                    weights[bin] = (bin - left) / (center - left);
+                } else if (bin > center && bin < right) {
+                    weights[bin] = (right - bin) / (right - center);
+                }
+            }
+            this.filterbank.push(weights);
+        }
+
+        this.real = new Float64Array(frameSize);
+        this.imag = new Float64Array(frameSize);
+    }
+
+    /**
+     * Mean and standard deviation of MFCCs over the louder frames of a caption
+     */
+    computeEmbedding(samples) {
+        const { frameSize, maxFramesPerCaption, minFrames, coefficients } = this.options;
+        const span = frameSize * this.decimation;
+        const hop = span / 2;
+        const frameCount = Math.floor((samples.length - span) / hop) + 1;
+        if (frameCount < minFrames) return null;
+
+        const step = Math.max(1, frameCount / maxFramesPerCaption);
+        const frames = [];
+        for (let f = 0; f < frameCount; f += step) {
+            frames.push(this.computeMFCC(samples, Math.floor(f) * hop));
+        }
+
+        // Keep the louder 60% of frames, which are mostly voiced speech
+        frames.sort((a, b) => b.energy - a.energy);
+        const voiced = frames.slice(0, Math.max(minFrames, Math.ceil(frames.length * 0.6)));
+
+        const embedding = new Float64Array(coefficients * 2);
+        voiced.forEach(frame => {
+            for (let c = 0; c < coefficients; c++) {
+                embedding[c] += frame.mfcc[c] / voiced.length;
+            }
+        });
+        voiced.forEach(frame => {
+            for (let c = 0; c < coefficients; c++) {
+                const diff = frame.mfcc[c] - embedding[c];
+                embedding[coefficients + c] += diff * diff / voiced.length;
+            }
+        });
+        for (let c = 0; c < coefficients; c++) {
+            embedding[coefficients + c] = Math.sqrt(embedding[coefficients + c]);
+        }
+
+        return embedding;
+    }
+
+    /**
+     * MFCCs (c1..cN) and log energy of one frame
+     */
+    computeMFCC(samples, offset) {
+        const { frameSize, melBands, coefficients } = this.options;
+        const real = this.real;
+        const imag = this.imag;
+        imag.fill(0);
+
+        for (let i = 0; i < frameSize; i++) {
+            let value = 0;
+            const start = offset + i * this.decimation;
+            for (let k = 0; k < this.decimation; k++) {
+                value += samples[start + k] || 0;
+            }
+            real[i] = (value / this.decimation) * this.hann[i];
+        }
+
+        SpeechDetector.fft(real, imag);
+
+        const bins = frameSize / 2 + 1;
+        const power = new Float64Array(bins);
+        let energy = 0;
+        for (let bin = 0; bin < bins; bin++) {
+            power[bin] = real[bin] * real[bin] + imag[bin] * imag[bin];
+            energy += power[bin];
+        }
+
+        const logMel = this.filterbank.map(weights => {
+            let sum = 0;
+            for (let bin = 0; bin < bins; bin++) {
+                sum += weights[bin] * power[bin];
+            }
+            return Math.log(sum + 1e-10);
+        });
+
+        // DCT-II of the log mel energies, skipping c0
+        const mfcc = new Float64Array(coefficients);
+        for (let c = 1; c <= coefficients; c++) {
+            let sum = 0;
+            for (let band = 0; band < melBands; band++) {
+                sum += logMel[band] * Math.cos(Math.PI * c * (band + 0.5) / melBands);
+            }
+            mfcc[c - 1] = sum;
+        }
+
+        return { mfcc, energy: Math.log(energy + 1e-10) };
+    }
+
+    /**
+     * Cluster embeddings, returning a cluster index per caption
+     */
+    cluster(embeddings, captions, speakerCount) {
+        const indices = embeddings.map((embedding, i) => (embedding ? i : -1)).filter(i => i >= 0);
+        const labels = new Array(embeddings.length).fill(-1);
+        if (indices.length === 0) return labels.fill(0);
+
+        const points = this.standardize(indices.map(i => embeddings[i]));
+        const weights = indices.map(i => captions[i].endTime - captions[i].startTime);
+        const maxK = Math.min(this.options.maxSpeakers, points.length);
+
+        let best = { assignments: new Array(points.length).fill(0) };
+        if (speakerCount === 'auto') {
+            let bestScore = this.options.minSilhouette;
+            for (let k = 2; k <= maxK; k++) {
+                const assignments = this.kMeans(points, weights, k);
+                const score = this.silhouette(points, assignments);
+                if (score > bestScore) {
+                    bestScore = score;
+                    best = { assignments };
+                }
+            }
+        } else {
+            const k = Math.max(1, Math.min(Number(speakerCount) || 1, points.length));
+            best = { assignments: this.kMeans(points, weights, k) };
+        }
+
+        indices.forEach((captionIndex, i) => {
+            labels[captionIndex] = best.assignments[i];
+        });
+
+        // Captions too short to analyze take the previous (or next) caption's speaker
+        for (let i = 0; i < labels.length; i++) {
+            if (labels[i] === -1) {
+                labels[i] = i > 0 ? labels[i - 1] : labels.find(label => label !== -1);
+            }
+        }
+
+        return labels;
+    }
+
+    /**
+     * Scale each dimension to zero mean and unit variance
+     */
+    standardize(vectors) {
+        const dims = vectors[0].length;
+        const mean = new Float64Array(dims);
+        const std = new Float64Array(dims);
+
+        vectors.forEach(v => v.forEach((x, d) => { mean[d] += x / vectors.length; }));
+        vectors.forEach(v => v.forEach((x, d) => { std[d] += (x - mean[d]) ** 2 / vectors.length; }));
+
+        return vectors.map(v => Array.from(v, (x, d) => (x - mean[d]) / (Math.sqrt(std[d]) || 1)));
+    }
+
+    distance(a, b) {
+        let sum = 0;
+        for (let d = 0; d < a.length; d++) {
+            sum += (a[d] - b[d]) ** 2;
+        }
+        return Math.sqrt(sum);
+    }
+
+    /**
+     * Duration-weighted k-means with deterministic k-means++ seeding
+     */
+    kMeans(points, weights, k, iterations = 30) {
+        let seed = 1;
+        const random = () => {
+            seed = (seed * 16807) % 2147483647;
+            return (seed - 1) / 2147483646;
+        };
+
+        const centroids = [points[Math.floor(random() * points.length)]];
+        while (centroids.length < k) {
+            const distances = points.map(p => Math.min(...centroids.map(c => this.distance(p, c))) ** 2);
+            const total = distances.reduce((sum, d) => sum + d, 0);
+            let target = random() * total;
+            let index = 0;
+            while (index < points.length - 1 && target > distances[index]) {
+                target -= distances[index];
+                index++;
+            }
+            centroids.push(points[index]);
+        }
+
+        let assignments = new Array(points.length).fill(0);
+        for (let iter = 0; iter < iterations; iter++) {
+            const next = points.map(p => {
+                let bestIndex = 0;
+                let bestDistance = Infinity;
+                centroids.forEach((c, i) => {
+                    const d = this.distance(p, c);
+                    if (d < bestDistance) {
+                        bestDistance = d;
+                        bestIndex = i;
+                    }
+                });
+                return bestIndex;
+            });
+
+            const changed = next.some((label, i) => label !== assignments[i]);
+            assignments = next;
+            if (!changed && iter > 0) break;
+
+            for (let c = 0; c < k; c++) {
+                const sum = new Array(points[0].length).fill(0);
+                let weightSum = 0;
+                points.forEach((p, i) => {
+                    if (assignments[i] !== c) return;
+                    p.forEach((x, d) => { sum[d] += x * weights[i]; });
+                    weightSum += weights[i];
+                });
+                if (weightSum > 0) {
+                    centroids[c] = sum.map(x => x / weightSum);
+                }
+            }
+        }
+
+        return assignments;
+    }
+
+    /**
+     * Mean silhouette score (-1..1); higher means better separated clusters
+     */
+    silhouette(points, assignments, maxSamples = 400) {
+        // Score a fixed subsample so long videos stay fast
+        const stride = Math.max(1, points.length / maxSamples);
+        const sample = [];
+        for (let i = 0; i < points.length; i += stride) {
+            sample.push(Math.floor(i));
+        }
+
+        // Clusters are counted in the subsample, since that's what is scored
+        const clusters = new Set(sample.map(i => assignments[i]));
+        if (clusters.size < 2) return -1;
+
+        let total = 0;
+        sample.forEach(i => {
+            const p = points[i];
+            const sums = new Map();
+            const counts = new Map();
+            sample.forEach(j => {
+                if (i === j) return;
+                const q = points[j];
+                const label = assignments[j];
+                sums.set(label, (sums.get(label) || 0) + this.distance(p, q));
+                counts.set(label, (counts.get(label) || 0) + 1);
+            });
+
+            const own = assignments[i];
+            if (!counts.get(own)) return; // Singleton clusters score 0
+
+            const a = sums.get(own) / counts.get(own);
+            let b = Infinity;
+            sums.forEach((sum, label) => {
+                if (label !== own) b = Math.min(b, sum / counts.get(label));
+            });
+            if (Math.max(a, b) > 0) total += (b - a) / Math.max(a, b); // Identical points score 0
+        });
+
+        return total / sample.length;
+    }
+
+    /**
+     * Remove implausible speaker flips on short captions
+     */
+    smoothLabels(labels, captions) {
+        for (let i = 1; i < labels.length - 1; i++) {
+            const duration = captions[i].endTime - captions[i].startTime;
+            if (labels[i - 1] === labels[i + 1] && labels[i] !== labels[i - 1] &&
+                duration < this.options.smoothingDuration) {
+                labels[i] = labels[i - 1];
+            }
+        }
+    }
+}
+
+// Make available globally
+window.SpeakerDiarizer = SpeakerDiarizer;
@@ -0,0 +1,412 @@
+/**
+ * Video Caption Generator - Speech Detector Module
+ * Streaming voice activity detection shared by the main thread and the VAD worker
+ *
+ * Each 25ms window is scored on three features: energy above an adaptive
+ * noise floor, zero-crossing rate and spectral flatness. Window decisions are
+ * smoothed with an onset delay and a hangover before segments are formed.
+ */
+
+class SpeechDetector {
+    constructor(sampleRate, options = {}) {
+        const presets = SpeechDetector.getPresets();
+        const preset = presets[options.preset] || presets[SpeechDetector.getDefaultPreset()];
+
+        this.sampleRate = sampleRate;
+        this.options = {
+            windowDuration: 0.025,   // 25ms analysis window
+            minEnergy: 0.001,        // Absolute RMS below which nothing is speech (-60 dBFS)
+            snrThreshold: 6,         // dB above the noise floor required for speech
+            noiseAttack: 0.2,        // How fast the floor follows quieter audio (per window)
+            noiseRelease: 4,         // Seconds for the floor to rise to louder steady audio
+            noiseWarmup: 0.5,        // Seconds at the start where the floor adapts quickly both ways
+            zcrRange: [50, 3000],    // Zero-crossing frequency (Hz) typical of speech
+            maxZcr: 6000,            // Zero-crossing frequency treated as pure noise
+            maxFlatness: 0.6,        // Spectral flatness treated as pure noise
+            weights: { energy: 0.45, flatness: 0.35, zcr: 0.2 },
+            scoreThreshold: 0.55,    // Combined score required for a speech window
+            onsetDuration: 0.05,     // Speech must persist this long to open a segment
+            hangoverDuration: 0.2,   // Speech is held this long after the last speech window
+            minSegmentLength: 0.5,   // Minimum segment length in seconds
+            maxSilenceGap: 0.3,      // Maximum silence gap in seconds
+            endPadding: 0.1,         // Buffer added after the last speech window
+            ...preset.options,
+            ...options
+        };
+
+        this.windowSize = Math.floor(sampleRate * this.options.windowDuration);
+        this.hopSize = Math.floor(this.windowSize / 2);
+
+        const windowsPerSecond = sampleRate / this.hopSize;
+        this.onsetWindows = Math.max(1, Math.round(this.options.onsetDuration * windowsPerSecond));
+        this.hangoverWindows = Math.round(this.options.hangoverDuration * windowsPerSecond);
+        this.noiseReleaseRate = 1 - Math.exp(-1 / (this.options.noiseRelease * windowsPerSecond));
+        this.warmupWindows = Math.round(this.options.noiseWarmup * windowsPerSecond);
+
+        this.setupSpectralAnalysis();
+
+        // Samples left over from the previous chunk that did not fill a window
+        this.carry = new Float32Array(0);
+        this.carryOffset = 0;
+
+        // Adaptive state
+        this.noiseFloor = this.options.minEnergy;
+        this.windowCount = 0;
+        this.onsetCount = 0;
+        this.hangoverCount = 0;
+        this.isSpeaking = false;
+
+        this.segmentStart = null;
+        this.lastSpeechTime = null;
+    }
+
+    /**
+     * Sensitivity presets shown on the upload tab
+     */
+    static getPresets() {
+        return {
+            interview: {
+                name: 'Interview (close mic)',
+                options: {
+                    snrThreshold: 6,
+                    noiseRelease: 4,
+                    hangoverDuration: 0.2,
+                    minSegmentLength: 0.4,
+                    maxSilenceGap: 0.4
+                }
+            },
+            lecture: {
+                name: 'Lecture (distant mic)',
+                options: {
+                    snrThreshold: 4,
+                    noiseRelease: 6,
+                    hangoverDuration: 0.3,
+                    minSegmentLength: 0.6,
+                    maxSilenceGap: 0.6,
+                    weights: { energy: 0.5, flatness: 0.3, zcr: 0.2 }
+                }
+            },
+            street: {
+                name: 'Noisy street',
+                options: {
+                    snrThreshold: 10,
+                    noiseRelease: 3,
+                    onsetDuration: 0.1,
+                    hangoverDuration: 0.25,
+                    minSegmentLength: 0.5,
+                    maxSilenceGap: 0.3,
+                    maxFlatness: 0.45,
+                    weights: { energy: 0.35, flatness: 0.4, zcr: 0.25 },
+                    scoreThreshold: 0.6
+                }
+            }
+        };
+    }
+
+    static getDefaultPreset() {
+        return 'interview';
+    }
+
+    /**
+     * Time in seconds up to which audio has been analyzed
+     */
+    get processedTime() {
+        return this.carryOffset / this.sampleRate;
+    }
+
+    /**
+     * Analyze the next chunk of samples and return segments completed by it
+     */
+    process(samples) {
+        const data = this.concat(this.carry, samples);
+        const segments = [];
+        let i = 0;
+
+        for (; i + this.windowSize <= data.length; i += this.hopSize) {
+            const currentTime = (this.carryOffset + i) / this.sampleRate;
+            const isSpeech = this.isSpeechWindow(data, i, i + this.windowSize, currentTime);
+            const segment = this.update(isSpeech, currentTime);
+
+            if (segment) {
+                segments.push(segment);
+            }
+        }
+
+        this.carry = data.slice(i);
+        this.carryOffset += i;
+
+        return segments;
+    }
+
+    /**
+     * Close any open segment at the end of the audio
+     */
+    flush() {
+        const segments = [];
+
+        if (this.segmentStart !== null && this.lastSpeechTime !== null) {
+            const segment = this.closeSegment();
+            if (segment) {
+                segments.push(segment);
+            }
+        }
+
+        this.carry = new Float32Array(0);
+        return segments;
+    }
+
+    /**
+     * Classify a single analysis window, applying onset and hangover smoothing
+     */
+    isSpeechWindow(data, start, end, currentTime) {
+        const features = this.computeFeatures(data, start, end);
+        const isCandidate = this.scoreFeatures(features) >= this.options.scoreThreshold;
+
+        this.updateNoiseFloor(features.rms);
+
+        if (isCandidate) {
+            this.onsetCount++;
+            if (this.onsetCount >= this.onsetWindows) {
+                this.isSpeaking = true;
+                this.hangoverCount = this.hangoverWindows;
+            }
+        } else {
+            this.onsetCount = 0;
+            if (this.isSpeaking) {
+                if (this.hangoverCount > 0) {
+                    this.hangoverCount--;
+                } else {
+                    this.isSpeaking = false;
+                }
+            }
+        }
+
+        return this.isSpeaking;
+    }
+
+    /**
+     * Combine window features into a speech likelihood between 0 and 1
+     */
+    scoreFeatures(features) {
+        const { weights, snrThreshold, zcrRange, maxZcr, maxFlatness } = this.options;
+
+        if (features.rms < this.options.minEnergy) {
+            return 0;
+        }
+
+        const snr = 20 * Math.log10(features.rms / this.noiseFloor);
+        if (snr < snrThreshold) {
+            return 0;
+        }
+
+        const energyScore = this.clamp(0.5 + (snr - snrThreshold) / 12);
+        const flatnessScore = this.clamp(1 - features.flatness / maxFlatness);
+
+        // Convert crossings per sample into an approximate frequency
+        const zcrFrequency = features.zcr * this.sampleRate / 2;
+        let zcrScore = 1;
+        if (zcrFrequency < zcrRange[0]) {
+            zcrScore = zcrFrequency / zcrRange[0];
+        } else if (zcrFrequency > zcrRange[1]) {
+            zcrScore = this.clamp(1 - (zcrFrequency - zcrRange[1]) / (maxZcr - zcrRange[1]));
+        }
+
+        return weights.energy * energyScore + weights.flatness * flatnessScore + weights.zcr * zcrScore;
+    }
+
+    /**
+     * Track the background level: follow quieter audio quickly, louder audio slowly,
+     * so steady music or hum is absorbed into the floor within a few seconds
+     */
+    updateNoiseFloor(rms) {
+        const level = Math.max(rms, this.options.minEnergy / 10);
+        const warmingUp = this.windowCount++ < this.warmupWindows;
+        const rate = level < this.noiseFloor || warmingUp ? this.options.noiseAttack : this.noiseReleaseRate;
+        this.noiseFloor += (level - this.noiseFloor) * rate;
+    }
+
+    /**
+     * Compute RMS, zero-crossing rate and spectral flatness of a window
+     */
+    computeFeatures(data, start, end) {
+        let sum = 0;
+        let crossings = 0;
+
+        for (let j = start; j < end; j++) {
+            sum += data[j] * data[j];
+            if (j > start && (data[j] >= 0) !== (data[j - 1] >= 0)) {
+                crossings++;
+            }
+        }
+
+        return {
+            rms: Math.sqrt(sum / (end - start)),
+            zcr: crossings / (end - start - 1),
+            flatness: this.computeSpectralFlatness(data, start, end)
+        };
+    }
+
+    /**
+     * Prepare buffers for the spectral flatness FFT.
+     * Windows are decimated to about 8 kHz, which covers the speech band cheaply.
+     */
+    setupSpectralAnalysis() {
+        this.decimation = Math.max(1, Math.floor(this.sampleRate / 8000));
+        this.frameLength = Math.max(1, Math.floor(this.windowSize / this.decimation));
+
+        this.fftSize = 64;
+        while (this.fftSize < this.frameLength) {
+            this.fftSize *= 2;
+        }
+
+        this.hann = new Float64Array(this.frameLength);
+        for (let i = 0; i < this.frameLength; i++) {
+            this.hann[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / Math.max(1, this.frameLength - 1));
+        }
+
+        this.fftReal = new Float64Array(this.fftSize);
+        this.fftImag = new Float64Array(this.fftSize);
+    }
+
+    /**
+     * Ratio of geometric to arithmetic mean of the power spectrum:
+     * close to 1 for noise, close to 0 for voiced (harmonic) sound
+     */
+    computeSpectralFlatness(data, start, end) {
+        const real = this.fftReal;
+        const imag = this.fftImag;
+        real.fill(0);
+        imag.fill(0);
+
+        // Decimate by averaging, then apply the Hann window
+        for (let i = 0; i < this.frameLength; i++) {
+            let value = 0;
+            const offset = start + i * this.decimation;
+            for (let k = 0; k < this.decimation && offset + k < end; k++) {
+                value += data[offset + k];
+            }
+            real[i] = (value / this.decimation) * this.hann[i];
+        }
+
+        SpeechDetector.fft(real, imag);
+
+        const epsilon = 1e-12;
+        const bins = this.fftSize / 2;
+        let logSum = 0;
+        let powerSum = 0;
+
+        for (let k = 1; k <= bins; k++) {
+            const power = real[k] * real[k] + imag[k] * imag[k] + epsilon;
+            logSum += Math.log(power);
+            powerSum += power;
+        }
+
+        return Math.exp(logSum / bins) / (powerSum / bins);
+    }
+
+    /**
+     * In-place iterative radix-2 FFT
+     */
+    static fft(real, imag) {
+        const n = real.length;
+
+        for (let i = 1, j = 0; i < n; i++) {
+            let bit = n >> 1;
+            for (; j & bit; bit >>= 1) {
+                j ^= bit;
+            }
+            j ^= bit;
+
+            if (i < j) {
+                [real[i], real[j]] = [real[j], real[i]];
+                [imag[i], imag[j]] = [imag[j], imag[i]];
+            }
+        }
+
+        for (let length = 2; length <= n; length <<= 1) {
+            const angle = -2 * Math.PI / length;
+            const stepReal = Math.cos(angle);
+            const stepImag = Math.sin(angle);
+
+            for (let i = 0; i < n; i += length) {
+                let wReal = 1;
+                let wImag = 0;
+
+                for (let j = 0; j < length / 2; j++) {
+                    const a = i + j;
+                    const b = a + length / 2;
+                    const tReal = real[b] * wReal - imag[b] * wImag;
+                    const tImag = real[b] * wImag + imag[b] * wReal;
+
+                    real[b] = real[a] - tReal;
+                    imag[b] = imag[a] - tImag;
+                    real[a] += tReal;
+                    imag[a] += tImag;
+
+                    const nextReal = wReal * stepReal - wImag * stepImag;
+                    wImag = wReal * stepImag + wImag * stepReal;
+                    wReal = nextReal;
+                }
+            }
+        }
+    }
+
+    /**
+     * Advance the segment state machine by one window
+     */
+    update(isSpeech, currentTime) {
+        if (isSpeech) {
+            if (this.segmentStart === null) {
+                // Back-date the start to the first window of the onset run
+                this.segmentStart = Math.max(0, currentTime - (this.onsetWindows - 1) * this.hopSize / this.sampleRate);
+            }
+            this.lastSpeechTime = currentTime;
+        } else if (this.segmentStart !== null && this.lastSpeechTime !== null) {
+            // End the segment once the silence gap is too long
+            if (currentTime - this.lastSpeechTime > this.options.maxSilenceGap) {
+                return this.closeSegment();
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Close the open segment, dropping it if it is too short
+     */
+    closeSegment() {
+        const segmentDuration = this.lastSpeechTime - this.segmentStart;
+        let segment = null;
+
+        if (segmentDuration >= this.options.minSegmentLength) {
+            segment = {
+                startTime: this.segmentStart,
+                endTime: this.lastSpeechTime + this.options.endPadding,
+                duration: segmentDuration
+            };
+        }
+
+        this.segmentStart = null;
+        this.lastSpeechTime = null;
+        return segment;
+    }
+
+    /**
+     * Join two sample arrays
+     */
+    concat(first, second) {
+        if (first.length === 0) return second;
+
+        const result = new Float32Array(first.length + second.length);
+        result.set(first, 0);
+        result.set(second, first.length);
+        return result;
+    }
+
+    clamp(value, min = 0, max = 1) {
+        return Math.max(min, Math.min(max, value));
+    }
+}
+
+// Make available globally (self is window on the main thread and the worker scope in workers)
+self.SpeechDetector = SpeechDetector;
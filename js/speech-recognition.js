@@ -21,6 +21,7 @@ class SpeechRecognitionManager {
         this.transcriptBuffer = '';
         this.captionSegments = [];
         this.segmentStartTime = null;
+        this.wordTimes = []; // When each word of the current utterance was first heard
         
         this.initializeAudioVisualization();
         this.setupRecognition();
@@ -344,6 +345,7 @@ class SpeechRecognitionManager {
     handleRecognitionStart() {
         console.log('Speech recognition started');
         this.segmentStartTime = Date.now();
+        this.wordTimes = [];
     }
 
     /**
@@ -352,6 +354,7 @@ class SpeechRecognitionManager {
     handleRecognitionResult(event) {
         let interimTranscript = '';
         let finalTranscript = '';
+        const finalConfidences = [];
 
         // Process all results
         for (let i = event.resultIndex; i < event.results.length; i++) {
@@ -359,17 +362,32 @@ class SpeechRecognitionManager {
             
             if (event.results[i].isFinal) {
                 finalTranscript += transcript;
+                finalConfidences.push(event.results[i][0].confidence);
             } else {
                 interimTranscript += transcript;
             }
         }
 
+        // The recognizer reports no word timings, so note when each word first appears
+        const now = Date.now();
+        const heardWords = Utils.tokenizeWords(finalTranscript + ' ' + interimTranscript);
+        while (this.wordTimes.length < heardWords.length) {
+            this.wordTimes.push(now);
+        }
+
         // Update live display
         this.updateLiveDisplay(finalTranscript, interimTranscript);
 
         // Add final results to captions
         if (finalTranscript) {
-            this.addCaptionSegment(finalTranscript);
+            const finalWordCount = Utils.tokenizeWords(finalTranscript).length;
+            const wordTimes = this.wordTimes.slice(0, finalWordCount);
+            this.wordTimes = this.wordTimes.slice(finalWordCount);
+
+            const confidence = finalConfidences.length > 0
+                ? finalConfidences.reduce((sum, value) => sum + value, 0) / finalConfidences.length
+                : null;
+            this.addCaptionSegment(finalTranscript, wordTimes, confidence);
         }
     }
 
@@ -466,7 +484,7 @@ class SpeechRecognitionManager {
     /**
      * Add a caption segment
      */
-    addCaptionSegment(text) {
+    addCaptionSegment(text, wordTimes = [], confidence = null) {
         if (!text.trim()) return;
 
         const now = Date.now();
@@ -478,8 +496,9 @@ class SpeechRecognitionManager {
             text: text.trim(),
             startTime: Math.max(0, startTime),
             endTime: endTime,
-            confidence: 0.8, // Mock confidence score
-            language: this.currentLanguage
+            confidence: typeof confidence === 'number' ? confidence : 0.8, // Recognizer's score, when it gave one
+            language: this.currentLanguage,
+            words: this.createWordTimings(text, wordTimes, Math.max(0, startTime), endTime, confidence)
         };
 
         this.captionSegments.push(segment);
@@ -496,6 +515,33 @@ class SpeechRecognitionManager {
         this.updateCaptionCount();
     }
 
+    /**
+     * Build word timings from the times words were first heard.
+     * A word is treated as ending when it was heard and starting where the previous one ended.
+     */
+    createWordTimings(text, wordTimes, startTime, endTime, confidence) {
+        const tokens = Utils.tokenizeWords(text);
+        if (tokens.length === 0 || tokens.length !== wordTimes.length) {
+            return undefined;
+        }
+
+        let previousEnd = startTime;
+        return tokens.map((token, i) => {
+            const heardAt = (wordTimes[i] - this.recordingStartTime) / 1000;
+            const end = i === tokens.length - 1
+                ? endTime
+                : Math.min(endTime, Math.max(previousEnd, heardAt));
+            const word = {
+                text: token,
+                start: previousEnd,
+                end,
+                confidence: typeof confidence === 'number' ? confidence : null
+            };
+            previousEnd = end;
+            return word;
+        });
+    }
+
     /**
      * Add final segment to display
      */
@@ -572,6 +618,7 @@ class SpeechRecognitionManager {
     clearCaptions() {
         this.captionSegments = [];
         this.transcriptBuffer = '';
+        this.wordTimes = [];
         
         const output = document.getElementById('live-captions-output');
         if (output) {
@@ -0,0 +1,133 @@
+/**
+ * Video Caption Generator - Timeline Minimap Module
+ * Overview of the whole caption timeline with the visible part outlined, for jumping around long files
+ *
+ * Captions are drawn once into an offscreen canvas whenever they change; moving
+ * the viewport or the playhead only copies that image and draws the overlays.
+ */
+
+class TimelineMinimap {
+    constructor(canvas, options = {}) {
+        this.canvas = canvas;
+        this.context = canvas.getContext('2d');
+        this.options = {
+            captionColor: '#3b82f6',
+            soundColor: '#94a3b8',
+            cutColor: 'rgba(245, 158, 11, 0.6)',
+            viewportColor: 'rgba(37, 99, 235, 0.15)',
+            viewportBorder: '#2563eb',
+            playheadColor: '#ef4444',
+            ...options
+        };
+
+        this.duration = 0;
+        this.viewport = { startTime: 0, endTime: 0 };
+        this.currentTime = 0;
+        this.layer = document.createElement('canvas');
+        this.onSeek = null;     // Called with the time to center the timeline on
+        this.isDragging = false;
+
+        this.canvas.addEventListener('mousedown', (e) => {
+            this.isDragging = true;
+            this.seekTo(e.clientX);
+        });
+        document.addEventListener('mousemove', (e) => {
+            if (this.isDragging) this.seekTo(e.clientX);
+        });
+        document.addEventListener('mouseup', () => {
+            this.isDragging = false;
+        });
+    }
+
+    seekTo(clientX) {
+        if (!this.onSeek || !this.duration) return;
+
+        const rect = this.canvas.getBoundingClientRect();
+        const fraction = Math.max(0, Math.min(1, (clientX - rect.left) / rect.width));
+        this.onSeek(fraction * this.duration);
+    }
+
+    /**
+     * Redraw the caption layer. getColor(caption) may return a color per caption.
+     */
+    setCaptions(captions, duration, { cuts = [], getColor = null } = {}) {
+        this.duration = duration;
+        this.resize();
+
+        const { width, height } = this.canvas;
+        this.layer.width = width;
+        this.layer.height = height;
+
+        const context = this.layer.getContext('2d');
+        context.clearRect(0, 0, width, height);
+        if (!duration) return;
+
+        const scale = width / duration;
+
+        context.fillStyle = this.options.cutColor;
+        cuts.forEach(time => context.fillRect(Math.floor(time * scale), 0, 1, height));
+
+        captions.forEach(caption => {
+            const isSound = Utils.isSoundCaption(caption);
+            context.fillStyle = (getColor && getColor(caption)) ||
+                (isSound ? this.options.soundColor : this.options.captionColor);
+
+            // Sound events sit in the lower half, speech in the upper half
+            const top = isSound ? height * 0.55 : height * 0.15;
+            const x = caption.startTime * scale;
+            context.fillRect(x, top, Math.max(1, (caption.endTime - caption.startTime) * scale), height * 0.3);
+        });
+
+        this.draw();
+    }
+
+    setViewport(startTime, endTime) {
+        this.viewport = { startTime, endTime };
+        this.draw();
+    }
+
+    setCurrentTime(time) {
+        this.currentTime = time;
+        this.draw();
+    }
+
+    resize() {
+        const ratio = window.devicePixelRatio || 1;
+        const rect = this.canvas.getBoundingClientRect();
+        const width = Math.max(1, Math.round(rect.width * ratio));
+        const height = Math.max(1, Math.round(rect.height * ratio));
+
+        if (this.canvas.width !== width || this.canvas.height !== height) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
+    }
+
+    draw() {
+        const { width, height } = this.canvas;
+        const context = this.context;
+        context.clearRect(0, 0, width, height);
+        if (!this.duration) return;
+
+        if (this.layer.width === width && this.layer.height === height) {
+            context.drawImage(this.layer, 0, 0);
+        }
+
+        const scale = width / this.duration;
+        const ratio = window.devicePixelRatio || 1;
+        const left = this.viewport.startTime * scale;
+        const viewportWidth = Math.max(2 * ratio, (this.viewport.endTime - this.viewport.startTime) * scale);
+
+        context.fillStyle = this.options.viewportColor;
+        context.fillRect(left, 0, viewportWidth, height);
+        context.strokeStyle = this.options.viewportBorder;
+        context.lineWidth = ratio;
+        context.strokeRect(left + ratio / 2, ratio / 2, viewportWidth - ratio, height - ratio);
+
+        context.fillStyle = this.options.playheadColor;
+        context.fillRect(Math.min(width - ratio, this.currentTime * scale), 0, ratio, height);
+    }
+}
+
+// Make available globally
+window.TimelineMinimap = TimelineMinimap;
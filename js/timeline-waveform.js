@@ -0,0 +1,464 @@
+/**
+ * Video Caption Generator - Timeline Waveform Module
+ * Draws the audio of the loaded file as a waveform or spectrogram lane under the caption timeline
+ *
+ * Peaks (minimum and maximum of every 5 ms) are kept in tiers that halve the
+ * resolution each step, so drawing at any zoom level only reads about one peak
+ * per pixel. The spectrogram keeps a few dozen log-spaced frequency bands per
+ * column. Both are computed once per file, track and channel and cached in
+ * IndexedDB, so reopening a long file redraws instantly.
+ */
+
+class TimelineWaveform {
+    constructor(canvas, options = {}) {
+        this.canvas = canvas;
+        this.context = canvas.getContext('2d');
+        this.options = {
+            peaksPerSecond: 200,        // Resolution of the finest peak tier
+            minPeaksPerSecond: 1,       // Coarsest tier kept
+            windowDuration: 10,         // Seconds of audio read between redraws
+            columnsPerSecond: 20,       // Spectrogram time resolution
+            bands: 48,                  // Spectrogram frequency bands, log-spaced
+            fftSize: 512,
+            minFrequency: 60,
+            maxFrequency: 8000,
+            minDecibels: -100,          // Band levels mapped onto the color scale
+            maxDecibels: -10,
+            waveColor: '#3b82f6',
+            centerColor: 'rgba(59, 130, 246, 0.35)',
+            background: 'transparent',
+            ...options
+        };
+
+        this.cache = new PeakCacheStore();
+        this.mode = 'waveform';     // 'waveform' or 'spectrogram'
+        this.loadId = 0;
+        this.key = null;
+        this.palette = this.createPalette();
+        this.view = { startTime: 0, pixelsPerSecond: 100, width: 0 };
+        this.reset();
+    }
+
+    reset() {
+        this.duration = 0;
+        this.tiers = [];
+        this.spectrogram = { length: 0, data: new Uint8Array(0) };
+    }
+
+    /**
+     * Show the peaks cached under a key, or compute them from the audio source that
+     * openAudioSource() resolves to (only called on a cache miss).
+     * Resolves to false when a newer load or clear() superseded this one.
+     */
+    async load(key, openAudioSource, { onProgress = null } = {}) {
+        const loadId = ++this.loadId;
+        this.key = key;
+        this.reset();
+        this.draw();
+
+        const cached = await this.cache.get(key).catch(() => null);
+        if (loadId !== this.loadId) return false;
+
+        if (cached) {
+            this.restore(cached);
+            this.draw();
+            return true;
+        }
+
+        const audioSource = await openAudioSource();
+        if (!audioSource || loadId !== this.loadId) return false;
+
+        this.duration = audioSource.duration;
+        this.prepareAnalysis(audioSource.sampleRate);
+        this.tiers = [{ peaksPerSecond: this.options.peaksPerSecond, length: 0, min: new Int8Array(0), max: new Int8Array(0) }];
+
+        for await (const window of audioSource.windows(this.options.windowDuration)) {
+            if (loadId !== this.loadId) return false;
+
+            this.appendPeaks(window.samples);
+            this.appendSpectrogram(window.samples);
+            this.draw();
+
+            if (onProgress) onProgress(window.progress);
+        }
+
+        if (loadId !== this.loadId) return false;
+
+        this.cache.put(this.toRecord()).catch(error => console.warn('Could not cache waveform peaks:', error));
+        return true;
+    }
+
+    /**
+     * Stop any load in progress and blank the lane
+     */
+    clear() {
+        this.loadId++;
+        this.key = null;
+        this.reset();
+        this.draw();
+    }
+
+    setMode(mode) {
+        this.mode = mode;
+        this.draw();
+    }
+
+    /**
+     * Visible part of the timeline, in seconds and pixels per second
+     */
+    setView(startTime, pixelsPerSecond, width) {
+        this.view = { startTime, pixelsPerSecond, width };
+        this.draw();
+    }
+
+    /**
+     * FFT buffers, window and band edges for the spectrogram
+     */
+    prepareAnalysis(sampleRate) {
+        const { fftSize, bands, minFrequency } = this.options;
+        const maxFrequency = Math.min(this.options.maxFrequency, sampleRate / 2);
+
+        this.sampleRate = sampleRate;
+        this.samplesPerPeak = sampleRate / this.options.peaksPerSecond;
+        this.hopSize = Math.round(sampleRate / this.options.columnsPerSecond);
+        this.real = new Float32Array(fftSize);
+        this.imag = new Float32Array(fftSize);
+        this.fftWindow = new Float32Array(fftSize);
+        for (let i = 0; i < fftSize; i++) {
+            this.fftWindow[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (fftSize - 1));
+        }
+
+        // Bin range of each band, spaced evenly on a log scale
+        this.bandBins = [];
+        const binWidth = sampleRate / fftSize;
+        for (let band = 0; band < bands; band++) {
+            const low = minFrequency * Math.pow(maxFrequency / minFrequency, band / bands);
+            const high = minFrequency * Math.pow(maxFrequency / minFrequency, (band + 1) / bands);
+            const first = Math.min(fftSize / 2 - 1, Math.floor(low / binWidth));
+            this.bandBins.push([first, Math.max(first + 1, Math.min(fftSize / 2, Math.ceil(high / binWidth)))]);
+        }
+
+        // Hann window power, so a full-scale sine reads about 0 dB
+        this.powerScale = 4 / (fftSize * fftSize * 0.25);
+    }
+
+    /**
+     * Add a window of samples to the finest tier and fill the coarser tiers from it
+     */
+    appendPeaks(samples) {
+        const base = this.tiers[0];
+        const count = Math.ceil(samples.length / this.samplesPerPeak);
+        TimelineWaveform.growTier(base, base.length + count);
+
+        for (let i = 0; i < count; i++) {
+            let min = 0;
+            let max = 0;
+            const end = Math.min(samples.length, Math.round((i + 1) * this.samplesPerPeak));
+            for (let j = Math.round(i * this.samplesPerPeak); j < end; j++) {
+                if (samples[j] < min) min = samples[j];
+                if (samples[j] > max) max = samples[j];
+            }
+            base.min[base.length] = Math.max(-127, Math.round(min * 127));
+            base.max[base.length] = Math.min(127, Math.round(max * 127));
+            base.length++;
+        }
+
+        // Each coarser tier merges pairs of the tier below
+        for (let level = 1; ; level++) {
+            const finer = this.tiers[level - 1];
+            const peaksPerSecond = finer.peaksPerSecond / 2;
+            if (peaksPerSecond < this.options.minPeaksPerSecond) break;
+
+            if (!this.tiers[level]) {
+                this.tiers[level] = { peaksPerSecond, length: 0, min: new Int8Array(0), max: new Int8Array(0) };
+            }
+
+            const tier = this.tiers[level];
+            const target = Math.floor(finer.length / 2);
+            TimelineWaveform.growTier(tier, target);
+            for (; tier.length < target; tier.length++) {
+                const i = tier.length * 2;
+                tier.min[tier.length] = Math.min(finer.min[i], finer.min[i + 1]);
+                tier.max[tier.length] = Math.max(finer.max[i], finer.max[i + 1]);
+            }
+        }
+    }
+
+    static growTier(tier, length) {
+        if (length <= tier.min.length) return;
+
+        const capacity = Math.max(length, tier.min.length * 2);
+        const min = new Int8Array(capacity);
+        const max = new Int8Array(capacity);
+        min.set(tier.min.subarray(0, tier.length));
+        max.set(tier.max.subarray(0, tier.length));
+        tier.min = min;
+        tier.max = max;
+    }
+
+    /**
+     * Add spectrogram columns (band levels scaled to 0-255) for a window of samples
+     */
+    appendSpectrogram(samples) {
+        const { fftSize, bands, minDecibels, maxDecibels } = this.options;
+        const columns = Math.ceil(samples.length / this.hopSize);
+        const spectrogram = this.spectrogram;
+
+        const needed = (spectrogram.length + columns) * bands;
+        if (needed > spectrogram.data.length) {
+            const data = new Uint8Array(Math.max(needed, spectrogram.data.length * 2));
+            data.set(spectrogram.data.subarray(0, spectrogram.length * bands));
+            spectrogram.data = data;
+        }
+
+        for (let column = 0; column < columns; column++) {
+            const offset = column * this.hopSize;
+            for (let i = 0; i < fftSize; i++) {
+                const sample = offset + i < samples.length ? samples[offset + i] : 0;
+                this.real[i] = sample * this.fftWindow[i];
+                this.imag[i] = 0;
+            }
+            SpeechDetector.fft(this.real, this.imag);
+
+            const row = spectrogram.length * bands;
+            for (let band = 0; band < bands; band++) {
+                const [first, last] = this.bandBins[band];
+                let power = 0;
+                for (let bin = first; bin < last; bin++) {
+                    power += this.real[bin] * this.real[bin] + this.imag[bin] * this.imag[bin];
+                }
+                const decibels = 10 * Math.log10(power / (last - first) * this.powerScale + 1e-12);
+                const level = (decibels - minDecibels) / (maxDecibels - minDecibels);
+                spectrogram.data[row + band] = Math.round(255 * Math.max(0, Math.min(1, level)));
+            }
+            spectrogram.length++;
+        }
+    }
+
+    /**
+     * Record stored in the peak cache
+     */
+    toRecord() {
+        return {
+            key: this.key,
+            duration: this.duration,
+            tiers: this.tiers.map(tier => ({
+                peaksPerSecond: tier.peaksPerSecond,
+                min: tier.min.slice(0, tier.length),
+                max: tier.max.slice(0, tier.length)
+            })),
+            spectrogram: this.spectrogram.data.slice(0, this.spectrogram.length * this.options.bands),
+            columnsPerSecond: this.options.columnsPerSecond,
+            bands: this.options.bands,
+            updatedAt: Date.now()
+        };
+    }
+
+    restore(record) {
+        this.duration = record.duration;
+        this.tiers = record.tiers.map(tier => ({ ...tier, length: tier.min.length }));
+        this.spectrogram = { length: record.spectrogram.length / record.bands, data: record.spectrogram };
+    }
+
+    /**
+     * Black to blue to orange to yellow, as [r, g, b] per level
+     */
+    createPalette() {
+        const stops = [[0, [10, 12, 30]], [0.35, [40, 60, 160]], [0.65, [200, 80, 60]], [0.85, [250, 170, 40]], [1, [255, 250, 200]]];
+        const palette = [];
+
+        for (let level = 0; level < 256; level++) {
+            const value = level / 255;
+            let i = 1;
+            while (i < stops.length - 1 && stops[i][0] < value) i++;
+            const [position0, color0] = stops[i - 1];
+            const [position1, color1] = stops[i];
+            const fraction = (value - position0) / (position1 - position0);
+            palette.push(color0.map((channel, c) => Math.round(channel + (color1[c] - channel) * fraction)));
+        }
+
+        return palette;
+    }
+
+    draw() {
+        const ratio = window.devicePixelRatio || 1;
+        const rect = this.canvas.getBoundingClientRect();
+        const width = Math.max(1, Math.round(rect.width * ratio));
+        const height = Math.max(1, Math.round(rect.height * ratio));
+
+        if (this.canvas.width !== width || this.canvas.height !== height) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
+
+        const context = this.context;
+        context.clearRect(0, 0, width, height);
+        if (this.options.background !== 'transparent') {
+            context.fillStyle = this.options.background;
+            context.fillRect(0, 0, width, height);
+        }
+
+        if (this.mode === 'spectrogram') {
+            this.drawSpectrogram(width, height, ratio);
+        } else {
+            this.drawWaveform(width, height, ratio);
+        }
+    }
+
+    drawWaveform(width, height, ratio) {
+        if (this.tiers.length === 0 || this.tiers[0].length === 0) return;
+
+        const pixelsPerSecond = this.view.pixelsPerSecond * ratio;
+        const startTime = this.view.startTime;
+
+        // Coarsest tier that still has at least one peak per pixel
+        let tier = this.tiers[0];
+        for (const candidate of this.tiers) {
+            if (candidate.peaksPerSecond >= pixelsPerSecond && candidate.length > 0) tier = candidate;
+        }
+
+        const context = this.context;
+        const middle = height / 2;
+        const scale = (height / 2 - ratio) / 127;
+
+        context.fillStyle = this.options.centerColor;
+        context.fillRect(0, Math.floor(middle), width, Math.max(1, Math.round(ratio / 2)));
+
+        context.fillStyle = this.options.waveColor;
+        for (let x = 0; x < width; x++) {
+            const first = Math.floor((startTime + x / pixelsPerSecond) * tier.peaksPerSecond);
+            if (first >= tier.length) break;
+            if (first < 0) continue;
+
+            const last = Math.min(tier.length, Math.max(first + 1, Math.floor((startTime + (x + 1) / pixelsPerSecond) * tier.peaksPerSecond)));
+            let min = 0;
+            let max = 0;
+            for (let i = first; i < last; i++) {
+                if (tier.min[i] < min) min = tier.min[i];
+                if (tier.max[i] > max) max = tier.max[i];
+            }
+
+            const top = middle - max * scale;
+            context.fillRect(x, top, 1, Math.max(1, (max - min) * scale));
+        }
+    }
+
+    drawSpectrogram(width, height) {
+        const { length, data } = this.spectrogram;
+        if (length === 0) return;
+
+        const bands = this.options.bands;
+        const columnsPerSecond = this.options.columnsPerSecond;
+        const pixelsPerSecond = this.view.pixelsPerSecond * (window.devicePixelRatio || 1);
+        const image = this.context.createImageData(width, height);
+        const pixels = image.data;
+
+        // Band drawn on each row, highest frequencies at the top
+        const rowBands = new Int32Array(height);
+        for (let y = 0; y < height; y++) {
+            rowBands[y] = Math.min(bands - 1, Math.floor((height - 1 - y) / height * bands));
+        }
+
+        for (let x = 0; x < width; x++) {
+            const column = Math.floor((this.view.startTime + x / pixelsPerSecond) * columnsPerSecond);
+            if (column >= length) break;
+            if (column < 0) continue;
+
+            for (let y = 0; y < height; y++) {
+                const color = this.palette[data[column * bands + rowBands[y]]];
+                const index = (y * width + x) * 4;
+                pixels[index] = color[0];
+                pixels[index + 1] = color[1];
+                pixels[index + 2] = color[2];
+                pixels[index + 3] = 255;
+            }
+        }
+
+        this.context.putImageData(image, 0, 0);
+    }
+}
+
+class PeakCacheStore {
+    constructor(dbName = 'VideoCaptionGeneratorPeaks') {
+        this.dbName = dbName;
+        this.version = 1;
+        this.maxEntries = 20;   // Least recently computed files are dropped beyond this
+        this.dbPromise = null;
+    }
+
+    isAvailable() {
+        return Utils.browserSupports('indexedDB');
+    }
+
+    open() {
+        if (!this.isAvailable()) {
+            return Promise.reject(Utils.createError('IndexedDB is not available', 'STORAGE_UNAVAILABLE'));
+        }
+
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, this.version);
+
+                request.onerror = () => reject(request.error);
+                request.onsuccess = () => resolve(request.result);
+
+                request.onupgradeneeded = (event) => {
+                    const db = event.target.result;
+                    if (!db.objectStoreNames.contains('peaks')) {
+                        const peaks = db.createObjectStore('peaks', { keyPath: 'key' });
+                        peaks.createIndex('updatedAt', 'updatedAt');
+                    }
+                };
+            });
+
+            // Allow a later retry if opening failed
+            this.dbPromise.catch(() => {
+                this.dbPromise = null;
+            });
+        }
+
+        return this.dbPromise;
+    }
+
+    async run(mode, operation) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(['peaks'], mode);
+            const request = operation(transaction.objectStore('peaks'));
+            let result;
+
+            request.onsuccess = () => {
+                result = request.result;
+            };
+            transaction.oncomplete = () => resolve(result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    async get(key) {
+        return (await this.run('readonly', store => store.get(key))) || null;
+    }
+
+    async put(record) {
+        await this.run('readwrite', store => store.put(record));
+        await this.prune();
+    }
+
+    /**
+     * Keep only the most recently computed entries
+     */
+    async prune() {
+        const keys = await this.run('readonly', store => store.index('updatedAt').getAllKeys());
+        const excess = keys.slice(0, Math.max(0, keys.length - this.maxEntries));
+
+        for (const key of excess) {
+            await this.run('readwrite', store => store.delete(key));
+        }
+    }
+}
+
+// Make available globally
+window.TimelineWaveform = TimelineWaveform;
+window.PeakCacheStore = PeakCacheStore;
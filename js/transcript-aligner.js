@@ -0,0 +1,203 @@
+/**
+ * Video Caption Generator - Transcript Aligner Module
+ * Aligns an existing script to detected speech segments to produce timed captions
+ *
+ * Alignment is driven by speech activity rather than recognition: the script's
+ * estimated spoken length (syllables plus punctuation pauses) is spread over the
+ * detected speech, so words never land in silence and pauses fall between segments.
+ */
+
+class TranscriptAligner {
+    constructor(options = {}) {
+        this.options = {
+            maxCaptionLength: 84,     // Characters per caption (two lines of 42)
+            maxCaptionDuration: 6,    // Seconds per caption
+            clausePause: 0.5,         // Extra weight after , ; :
+            sentencePause: 1,         // Extra weight after . ! ?
+            ...options
+        };
+    }
+
+    /**
+     * Split a script into words, keeping punctuation and line-break hints
+     */
+    parseTranscript(text) {
+        const words = [];
+        const paragraphs = text
+            .replace(/^\uFEFF/, '')
+            .split(/\r?\n/)
+            .map(line => line.trim())
+            .filter(line => line.length > 0);
+
+        paragraphs.forEach(paragraph => {
+            const tokens = Utils.tokenizeWords(paragraph);
+
+            tokens.forEach((token, i) => {
+                words.push({
+                    text: token,
+                    syllables: this.estimateSyllables(token),
+                    sentenceEnd: /[.!?]["')\]]*$/.test(token),
+                    clauseEnd: /[,;:]["')\]]*$/.test(token),
+                    lineEnd: i === tokens.length - 1
+                });
+            });
+        });
+
+        return words;
+    }
+
+    /**
+     * Rough syllable count used as the spoken length of a word
+     */
+    estimateSyllables(word) {
+        const letters = word.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+        if (letters.length === 0) return 0.5;
+
+        // Digits are read out as words
+        if (/^\p{N}+$/u.test(letters)) {
+            return letters.length * 1.5;
+        }
+
+        const vowelGroups = letters.match(/[aeiouyàáâäãåèéêëìíîïòóôöõùúûüýæœ]+/g);
+        if (!vowelGroups) {
+            // Scripts without Latin vowels: approximate by character count
+            return Math.max(1, letters.length / 2);
+        }
+
+        let count = vowelGroups.length;
+        if (letters.length > 2 && letters.endsWith('e') && !letters.endsWith('le')) {
+            count--;
+        }
+        return Math.max(1, count);
+    }
+
+    /**
+     * Align a script to speech segments and return captions
+     */
+    align(text, speechSegments, options = {}) {
+        const words = this.parseTranscript(text);
+        if (words.length === 0) {
+            throw Utils.createError('The transcript is empty', 'EMPTY_TRANSCRIPT');
+        }
+
+        const segments = speechSegments.length > 0
+            ? speechSegments
+            : [{ startTime: 0, endTime: options.duration || 0 }];
+        const totalSpeech = segments.reduce((sum, segment) => sum + (segment.endTime - segment.startTime), 0);
+        if (totalSpeech <= 0) {
+            throw Utils.createError('No speech was found to align the transcript to', 'NO_SPEECH_DETECTED');
+        }
+
+        const timedWords = this.placeWords(words, segments, totalSpeech);
+        return this.groupIntoCaptions(timedWords, options.language || 'en-US');
+    }
+
+    /**
+     * Spread words over the speech timeline in proportion to their spoken length
+     */
+    placeWords(words, segments, totalSpeech) {
+        const pauseAfter = (word) => {
+            if (word.sentenceEnd || word.lineEnd) return this.options.sentencePause;
+            if (word.clauseEnd) return this.options.clausePause;
+            return 0;
+        };
+
+        const totalWeight = words.reduce((sum, word) => sum + word.syllables + pauseAfter(word), 0);
+        const scale = totalSpeech / totalWeight;
+
+        // Cumulative speech time at the start of each segment
+        const offsets = [];
+        segments.reduce((sum, segment) => {
+            offsets.push(sum);
+            return sum + (segment.endTime - segment.startTime);
+        }, 0);
+
+        const locate = (speechTime) => {
+            let index = offsets.length - 1;
+            while (index > 0 && offsets[index] > speechTime) {
+                index--;
+            }
+            return index;
+        };
+
+        let cursor = 0;
+        return words.map(word => {
+            const speechStart = cursor;
+            const speechEnd = cursor + word.syllables * scale;
+            cursor = speechEnd + pauseAfter(word) * scale;
+
+            // Keep each word inside one segment: a word crossing a gap moves
+            // to whichever segment holds most of it
+            const startIndex = locate(speechStart);
+            const endIndex = locate(Math.max(speechStart, speechEnd - 1e-9));
+            let index = startIndex;
+            if (endIndex !== startIndex) {
+                const boundary = offsets[endIndex];
+                index = boundary - speechStart >= speechEnd - boundary ? startIndex : endIndex;
+            }
+
+            const segment = segments[index];
+            const segmentDuration = segment.endTime - segment.startTime;
+            const toReal = (speechTime) => segment.startTime +
+                Math.max(0, Math.min(segmentDuration, speechTime - offsets[index]));
+
+            return {
+                ...word,
+                segmentIndex: index,
+                start: toReal(speechStart),
+                end: toReal(speechEnd)
+            };
+        });
+    }
+
+    /**
+     * Group timed words into captions at sentence ends, pauses and length limits
+     */
+    groupIntoCaptions(words, language) {
+        const captions = [];
+        let current = [];
+
+        const flush = () => {
+            if (current.length === 0) return;
+
+            captions.push({
+                id: Utils.generateId(),
+                text: current.map(word => word.text).join(' '),
+                startTime: current[0].start,
+                endTime: current[current.length - 1].end,
+                language,
+                words: current.map(word => ({
+                    text: word.text,
+                    start: word.start,
+                    end: word.end,
+                    confidence: null
+                }))
+            });
+            current = [];
+        };
+
+        words.forEach(word => {
+            if (current.length > 0) {
+                const previous = current[current.length - 1];
+                const length = current.reduce((sum, item) => sum + item.text.length + 1, 0) + word.text.length;
+
+                if (previous.sentenceEnd ||
+                    previous.lineEnd ||
+                    previous.segmentIndex !== word.segmentIndex ||
+                    (previous.clauseEnd && length > this.options.maxCaptionLength / 2) ||
+                    length > this.options.maxCaptionLength ||
+                    word.end - current[0].start > this.options.maxCaptionDuration) {
+                    flush();
+                }
+            }
+
+            current.push(word);
+        });
+
+        flush();
+        return captions;
+    }
+}
+
+// Make available globally
+window.TranscriptAligner = TranscriptAligner;
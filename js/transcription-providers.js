@@ -0,0 +1,532 @@
+/**
+ * Video Caption Generator - Transcription Providers Module
+ * Pluggable speech-to-text backends used to transcribe uploaded video audio
+ */
+
+/**
+ * Base class for transcription providers.
+ *
+ * A provider receives one audio chunk per speech segment and resolves to
+ * { text, confidence, language, words: [{ text, start, end, confidence }] } where word
+ * times are relative to the start of the chunk. When chunk.language is 'auto'
+ * the provider should detect the spoken language and report it in `language`.
+ */
+class TranscriptionProvider {
+    constructor(id, name, options = {}) {
+        this.id = id;
+        this.name = name;
+        this.options = options;
+    }
+
+    /**
+     * Whether the provider can be used in the current environment
+     */
+    isAvailable() {
+        return true;
+    }
+
+    /**
+     * Resolve whether the provider can be used, for providers that first have to
+     * look for files they need. isAvailable() reports the result afterwards.
+     */
+    async checkAvailability() {
+        return this.isAvailable();
+    }
+
+    /**
+     * Prepare the provider before the first chunk is sent
+     */
+    async initialize(options = {}) {
+        return Promise.resolve();
+    }
+
+    /**
+     * Transcribe a single audio chunk.
+     * Providers that stream may call options.onPartial(text) with interim text.
+     */
+    async transcribe(chunk, options = {}) {
+        throw Utils.createError(`Provider "${this.id}" does not implement transcribe()`, 'TRANSCRIPTION_NOT_IMPLEMENTED');
+    }
+
+    /**
+     * Whether detectLanguage() and chunk.language = 'auto' are supported
+     */
+    supportsLanguageDetection() {
+        return false;
+    }
+
+    /**
+     * Identify the spoken language of a chunk, resolving to { language, confidence }
+     */
+    async detectLanguage(chunk) {
+        throw Utils.createError(`Provider "${this.id}" cannot detect the spoken language`, 'LANGUAGE_DETECTION_UNSUPPORTED');
+    }
+
+    /**
+     * Release any resources held by the provider
+     */
+    dispose() {
+        // Nothing to release by default
+    }
+
+    /**
+     * Normalize a raw provider result into the shared result shape
+     */
+    normalizeResult(result, chunk) {
+        const duration = chunk.endTime - chunk.startTime;
+        const words = (result.words || [])
+            .map(word => ({
+                text: String(word.text ?? word.word ?? '').trim(),
+                start: Math.max(0, Math.min(Number(word.start) || 0, duration)),
+                end: Math.max(0, Math.min(Number(word.end) || 0, duration)),
+                confidence: typeof word.confidence === 'number' ? word.confidence : null
+            }))
+            .filter(word => word.text.length > 0);
+
+        let confidence = typeof result.confidence === 'number' ? result.confidence : null;
+        if (confidence === null && words.length > 0 && words.every(word => word.confidence !== null)) {
+            confidence = words.reduce((sum, word) => sum + word.confidence, 0) / words.length;
+        }
+
+        return {
+            text: (result.text || words.map(word => word.text).join(' ')).trim(),
+            confidence: confidence === null ? null : Math.max(0, Math.min(confidence, 1)),
+            language: Utils.normalizeLanguageCode(result.language),
+            words
+        };
+    }
+
+    /**
+     * Normalize a raw language detection result
+     */
+    normalizeLanguageResult(result) {
+        const confidence = result?.languageConfidence ?? result?.confidence;
+
+        return {
+            language: Utils.normalizeLanguageCode(result?.language),
+            confidence: typeof confidence === 'number' ? Math.max(0, Math.min(confidence, 1)) : null
+        };
+    }
+}
+
+/**
+ * Mock provider that cycles through sample sentences.
+ * Useful for demos and for working on the editor without a speech backend.
+ */
+class MockTranscriptionProvider extends TranscriptionProvider {
+    constructor(options = {}) {
+        super('mock', 'Demo (sample text)', options);
+        this.latency = options.latency ?? 100;
+        this.mockTexts = [
+            "Welcome to our video presentation.",
+            "Today we'll be discussing important topics.",
+            "Let's begin with the first section.",
+            "This is a key point to remember.",
+            "Moving on to the next topic.",
+            "Here's an interesting example.",
+            "Please note this important detail.",
+            "Let's summarize what we've learned.",
+            "Thank you for watching.",
+            "We hope you found this helpful."
+        ];
+    }
+
+    async transcribe(chunk) {
+        // Simulate processing time
+        await new Promise(resolve => setTimeout(resolve, this.latency));
+
+        const text = this.mockTexts[chunk.index % this.mockTexts.length];
+        const tokens = text.split(' ');
+        const duration = chunk.endTime - chunk.startTime;
+        const wordDuration = duration / tokens.length;
+
+        return this.normalizeResult({
+            text,
+            confidence: 0.85,
+            words: tokens.map((token, i) => ({
+                text: token,
+                start: i * wordDuration,
+                end: (i + 1) * wordDuration,
+                confidence: 0.85
+            }))
+        }, chunk);
+    }
+}
+
+/**
+ * HTTP provider that posts each chunk as a 16 kHz mono WAV file.
+ *
+ * The endpoint receives multipart form data with the fields `audio`,
+ * `language`, `startTime`, `endTime` and `index`, and must answer with JSON
+ * in the shared result shape. This makes it easy to put any licensed engine
+ * behind a small local server.
+ */
+class HttpTranscriptionProvider extends TranscriptionProvider {
+    constructor(options = {}) {
+        super('http', 'HTTP server', options);
+        this.endpoint = options.endpoint || 'http://localhost:8000/transcribe';
+        this.headers = options.headers || {};
+        this.timeout = options.timeout || 60000;
+        this.sampleRate = options.sampleRate || 16000;
+    }
+
+    isAvailable() {
+        return typeof fetch === 'function' && !!this.endpoint;
+    }
+
+    setEndpoint(endpoint) {
+        this.endpoint = endpoint;
+    }
+
+    supportsLanguageDetection() {
+        return true;
+    }
+
+    async transcribe(chunk) {
+        return this.normalizeResult(await this.post(chunk, 'transcribe'), chunk);
+    }
+
+    async detectLanguage(chunk) {
+        return this.normalizeLanguageResult(await this.post({ ...chunk, language: 'auto' }, 'detect-language'));
+    }
+
+    /**
+     * Send a chunk to the server as a WAV upload and return the parsed JSON response
+     */
+    async post(chunk, task) {
+        const samples = Utils.resampleAudio(chunk.samples, chunk.sampleRate, this.sampleRate);
+        const wav = Utils.encodeWAV(samples, this.sampleRate);
+
+        const formData = new FormData();
+        formData.append('audio', new Blob([wav], { type: 'audio/wav' }), `segment-${chunk.index}.wav`);
+        formData.append('task', task);
+        formData.append('language', chunk.language);
+        formData.append('startTime', chunk.startTime.toFixed(3));
+        formData.append('endTime', chunk.endTime.toFixed(3));
+        formData.append('index', String(chunk.index));
+
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeout);
+
+        try {
+            const response = await fetch(this.endpoint, {
+                method: 'POST',
+                headers: this.headers,
+                body: formData,
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                throw Utils.createError(`Transcription server responded with ${response.status}`, 'TRANSCRIPTION_HTTP_ERROR', {
+                    status: response.status,
+                    endpoint: this.endpoint
+                });
+            }
+
+            return await response.json();
+
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw Utils.createError('Transcription request timed out', 'TRANSCRIPTION_TIMEOUT', { endpoint: this.endpoint });
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+}
+
+/**
+ * Offline provider that runs a WASM speech model inside a dedicated worker.
+ *
+ * Model files live under /models/speech/ so the service worker can keep them
+ * for offline use. See offline-transcription-worker.js for the runtime contract.
+ */
+class OfflineTranscriptionProvider extends TranscriptionProvider {
+    constructor(options = {}) {
+        super('offline', 'Offline (in-browser)', options);
+        this.workerUrl = options.workerUrl || 'js/offline-transcription-worker.js';
+        this.runtimeUrl = options.runtimeUrl || '/models/speech/runtime.js';
+        this.modelUrl = options.modelUrl || '/models/speech/model.bin';
+        this.wasmUrl = options.wasmUrl || '/models/speech/runtime.wasm';
+        this.sampleRate = 16000;
+        this.worker = null;
+        this.loadPromise = null;
+        this.pendingRequests = new Map();
+        this.nextRequestId = 1;
+        this.onLoadProgress = null;
+        this.modelInstalled = null; // Whether the model files are on the server, once checked
+    }
+
+    isAvailable() {
+        return Utils.browserSupports('webWorker') && Utils.browserSupports('webAssembly') && this.modelInstalled === true;
+    }
+
+    /**
+     * Look for the runtime and model files, in the offline cache and then on the
+     * server; the app doesn't ship them
+     */
+    async checkAvailability() {
+        if (this.modelInstalled === null) {
+            try {
+                const found = await Promise.all([this.runtimeUrl, this.modelUrl, this.wasmUrl].map(async url => {
+                    // The Cache API only matches GET requests, so look there before asking the server
+                    if ('caches' in window && await caches.match(url)) return true;
+                    const response = await fetch(url, { method: 'HEAD' });
+                    return response.ok;
+                }));
+                this.modelInstalled = found.every(Boolean);
+            } catch (error) {
+                this.modelInstalled = false;
+            }
+        }
+
+        return this.isAvailable();
+    }
+
+    async initialize(options = {}) {
+        this.onLoadProgress = options.onProgress || null;
+
+        if (!this.loadPromise) {
+            this.worker = new Worker(this.workerUrl);
+            this.worker.addEventListener('message', (e) => this.handleWorkerMessage(e));
+            this.worker.addEventListener('error', (e) => this.handleWorkerError(e));
+
+            this.loadPromise = this.sendRequest('load', {
+                runtimeUrl: this.runtimeUrl,
+                modelUrl: this.modelUrl,
+                wasmUrl: this.wasmUrl
+            }).catch((error) => {
+                this.dispose();
+                throw error;
+            });
+
+            this.requestModelCaching();
+        }
+
+        return this.loadPromise;
+    }
+
+    /**
+     * Ask the service worker to keep the model files for offline use
+     */
+    requestModelCaching() {
+        const controller = navigator.serviceWorker?.controller;
+        if (!controller) return;
+
+        const channel = new MessageChannel();
+        channel.port1.onmessage = (e) => {
+            if (!e.data.success) {
+                console.warn('Failed to cache speech model:', e.data.error);
+            }
+        };
+
+        controller.postMessage({
+            type: 'CACHE_MODEL',
+            data: { urls: [this.runtimeUrl, this.modelUrl, this.wasmUrl] }
+        }, [channel.port2]);
+    }
+
+    async transcribe(chunk, options = {}) {
+        await this.initialize();
+
+        // Copy the samples so transferring them never detaches the decoded AudioBuffer
+        const samples = new Float32Array(Utils.resampleAudio(chunk.samples, chunk.sampleRate, this.sampleRate));
+
+        const result = await this.sendRequest('transcribe', {
+            samples,
+            language: chunk.language
+        }, [samples.buffer], options.onPartial);
+
+        return this.normalizeResult(result, chunk);
+    }
+
+    supportsLanguageDetection() {
+        return true;
+    }
+
+    async detectLanguage(chunk) {
+        await this.initialize();
+
+        const samples = new Float32Array(Utils.resampleAudio(chunk.samples, chunk.sampleRate, this.sampleRate));
+        const result = await this.sendRequest('detect-language', { samples }, [samples.buffer]);
+
+        return this.normalizeLanguageResult(result);
+    }
+
+    /**
+     * Post a request to the worker and resolve with its response
+     */
+    sendRequest(type, data, transfer = [], onPartial = null) {
+        return new Promise((resolve, reject) => {
+            const id = this.nextRequestId++;
+            this.pendingRequests.set(id, { resolve, reject, onPartial });
+            this.worker.postMessage({ type, id, data }, transfer);
+        });
+    }
+
+    /**
+     * Handle messages coming back from the worker
+     */
+    handleWorkerMessage(event) {
+        const { type, id, data } = event.data;
+
+        if (type === 'load-progress') {
+            if (this.onLoadProgress && data.total) {
+                this.onLoadProgress(data.loaded / data.total);
+            }
+            return;
+        }
+
+        const request = this.pendingRequests.get(id);
+        if (!request) return;
+
+        switch (type) {
+            case 'partial':
+                if (request.onPartial) {
+                    request.onPartial(data.text);
+                }
+                break;
+
+            case 'error':
+                this.pendingRequests.delete(id);
+                request.reject(Utils.createError(data.message, data.code));
+                break;
+
+            default:
+                this.pendingRequests.delete(id);
+                request.resolve(data);
+        }
+    }
+
+    /**
+     * Fail all pending requests when the worker crashes
+     */
+    handleWorkerError(event) {
+        const error = Utils.createError(event.message || 'Offline transcription worker failed', 'OFFLINE_WORKER_ERROR');
+        this.pendingRequests.forEach(request => request.reject(error));
+        this.pendingRequests.clear();
+        this.dispose();
+    }
+
+    dispose() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.loadPromise = null;
+        this.pendingRequests.clear();
+    }
+}
+
+/**
+ * Registry of available transcription providers
+ */
+class TranscriptionProviderRegistry {
+    constructor() {
+        this.providers = new Map();
+        this.settings = Utils.getStorageItem('vcp-transcription', {
+            activeProvider: 'mock',
+            endpoint: ''
+        });
+        // Kept even if not registered yet: custom providers are registered after this
+        this.activeId = this.settings.activeProvider || 'mock';
+
+        this.register(new MockTranscriptionProvider());
+        this.register(new HttpTranscriptionProvider({
+            endpoint: this.settings.endpoint || undefined
+        }));
+        this.register(new OfflineTranscriptionProvider());
+    }
+
+    /**
+     * Register a provider, replacing any existing provider with the same id
+     */
+    register(provider) {
+        if (!(provider instanceof TranscriptionProvider)) {
+            throw Utils.createError('Provider must extend TranscriptionProvider', 'INVALID_PROVIDER');
+        }
+
+        const existing = this.providers.get(provider.id);
+        if (existing && existing !== provider) {
+            existing.dispose();
+        }
+
+        this.providers.set(provider.id, provider);
+        return provider;
+    }
+
+    /**
+     * Remove a provider
+     */
+    unregister(id) {
+        const provider = this.providers.get(id);
+        if (!provider) return false;
+
+        provider.dispose();
+        this.providers.delete(id);
+
+        if (this.activeId === id) {
+            this.setActive('mock');
+        }
+        return true;
+    }
+
+    /**
+     * Get a provider by id
+     */
+    get(id) {
+        return this.providers.get(id) || null;
+    }
+
+    /**
+     * List registered providers
+     */
+    list() {
+        return Array.from(this.providers.values());
+    }
+
+    /**
+     * Select the provider used for new transcriptions
+     */
+    setActive(id) {
+        const provider = this.providers.get(id) || this.providers.get('mock');
+        this.activeId = provider.id;
+        this.saveSettings();
+        return provider;
+    }
+
+    /**
+     * Get the active provider, or the mock provider while the chosen one isn't registered
+     */
+    getActive() {
+        return this.providers.get(this.activeId) || this.providers.get('mock');
+    }
+
+    /**
+     * Update the endpoint of the HTTP provider
+     */
+    setEndpoint(endpoint) {
+        const provider = this.providers.get('http');
+        if (provider) {
+            provider.setEndpoint(endpoint);
+        }
+        this.settings.endpoint = endpoint;
+        this.saveSettings();
+    }
+
+    /**
+     * Persist provider settings
+     */
+    saveSettings() {
+        this.settings.activeProvider = this.activeId;
+        Utils.setStorageItem('vcp-transcription', this.settings);
+    }
+}
+
+// Make available globally
+window.TranscriptionProvider = TranscriptionProvider;
+window.MockTranscriptionProvider = MockTranscriptionProvider;
+window.HttpTranscriptionProvider = HttpTranscriptionProvider;
+window.OfflineTranscriptionProvider = OfflineTranscriptionProvider;
+window.TranscriptionProviderRegistry = TranscriptionProviderRegistry;
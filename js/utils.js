@@ -36,6 +36,17 @@ class Utils {
         }
     }
 
+    /**
+     * Format time as MM:SS:FF (or HH:MM:SS:FF), FF being the frame within the second
+     */
+    static formatTimecode(seconds, frameRate) {
+        const wholeSeconds = Math.floor(seconds + 1e-6);
+        const frames = Math.floor((seconds - wholeSeconds) * frameRate + 1e-6);
+        const frameDigits = Math.ceil(frameRate) > 100 ? 3 : 2;
+
+        return `${Utils.formatTime(wholeSeconds, 'display')}:${frames.toString().padStart(frameDigits, '0')}`;
+    }
+
     /**
      * Parse time string to seconds
      */
@@ -260,6 +271,15 @@ class Utils {
             
             case 'webWorker':
                 return !!window.Worker;
+
+            case 'audioDecoder':
+                return typeof window.AudioDecoder === 'function' && typeof window.EncodedAudioChunk === 'function';
+            
+            case 'webAssembly':
+                return typeof WebAssembly === 'object' && typeof WebAssembly.instantiate === 'function';
+            
+            case 'indexedDB':
+                return !!window.indexedDB;
             
             case 'fileReader':
                 return !!window.FileReader;
@@ -272,19 +292,93 @@ class Utils {
         }
     }
 
+    /**
+     * MIME types accepted for upload
+     */
+    static getSupportedMediaTypes() {
+        return {
+            video: [
+                'video/mp4',
+                'video/webm',
+                'video/quicktime',
+                'video/x-msvideo', // AVI
+                'video/avi',
+                'video/x-matroska'
+            ],
+            audio: [
+                'audio/mpeg',
+                'audio/mp3',
+                'audio/mp4',
+                'audio/x-m4a',
+                'audio/aac',
+                'audio/wav',
+                'audio/x-wav',
+                'audio/wave',
+                'audio/ogg',
+                'audio/opus',
+                'audio/flac',
+                'audio/x-flac',
+                'audio/webm',
+                'audio/x-matroska'
+            ]
+        };
+    }
+
     /**
      * Validate file type
      */
     static isValidVideoFile(file) {
-        const validTypes = [
-            'video/mp4',
-            'video/webm',
-            'video/quicktime',
-            'video/x-msvideo', // AVI
-            'video/avi'
-        ];
-        
-        return validTypes.includes(file.type);
+        return Utils.getSupportedMediaTypes().video.includes(file.type);
+    }
+
+    static isAudioFile(file) {
+        return Utils.getSupportedMediaTypes().audio.includes(file.type);
+    }
+
+    static isValidMediaFile(file) {
+        return Utils.isValidVideoFile(file) || Utils.isAudioFile(file);
+    }
+
+    /**
+     * Work out a file's MIME type, sniffing its leading bytes when the browser
+     * reports an empty, generic or unsupported type. Returns null when unknown.
+     */
+    static async detectMediaType(file) {
+        if (Utils.isValidMediaFile(file)) return file.type;
+
+        const bytes = new Uint8Array(await file.slice(0, 64).arrayBuffer());
+        const ascii = (start, end) => String.fromCharCode(...bytes.subarray(start, end));
+        const extension = (file.name || '').split('.').pop().toLowerCase();
+
+        // ISO base media: MP4, M4A, MOV
+        if (ascii(4, 8) === 'ftyp') {
+            const brand = ascii(8, 12);
+            if (['M4A ', 'M4B ', 'M4P '].includes(brand) || extension === 'm4a') return 'audio/mp4';
+            return brand === 'qt  ' ? 'video/quicktime' : 'video/mp4';
+        }
+        if (['moov', 'mdat', 'wide', 'free', 'skip'].includes(ascii(4, 8))) return 'video/quicktime';
+
+        // EBML: the DocType tells WebM from Matroska
+        if (bytes[0] === 0x1A && bytes[1] === 0x45 && bytes[2] === 0xDF && bytes[3] === 0xA3) {
+            const audioOnly = ['mka', 'weba'].includes(extension);
+            if (ascii(0, bytes.length).includes('webm')) return audioOnly ? 'audio/webm' : 'video/webm';
+            return audioOnly ? 'audio/x-matroska' : 'video/x-matroska';
+        }
+
+        if (ascii(0, 4) === 'RIFF') {
+            if (ascii(8, 12) === 'WAVE') return 'audio/wav';
+            if (ascii(8, 12) === 'AVI ') return 'video/x-msvideo';
+        }
+        if (ascii(0, 4) === 'OggS') return 'audio/ogg';
+        if (ascii(0, 4) === 'fLaC') return 'audio/flac';
+        if (ascii(0, 3) === 'ID3') return 'audio/mpeg';
+
+        // Bare MPEG audio frames; layer bits of zero mean an ADTS AAC stream
+        if (bytes[0] === 0xFF && (bytes[1] & 0xE0) === 0xE0) {
+            return (bytes[1] & 0x06) === 0 ? 'audio/aac' : 'audio/mpeg';
+        }
+
+        return null;
     }
 
     /**
@@ -349,6 +443,27 @@ class Utils {
         };
     }
 
+    /**
+     * Map a language code or name returned by a recognizer ('en', 'en_GB', 'english')
+     * to one of the app's language codes, or a cleaned-up code if it isn't listed
+     */
+    static normalizeLanguageCode(code) {
+        if (!code || typeof code !== 'string') return null;
+
+        const codes = Object.keys(Utils.getLanguageNames());
+        const value = code.trim().replace(/_/g, '-');
+        const lower = value.toLowerCase();
+        const base = lower.split('-')[0];
+
+        const match = codes.find(key => key.toLowerCase() === lower) ||
+            codes.find(key => key.toLowerCase().split('-')[0] === base) ||
+            Object.entries(Utils.getLanguageNames())
+                .find(([, name]) => name.toLowerCase().startsWith(lower))?.[0];
+
+        if (match) return match;
+        return /^[a-z]{2,3}(-[a-z0-9]+)*$/i.test(value) ? value : null;
+    }
+
     static getTranslationLanguages() {
         return {
             'es': 'Spanish',
@@ -370,29 +485,77 @@ class Utils {
      */
     static analyzeAudioBuffer(audioBuffer, sampleRate = 44100) {
         const channelData = audioBuffer.getChannelData(0);
-        const windowSize = Math.floor(sampleRate * 0.025); // 25ms window
-        const hopSize = Math.floor(windowSize / 2);
+        const rate = audioBuffer.sampleRate || sampleRate;
+        // Share feature extraction with voice activity detection
+        const detector = new SpeechDetector(rate);
+        const { windowSize, hopSize } = detector;
         const features = [];
 
         for (let i = 0; i < channelData.length - windowSize; i += hopSize) {
-            const window = channelData.slice(i, i + windowSize);
-            
-            // Calculate RMS (energy)
-            const rms = Math.sqrt(window.reduce((sum, sample) => sum + sample * sample, 0) / window.length);
-            
-            // Calculate zero crossing rate
-            let zcr = 0;
-            for (let j = 1; j < window.length; j++) {
-                if ((window[j] >= 0) !== (window[j - 1] >= 0)) {
-                    zcr++;
-                }
+            const { rms, zcr, flatness } = detector.computeFeatures(channelData, i, i + windowSize);
+            features.push({ rms, zcr, flatness, timestamp: i / rate });
+        }
+
+        return features;
+    }
+
+    static getAudioSegment(audioBuffer, startTime, endTime, channel = 0) {
+        const channelData = audioBuffer.getChannelData(channel);
+        const start = Math.max(0, Math.floor(startTime * audioBuffer.sampleRate));
+        const end = Math.min(channelData.length, Math.ceil(endTime * audioBuffer.sampleRate));
+        return channelData.subarray(start, Math.max(start, end));
+    }
+
+    static resampleAudio(samples, fromRate, toRate) {
+        if (fromRate === toRate) return samples;
+
+        const ratio = fromRate / toRate;
+        const length = Math.floor(samples.length / ratio);
+        const result = new Float32Array(length);
+
+        // Linear interpolation is enough for speech engines expecting 16 kHz
+        for (let i = 0; i < length; i++) {
+            const position = i * ratio;
+            const index = Math.floor(position);
+            const fraction = position - index;
+            const next = index + 1 < samples.length ? samples[index + 1] : samples[index];
+            result[i] = samples[index] + (next - samples[index]) * fraction;
+        }
+
+        return result;
+    }
+
+    static encodeWAV(samples, sampleRate) {
+        const buffer = new ArrayBuffer(44 + samples.length * 2);
+        const view = new DataView(buffer);
+
+        const writeString = (offset, string) => {
+            for (let i = 0; i < string.length; i++) {
+                view.setUint8(offset + i, string.charCodeAt(i));
             }
-            zcr = zcr / (window.length - 1);
+        };
 
-            features.push({ rms, zcr, timestamp: i / sampleRate });
+        // RIFF header for 16-bit PCM mono
+        writeString(0, 'RIFF');
+        view.setUint32(4, 36 + samples.length * 2, true);
+        writeString(8, 'WAVE');
+        writeString(12, 'fmt ');
+        view.setUint32(16, 16, true);
+        view.setUint16(20, 1, true);
+        view.setUint16(22, 1, true);
+        view.setUint32(24, sampleRate, true);
+        view.setUint32(28, sampleRate * 2, true);
+        view.setUint16(32, 2, true);
+        view.setUint16(34, 16, true);
+        writeString(36, 'data');
+        view.setUint32(40, samples.length * 2, true);
+
+        for (let i = 0; i < samples.length; i++) {
+            const sample = Math.max(-1, Math.min(1, samples[i]));
+            view.setInt16(44 + i * 2, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
         }
 
-        return features;
+        return buffer;
     }
 
     /**
@@ -401,7 +564,7 @@ class Utils {
     static cleanText(text) {
         return text
             .replace(/\s+/g, ' ') // Multiple spaces to single space
-            .replace(/[^\w\s.,!?;:'"()-]/g, '') // Remove special characters
+            .replace(/[^\p{L}\p{M}\p{N}\s.,!?;:'"()¿¡«»。、，！？：；「」『』-]/gu, '') // Remove special characters, keeping letters and punctuation of any script
             .trim();
     }
 
@@ -560,10 +723,15 @@ class Utils {
             const current = segments[i];
             const previous = merged[merged.length - 1];
             
-            if (current.startTime - previous.endTime <= maxGap) {
+            // Speech and sound-event captions are never merged together
+            if (current.startTime - previous.endTime <= maxGap &&
+                Utils.isSoundCaption(current) === Utils.isSoundCaption(previous)) {
                 // Merge with previous segment
                 previous.endTime = current.endTime;
-                previous.text += ' ' + current.text;
+                if (!Utils.isSoundCaption(current) || current.text !== previous.text) {
+                    previous.text += ' ' + current.text;
+                }
+                previous.words = Utils.concatWords([previous, current]);
             } else {
                 merged.push(current);
             }
@@ -572,33 +740,164 @@ class Utils {
         return merged;
     }
 
+    /**
+     * Sound-event captions ([MUSIC], [APPLAUSE]...) carry type 'sound'
+     */
+    static isSoundCaption(caption) {
+        return caption?.type === 'sound';
+    }
+
+    /**
+     * Whether caption text is a single bracketed cue such as [MUSIC] or (laughter)
+     */
+    static isSoundEventText(text) {
+        return /^\s*(\[[^\]\n]+\]|\([^)\n]+\))\s*$/.test(text || '');
+    }
+
     static splitCaptionSegment(segment, splitTime) {
         if (!segment || splitTime <= segment.startTime || splitTime >= segment.endTime) {
             return [segment];
         }
 
-        const words = segment.text.split(' ');
+        // Both halves of a sound event keep its label
+        if (Utils.isSoundCaption(segment)) {
+            return [
+                { ...segment, endTime: splitTime },
+                { ...segment, id: Utils.generateId(), startTime: splitTime }
+            ];
+        }
+
+        // Split exactly between the words nearest the requested time
+        const words = segment.words;
+        if (words && words.length > 1) {
+            const index = Utils.findWordBoundary(words, splitTime);
+            const boundary = (words[index - 1].end + words[index].start) / 2;
+
+            if (boundary > segment.startTime && boundary < segment.endTime) {
+                const firstWords = words.slice(0, index);
+                const secondWords = words.slice(index);
+
+                return [
+                    {
+                        ...segment,
+                        endTime: boundary,
+                        text: firstWords.map(word => word.text).join(' '),
+                        words: firstWords
+                    },
+                    {
+                        ...segment,
+                        id: Utils.generateId(),
+                        startTime: boundary,
+                        text: secondWords.map(word => word.text).join(' '),
+                        words: secondWords
+                    }
+                ];
+            }
+        }
+
+        const textWords = segment.text.split(' ');
         const duration = segment.endTime - segment.startTime;
         const splitRatio = (splitTime - segment.startTime) / duration;
-        const splitIndex = Math.floor(words.length * splitRatio);
+        const splitIndex = Math.floor(textWords.length * splitRatio);
 
-        const firstText = words.slice(0, splitIndex).join(' ');
-        const secondText = words.slice(splitIndex).join(' ');
+        const firstText = textWords.slice(0, splitIndex).join(' ');
+        const secondText = textWords.slice(splitIndex).join(' ');
 
         return [
             {
                 ...segment,
                 endTime: splitTime,
-                text: firstText
+                text: firstText,
+                words: words ? words.filter(word => (word.start + word.end) / 2 < splitTime) : undefined
             },
             {
                 ...segment,
+                id: Utils.generateId(),
                 startTime: splitTime,
-                text: secondText
+                text: secondText,
+                words: words ? words.filter(word => (word.start + word.end) / 2 >= splitTime) : undefined
             }
         ];
     }
 
+    /**
+     * Word timing utilities
+     * Caption words are {text, start, end, confidence} in seconds on the caption timeline
+     */
+    static findWordBoundary(words, time) {
+        let bestIndex = 1;
+        let bestDistance = Infinity;
+
+        for (let i = 1; i < words.length; i++) {
+            const boundary = (words[i - 1].end + words[i].start) / 2;
+            const distance = Math.abs(boundary - time);
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                bestIndex = i;
+            }
+        }
+
+        return bestIndex;
+    }
+
+    static tokenizeWords(text) {
+        return text.trim().split(/\s+/).filter(Boolean);
+    }
+
+    static offsetWords(words, offset) {
+        if (!words) return words;
+
+        return words.map(word => ({
+            ...word,
+            start: word.start + offset,
+            end: word.end + offset
+        }));
+    }
+
+    /**
+     * Join the words of several captions, or undefined unless every caption has word timings
+     */
+    static concatWords(captions) {
+        if (!captions.every(caption => caption.words && caption.words.length > 0)) {
+            return undefined;
+        }
+
+        return captions.flatMap(caption => caption.words);
+    }
+
+    /**
+     * Keep word timings after a text edit when the words still line up one to one
+     */
+    static reconcileWords(words, text) {
+        if (!words) return words;
+
+        const tokens = Utils.tokenizeWords(text);
+        if (tokens.length !== words.length) {
+            return undefined;
+        }
+
+        return words.map((word, i) => ({ ...word, text: tokens[i] }));
+    }
+
+    /**
+     * Normalize an imported words array, dropping malformed entries
+     */
+    static sanitizeWords(words) {
+        if (!Array.isArray(words)) return undefined;
+
+        const sanitized = words
+            .filter(word => word && typeof word.text === 'string' &&
+                Number.isFinite(word.start) && Number.isFinite(word.end) && word.end >= word.start)
+            .map(word => ({
+                text: word.text,
+                start: word.start,
+                end: word.end,
+                confidence: Number.isFinite(word.confidence) ? word.confidence : null
+            }));
+
+        return sanitized.length > 0 ? sanitized : undefined;
+    }
+
     /**
      * Validation utilities
      */
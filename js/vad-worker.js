@@ -0,0 +1,40 @@
+/**
+ * Video Caption Generator - Voice Activity Detection Worker
+ * Detects speech segments chunk by chunk off the main thread
+ */
+
+importScripts('speech-detector.js');
+
+let detector = null;
+
+self.addEventListener('message', (event) => {
+    const { type, data } = event.data;
+
+    try {
+        switch (type) {
+            case 'start':
+                detector = new SpeechDetector(data.sampleRate, data.options);
+                self.postMessage({ type: 'started', data: { segments: [] } });
+                break;
+
+            case 'chunk': {
+                const segments = detector.process(data.samples);
+                self.postMessage({
+                    type: 'chunk-processed',
+                    data: { segments, processedTime: detector.processedTime }
+                });
+                break;
+            }
+
+            case 'finish':
+                self.postMessage({ type: 'finished', data: { segments: detector.flush() } });
+                detector = null;
+                break;
+
+            default:
+                throw new Error(`Unknown message type: ${type}`);
+        }
+    } catch (error) {
+        self.postMessage({ type: 'error', data: { message: error.message } });
+    }
+});
@@ -9,12 +9,56 @@ class VideoProcessorManager {
         this.currentVideo = null;
         this.videoElement = null;
         this.audioContext = null;
-        this.audioBuffer = null;
+        this.audioSource = null;
         this.isProcessing = false;
         this.processingProgress = 0;
+        this.maxDecodeFileSize = 500;   // MB that can be decoded in one go
+        this.maxStreamFileSize = 8192;  // MB when audio can be decoded in a stream
+        this.audioTracks = [];          // Audio tracks listed by the container, when it can be parsed
+        this.audioTrackIndex = null;    // Selected entry of audioTracks, null for the default track
+        this.audioChannel = 'mix';      // Channel index, or 'mix' to average all channels
+        this.isAudioOnly = false;       // No picture to preview, so a waveform is shown instead
+        this.previewAudio = null;       // { trackIndex, channel, source } behind the waveform
+        this.waveformPreview = null;
+        this.enhancementSettings = {
+            ...AudioEnhancer.getDefaultSettings(),
+            ...Utils.getStorageItem('vcp-audio-enhancement', {})
+        };
+        this.enhancementPreview = null;         // { version, context } while a before/after excerpt plays
+        this.enhancementPreviewDuration = 10;   // Seconds
+        this.transcriptionProviders = new TranscriptionProviderRegistry();
+        this.vadOptions = {
+            preset: Utils.getStorageItem('vcp-vad-preset', SpeechDetector.getDefaultPreset())
+        };
+        this.vadChunkDuration = 10; // seconds of audio per VAD chunk
+        this.vadWorker = null;
+        this.pendingVadReject = null;
+        this.jobStore = new ProcessingJobStore();
+        this.currentJob = null;
+        this.resumableJob = null;
+        this.captionSource = 'transcribe'; // 'transcribe' or 'align'
+        this.languageWasDetected = false; // Language select holds an auto-detected value
+        this.transcriptAligner = new TranscriptAligner();
+        this.speakerDiarizer = new SpeakerDiarizer();
+        this.speakerCount = Utils.getStorageItem('vcp-speaker-count', 'off'); // 'off', 'auto' or a number
+        this.soundEventClassifier = new SoundEventClassifier();
+        this.tagSoundEvents = Utils.getStorageItem('vcp-sound-events', false);
+        this.shotChangeDetector = null; // Created per scan, for the frame rate at the time
+        this.detectShotChanges = Utils.getStorageItem('vcp-shot-detection', false);
+        this.shotSnapTolerance = 0.5; // Seconds a caption boundary may move to meet a cut
         
         this.initializeVideoElement();
         this.setupDragAndDrop();
+        this.setupTranscriptionControls();
+        this.setupSpeechDetectionControls();
+        this.setupAlignmentControls();
+        this.setupDiarizationControls();
+        this.setupLanguageControls();
+        this.setupSoundEventControls();
+        this.setupShotChangeControls();
+        this.setupAudioTrackControls();
+        this.setupEnhancementControls();
+        this.notifyUnfinishedJob();
     }
 
     /**
@@ -26,6 +70,24 @@ class VideoProcessorManager {
             this.videoElement.addEventListener('loadedmetadata', () => this.updateVideoInfo());
             this.videoElement.addEventListener('error', (e) => this.handleVideoError(e));
         }
+
+        const waveformCanvas = document.getElementById('audio-waveform');
+        if (waveformCanvas) {
+            this.waveformPreview = new WaveformPreview(waveformCanvas);
+            waveformCanvas.addEventListener('click', (e) => {
+                if (this.videoElement && this.videoElement.readyState > 0) {
+                    this.videoElement.currentTime = this.waveformPreview.getTimeAtPosition(e.clientX);
+                }
+            });
+
+            if (this.videoElement) {
+                this.videoElement.addEventListener('timeupdate', () => {
+                    if (this.isAudioOnly) {
+                        this.waveformPreview.setCurrentTime(this.videoElement.currentTime);
+                    }
+                });
+            }
+        }
     }
 
     /**
@@ -96,21 +158,50 @@ class VideoProcessorManager {
      */
     async handleVideoFile(file) {
         try {
+            // Browsers report an empty or generic type for MKV and some audio files
+            const type = await Utils.detectMediaType(file);
+            if (type && type !== file.type) {
+                file = new File([file], file.name, { type, lastModified: file.lastModified });
+            }
+
             // Validate file
             if (!this.validateVideoFile(file)) {
                 return;
             }
 
-            // Store file reference
+            // Store file reference (the caption editor plays it too)
             this.currentVideo = file;
+            this.app.videoFile = file;
+            this.stopEnhancementPreview();
+            this.setPreviewAudio(null);
+            this.clearVideoAnalysis();
+
+            // List the audio tracks to choose from
+            await this.loadAudioTracks(file);
+
+            // Show video preview; files the browser can't play can still be captioned from their audio
+            let previewFailed = false;
+            try {
+                await this.showVideoPreview(file);
+            } catch (error) {
+                if (!MediaDemuxer.canDemux(file)) throw error;
+                previewFailed = true;
+            }
 
-            // Show video preview
-            await this.showVideoPreview(file);
+            // Offer to resume an unfinished job for the same file
+            await this.loadResumableJob(file);
 
             // Update UI
+            this.isAudioOnly = Utils.isAudioFile(file) || !this.videoElement || !this.videoElement.videoWidth;
             this.showVideoPreviewSection();
+            this.updateVideoInfo();
+            this.loadWaveform();
 
-            this.app.showToast('Video loaded successfully', 'success');
+            if (previewFailed) {
+                this.app.showToast('This browser can\'t play the file, but captions can still be generated from its audio', 'info');
+            } else {
+                this.app.showToast(this.isAudioOnly ? 'Audio loaded successfully' : 'Video loaded successfully', 'success');
+            }
 
         } catch (error) {
             console.error('Error handling video file:', error);
@@ -123,20 +214,30 @@ class VideoProcessorManager {
      */
     validateVideoFile(file) {
         // Check file type
-        if (!Utils.isValidVideoFile(file)) {
-            this.app.showToast('Please select a valid video file (MP4, WebM, MOV, AVI)', 'error');
+        if (!Utils.isValidMediaFile(file)) {
+            this.app.showToast('Please select a video or audio file (MP4, WebM, MKV, MOV, AVI, MP3, M4A, WAV, OGG, FLAC)', 'error');
             return false;
         }
 
         // Check file size
-        if (!Utils.isValidFileSize(file, 500)) {
-            this.app.showToast('File size must be less than 500MB', 'error');
+        const maxSize = this.getMaxFileSize(file);
+        if (!Utils.isValidFileSize(file, maxSize)) {
+            this.app.showToast(`File size must be less than ${Utils.formatFileSize(maxSize * 1024 * 1024)}`, 'error');
             return false;
         }
 
         return true;
     }
 
+    /**
+     * Largest file (in MB) whose audio this browser can extract
+     */
+    getMaxFileSize(file) {
+        return StreamingAudioSource.isSupported() && MediaDemuxer.canDemux(file)
+            ? this.maxStreamFileSize
+            : this.maxDecodeFileSize;
+    }
+
     /**
      * Show video preview
      */
@@ -180,7 +281,92 @@ class VideoProcessorManager {
 
         if (videoPreview) {
             videoPreview.style.display = 'block';
+            videoPreview.classList.toggle('audio-only', this.isAudioOnly);
+        }
+
+        const waveformCanvas = document.getElementById('audio-waveform');
+        if (waveformCanvas) {
+            waveformCanvas.style.display = this.isAudioOnly ? 'block' : 'none';
+        }
+    }
+
+    /**
+     * Draw the waveform of the selected audio track for audio-only files
+     */
+    async loadWaveform() {
+        if (!this.waveformPreview) return;
+
+        this.waveformPreview.clear();
+        if (!this.isAudioOnly || !this.currentVideo) return;
+
+        try {
+            const source = await this.openPreviewAudio();
+            if (source) {
+                await this.waveformPreview.load(source);
+            }
+        } catch (error) {
+            console.warn('Could not draw the waveform:', error);
+        }
+    }
+
+    /**
+     * Audio of the selected track and channel for previews, opened once and shared.
+     * Resolves to null if another file was selected meanwhile.
+     */
+    async openPreviewAudio() {
+        const file = this.currentVideo;
+        const options = { trackIndex: this.audioTrackIndex, channel: this.audioChannel };
+
+        const preview = this.previewAudio;
+        if (preview && preview.file === file &&
+            preview.trackIndex === options.trackIndex && preview.channel === options.channel) {
+            return preview.source;
+        }
+
+        const source = await this.extractAudioFromVideo(file, options);
+        if (file !== this.currentVideo) {
+            source.dispose();
+            return null;
+        }
+
+        this.setPreviewAudio({ file, ...options, source });
+        return source;
+    }
+
+    /**
+     * Replace the preview audio, keeping it if a job is still reading it
+     */
+    setPreviewAudio(previewAudio) {
+        if (this.previewAudio && this.previewAudio.source !== this.audioSource) {
+            this.previewAudio.source.dispose();
+        }
+        this.previewAudio = previewAudio;
+    }
+
+    /**
+     * Forget the shot changes and speech found in the previous video, so the
+     * editor doesn't snap to them
+     */
+    clearVideoAnalysis() {
+        this.app.shotChanges = [];
+        this.app.speechSegments = [];
+        this.app.saveState();
+        if (this.app.captionEditor) {
+            this.app.captionEditor.refreshTimeline();
+        }
+    }
+
+    /**
+     * Audio already decoded for previews, if it matches the job's file, track and channel.
+     * Streaming sources are cheap to reopen, so only fully decoded audio is shared.
+     */
+    getPreviewAudioSource(job) {
+        const preview = this.previewAudio;
+        if (preview && preview.source instanceof DecodedAudioSource && preview.file === this.currentVideo &&
+            preview.trackIndex === job.audioTrack && preview.channel === job.audioChannel) {
+            return preview.source;
         }
+        return null;
     }
 
     /**
@@ -189,11 +375,19 @@ class VideoProcessorManager {
     updateVideoInfo() {
         if (!this.videoElement || !this.currentVideo) return;
 
+        // Files the browser can't play take their duration from the container
+        const track = this.audioTracks[this.audioTrackIndex];
+        const duration = Number.isFinite(this.videoElement.duration) && this.videoElement.duration > 0
+            ? this.videoElement.duration
+            : (track && track.duration) || 0;
+
         const info = {
             filename: this.currentVideo.name,
-            duration: this.videoElement.duration,
+            duration,
             filesize: this.currentVideo.size,
-            resolution: `${this.videoElement.videoWidth} × ${this.videoElement.videoHeight}`
+            resolution: this.videoElement.videoWidth
+                ? `${this.videoElement.videoWidth} × ${this.videoElement.videoHeight}`
+                : 'Audio only'
         };
 
         // Update UI elements
@@ -203,6 +397,114 @@ class VideoProcessorManager {
         this.updateInfoElement('video-resolution', info.resolution);
     }
 
+    /**
+     * Read the audio track list from the container headers
+     */
+    async loadAudioTracks(file) {
+        this.audioTracks = [];
+        this.audioTrackIndex = null;
+        this.audioChannel = 'mix';
+
+        if (MediaDemuxer.canDemux(file)) {
+            try {
+                const demuxer = await MediaDemuxer.create(file);
+                this.audioTracks = demuxer.audioTracks;
+                this.audioTrackIndex = demuxer.audioTrack ? demuxer.audioTrack.index : null;
+            } catch (error) {
+                console.warn('Could not read the audio tracks:', error);
+            }
+        }
+
+        this.renderAudioTrackOptions();
+    }
+
+    /**
+     * Describe a track for the track list, e.g. "Track 2: French (Commentary) · AAC · Stereo"
+     */
+    getAudioTrackLabel(track) {
+        const language = track.language && this.getLanguageName(Utils.normalizeLanguageCode(track.language) || track.language);
+        const title = [language, track.name && `(${track.name})`].filter(Boolean).join(' ');
+        const details = [track.format, MediaDemuxer.getChannelLayoutName(track.numberOfChannels)];
+        if (!track.codec) details.push('not supported');
+
+        return `Track ${track.index + 1}${title ? `: ${title}` : ''} · ${details.join(' · ')}`;
+    }
+
+    /**
+     * Fill the track and channel selects for the current file
+     */
+    renderAudioTrackOptions() {
+        const trackSelect = document.getElementById('audio-track');
+        if (!trackSelect) return;
+
+        trackSelect.innerHTML = '';
+
+        if (this.audioTracks.length === 0) {
+            trackSelect.add(new Option('Default track', ''));
+        } else {
+            this.audioTracks.forEach(track => {
+                const option = new Option(this.getAudioTrackLabel(track), track.index);
+                option.disabled = !track.codec;
+                trackSelect.add(option);
+            });
+        }
+
+        // Other tracks can only be read through the streaming decoder
+        const canChoose = StreamingAudioSource.isSupported() && this.audioTracks.filter(track => track.codec).length > 1;
+        trackSelect.disabled = !canChoose;
+        trackSelect.title = this.audioTracks.length > 1 && !StreamingAudioSource.isSupported()
+            ? 'Choosing an audio track needs a browser with WebCodecs audio decoding'
+            : '';
+        trackSelect.value = this.audioTrackIndex ?? '';
+
+        this.renderAudioChannelOptions();
+    }
+
+    renderAudioChannelOptions() {
+        const channelSelect = document.getElementById('audio-channel');
+        if (!channelSelect) return;
+
+        // Without track metadata, offer the channels of a stereo track
+        const track = this.audioTracks[this.audioTrackIndex];
+        const channelCount = track ? track.numberOfChannels : 2;
+
+        channelSelect.innerHTML = '';
+        channelSelect.add(new Option('All channels (mixed)', 'mix'));
+        for (let channel = 0; channel < channelCount; channel++) {
+            const side = channelCount === 2 ? (channel === 0 ? ' (left)' : ' (right)') : '';
+            channelSelect.add(new Option(`Channel ${channel + 1}${side}`, channel));
+        }
+
+        if (this.audioChannel !== 'mix' && this.audioChannel >= channelCount) {
+            this.audioChannel = 'mix';
+        }
+        channelSelect.disabled = channelCount < 2;
+        channelSelect.value = this.audioChannel;
+    }
+
+    /**
+     * Track which audio track and channel to caption
+     */
+    setupAudioTrackControls() {
+        const trackSelect = document.getElementById('audio-track');
+        const channelSelect = document.getElementById('audio-channel');
+
+        if (trackSelect) {
+            trackSelect.addEventListener('change', (e) => {
+                this.audioTrackIndex = e.target.value === '' ? null : parseInt(e.target.value, 10);
+                this.renderAudioChannelOptions();
+                this.loadWaveform();
+            });
+        }
+
+        if (channelSelect) {
+            channelSelect.addEventListener('change', (e) => {
+                this.audioChannel = e.target.value === 'mix' ? 'mix' : parseInt(e.target.value, 10);
+                this.loadWaveform();
+            });
+        }
+    }
+
     /**
      * Update info element
      */
@@ -214,35 +516,125 @@ class VideoProcessorManager {
     }
 
     /**
-     * Process video for caption extraction
+     * Process video for caption extraction, resuming a saved job when one exists
      */
     async processVideo() {
         if (!this.currentVideo || this.isProcessing) {
             return;
         }
 
+        if (this.captionSource === 'align' && !this.getTranscriptText()) {
+            this.app.showToast('Paste or load the transcript to align', 'warning');
+            return;
+        }
+
+        const job = this.resumableJob || new ProcessingJob({
+            fileKey: ProcessingJob.getFileKey(this.currentVideo),
+            fileName: this.currentVideo.name,
+            language: document.getElementById('video-language')?.value || 'en-US',
+            audioTrack: this.audioTrackIndex,
+            audioChannel: this.audioChannel,
+            enhancement: this.getEnhancementOptions()
+        });
+        job.status = 'running';
+        job.onStateChange = () => this.updateJobStateUI(job);
+        this.resumableJob = null;
+        this.currentJob = job;
+
         try {
             this.isProcessing = true;
             this.showProcessingUI();
+            this.updateJobStateUI(job);
+            await this.persistJob(job);
+
+            // Find camera cuts so caption boundaries can be aligned with them
+            let shotChanges = job.shotChanges;
+            if (!shotChanges && this.detectShotChanges && !this.isAudioOnly) {
+                shotChanges = await this.findShotChanges(job);
+            }
+            await job.checkpoint();
 
-            // Extract audio from video
+            // Open the audio track (large files are decoded as a stream)
             this.updateProgress(10, 'Extracting audio from video...');
-            const audioBuffer = await this.extractAudioFromVideo(this.currentVideo);
+            const extractedAudio = this.getPreviewAudioSource(job) || await this.extractAudioFromVideo(this.currentVideo, {
+                trackIndex: job.audioTrack,
+                channel: job.audioChannel
+            });
+            this.audioSource = extractedAudio;
+            await job.checkpoint();
+
+            // Optionally clean up hum, noise and levels for everything downstream
+            const audioSource = await this.enhanceAudio(extractedAudio, job);
+            await job.checkpoint();
+
+            // Analyze audio for speech segments, unless a saved job already did
+            let speechSegments = job.segments;
+            if (!speechSegments) {
+                this.updateProgress(40, 'Analyzing audio for speech...');
+                speechSegments = await this.detectSpeechSegments(audioSource, job);
+                job.segments = speechSegments;
+                await this.persistJob(job);
+            }
+            await job.checkpoint();
+
+            // Work out the spoken language when set to detect automatically
+            const language = await this.resolveLanguage(audioSource, speechSegments, job);
+            await job.checkpoint();
+
+            let processedCaptions;
+            if (this.captionSource === 'align') {
+                // Time the user's script instead of transcribing
+                this.updateProgress(70, 'Aligning transcript to speech...');
+                processedCaptions = this.alignTranscript(speechSegments, audioSource.duration, language);
+            } else {
+                // Generate captions using speech recognition
+                this.updateProgress(60, 'Generating captions...');
+                const captions = await this.generateCaptionsFromAudio(audioSource, speechSegments, job, language);
+                job.throwIfCancelled();
+
+                // Process and clean captions
+                this.updateProgress(80, 'Processing captions...');
+                processedCaptions = this.processCaptions(captions);
+            }
+
+            // Label who is speaking
+            if (this.speakerCount !== 'off' && processedCaptions.length > 0) {
+                this.updateProgress(85, 'Identifying speakers...');
+                await this.speakerDiarizer.assignSpeakers(audioSource, processedCaptions, {
+                    speakerCount: this.speakerCount,
+                    onProgress: (fraction) => this.updateProgress(85 + fraction * 10, 'Identifying speakers...')
+                });
+                job.throwIfCancelled();
+            }
 
-            // Analyze audio for speech segments
-            this.updateProgress(40, 'Analyzing audio for speech...');
-            const speechSegments = await this.detectSpeechSegments(audioBuffer);
+            // Caption music, applause and laughter between speech for SDH
+            if (this.tagSoundEvents) {
+                this.updateProgress(95, 'Tagging sound events...');
+                const soundCaptions = await this.soundEventClassifier.classify(audioSource, speechSegments, {
+                    language,
+                    onProgress: (fraction) => this.updateProgress(95 + fraction * 4, 'Tagging sound events...')
+                });
+                job.throwIfCancelled();
 
-            // Generate captions using speech recognition
-            this.updateProgress(60, 'Generating captions...');
-            const captions = await this.generateCaptionsFromAudio(audioBuffer, speechSegments);
+                processedCaptions = [...processedCaptions, ...soundCaptions].sort((a, b) => a.startTime - b.startTime);
+            }
 
-            // Process and clean captions
-            this.updateProgress(80, 'Processing captions...');
-            const processedCaptions = this.processCaptions(captions);
+            // Keep captions from straddling cuts
+            if (shotChanges && shotChanges.length > 0) {
+                processedCaptions = ShotChangeDetector.snapCaptions(processedCaptions, shotChanges, {
+                    tolerance: this.shotSnapTolerance,
+                    frameRate: this.getFrameRate()
+                });
+            }
 
             // Add to app captions
             this.app.captions = processedCaptions;
+            this.app.shotChanges = shotChanges || [];
+            this.app.speechSegments = (speechSegments || []).map(({ startTime, endTime }) => ({ startTime, endTime }));
+            this.app.refreshCaptionsDisplay();
+
+            job.complete();
+            await this.discardJob(job);
 
             this.updateProgress(100, 'Processing complete!');
             
@@ -255,191 +647,1050 @@ class VideoProcessorManager {
             }, 1000);
 
         } catch (error) {
-            console.error('Error processing video:', error);
-            this.app.showToast('Error processing video: ' + error.message, 'error');
+            if (error.code === 'PROCESSING_CANCELLED') {
+                await this.discardJob(job);
+                this.app.showToast('Video processing cancelled', 'info');
+            } else {
+                // Keep completed segments so the job can be resumed
+                console.error('Error processing video:', error);
+                job.setStatus('failed');
+                await this.persistJob(job);
+                this.resumableJob = job;
+                this.app.showToast('Error processing video: ' + error.message, 'error');
+            }
+
+            // Replace the transcription preview with the captions the user still has
+            this.app.refreshCaptionsDisplay();
             this.hideProcessingUI();
         } finally {
+            job.onStateChange = null;
             this.isProcessing = false;
+            this.currentJob = null;
+            if (this.audioSource) {
+                // The waveform's audio stays open for the next run
+                if (!this.previewAudio || this.audioSource !== this.previewAudio.source) {
+                    this.audioSource.dispose();
+                }
+                this.audioSource = null;
+            }
+            this.updateResumeNotice();
         }
     }
 
     /**
-     * Extract audio from video file
+     * Detect the cuts of the current video and store them on the job.
+     * Detection is optional, so failures are reported and processing carries on without cuts.
      */
-    async extractAudioFromVideo(videoFile) {
-        return new Promise((resolve, reject) => {
-            const video = document.createElement('video');
-            video.src = URL.createObjectURL(videoFile);
-            video.crossOrigin = 'anonymous';
-
-            video.addEventListener('loadedmetadata', async () => {
-                try {
-                    // Create audio context
-                    const audioContext = new (window.AudioContext || window.webkitAudioContext)();
-                    
-                    // Create media element source
-                    const source = audioContext.createMediaElementSource(video);
-                    
-                    // Create gain node for audio processing
-                    const gainNode = audioContext.createGain();
-                    source.connect(gainNode);
-                    gainNode.connect(audioContext.destination);
-
-                    // Create offline audio context for processing
-                    const offlineContext = new OfflineAudioContext(
-                        1, // mono
-                        audioContext.sampleRate * video.duration,
-                        audioContext.sampleRate
-                    );
-
-                    // Load and decode audio data
-                    const response = await fetch(video.src);
-                    const arrayBuffer = await response.arrayBuffer();
-                    const audioBuffer = await offlineContext.decodeAudioData(arrayBuffer);
-
-                    URL.revokeObjectURL(video.src);
-                    resolve(audioBuffer);
-
-                } catch (error) {
-                    URL.revokeObjectURL(video.src);
-                    reject(error);
-                }
+    async findShotChanges(job) {
+        this.updateProgress(2, 'Detecting shot changes...');
+
+        try {
+            this.shotChangeDetector = new ShotChangeDetector({ frameRate: this.getFrameRate() });
+            job.shotChanges = await this.shotChangeDetector.detect(this.currentVideo, {
+                onProgress: (fraction) => {
+                    this.updateProgress(2 + fraction * 8, `Detecting shot changes... ${Math.round(fraction * 100)}%`);
+                },
+                checkpoint: () => job.checkpoint()
             });
+        } catch (error) {
+            if (error.code === 'PROCESSING_CANCELLED') throw error;
+
+            console.warn('Shot change detection failed:', error);
+            this.app.showToast('Could not detect shot changes: ' + error.message, 'warning');
+            job.shotChanges = [];
+        }
+
+        await this.persistJob(job);
+        return job.shotChanges;
+    }
+
+    /**
+     * Frame rate chosen in the caption editor, which cuts are refined and snapped to
+     */
+    getFrameRate() {
+        return this.app.captionEditor?.frameRate || Number(Utils.getStorageItem('vcp-frame-rate', 25));
+    }
 
-            video.addEventListener('error', () => {
-                URL.revokeObjectURL(video.src);
-                reject(new Error('Failed to load video for audio extraction'));
+    /**
+     * Open the audio of a video file, streaming it through WebCodecs when possible
+     * and falling back to decoding the whole file.
+     * options.trackIndex picks an audio track (null for the default), options.channel one of its channels.
+     */
+    async extractAudioFromVideo(videoFile, { trackIndex = null, channel = 'mix' } = {}) {
+        let streamingError = null;
+
+        if (StreamingAudioSource.isSupported() && MediaDemuxer.canDemux(videoFile)) {
+            try {
+                return await StreamingAudioSource.open(videoFile, { trackIndex, channel });
+            } catch (error) {
+                console.warn('Streaming audio decode unavailable, decoding the whole file:', error);
+                streamingError = error;
+            }
+        }
+
+        // Decoding the whole file always reads the browser's default track
+        const defaultTrack = this.audioTracks.find(track => track.codec);
+        if (trackIndex !== null && defaultTrack && trackIndex !== defaultTrack.index) {
+            throw streamingError || Utils.createError(
+                'Choosing an audio track needs a browser with WebCodecs audio decoding',
+                'UNSUPPORTED_TRACK'
+            );
+        }
+
+        if (!Utils.isValidFileSize(videoFile, this.maxDecodeFileSize)) {
+            throw streamingError || Utils.createError(
+                `Files over ${this.maxDecodeFileSize}MB need a browser with WebCodecs audio decoding`,
+                'FILE_TOO_LARGE'
+            );
+        }
+
+        return new DecodedAudioSource(await this.decodeAudioFile(videoFile), { channel });
+    }
+
+    /**
+     * Wrap the audio in the job's clean-up stages, measuring the noise floor and
+     * loudness first unless a saved job already did
+     */
+    async enhanceAudio(audioSource, job) {
+        if (!job.enhancement) return audioSource;
+
+        const enhancer = new AudioEnhancer(job.enhancement);
+
+        if (!job.audioProfile) {
+            this.updateProgress(15, 'Measuring noise and loudness...');
+            job.audioProfile = await enhancer.analyze(audioSource, {
+                onProgress: async (fraction) => {
+                    await job.checkpoint();
+                    this.updateProgress(15 + fraction * 25, `Measuring noise and loudness... ${Math.round(fraction * 100)}%`);
+                }
             });
-        });
+            await this.persistJob(job);
+        }
+
+        return new EnhancedAudioSource(audioSource, enhancer, job.audioProfile);
+    }
+
+    /**
+     * Clean-up stages chosen on the upload tab, or null when clean-up is off
+     */
+    getEnhancementOptions() {
+        const { enabled, highPass, noiseReduction, normalize } = this.enhancementSettings;
+        if (!enabled || !(highPass || noiseReduction || normalize)) return null;
+        return { highPass, noiseReduction, normalize };
+    }
+
+    /**
+     * Decode a file's whole audio track into an AudioBuffer.
+     * Decoding doesn't depend on the browser being able to play the file, so audio-only
+     * and Matroska files work too.
+     */
+    async decodeAudioFile(videoFile) {
+        const arrayBuffer = await videoFile.arrayBuffer();
+
+        // decodeAudioData resamples to the context rate; 16 kHz matches the streaming path
+        const offlineContext = new OfflineAudioContext(1, 1, 16000);
+
+        try {
+            return await offlineContext.decodeAudioData(arrayBuffer);
+        } catch (error) {
+            throw Utils.createError(`Failed to decode the audio track: ${error.message || error.name}`, 'DECODE_ERROR');
+        }
     }
 
     /**
-     * Detect speech segments in audio
+     * Detect speech segments in audio, streaming chunks through the VAD worker
+     * as they are decoded
      */
-    async detectSpeechSegments(audioBuffer) {
+    async detectSpeechSegments(audioSource, job) {
         const segments = [];
-        const channelData = audioBuffer.getChannelData(0);
-        const sampleRate = audioBuffer.sampleRate;
-        
-        // Parameters for speech detection
-        const windowSize = Math.floor(sampleRate * 0.025); // 25ms window
-        const hopSize = Math.floor(windowSize / 2);
-        const energyThreshold = 0.01; // Adjust based on testing
-        const minSegmentLength = 0.5; // Minimum segment length in seconds
-        const maxSilenceGap = 0.3; // Maximum silence gap in seconds
-
-        let segmentStart = null;
-        let lastSpeechTime = null;
-
-        // Process audio in windows
-        for (let i = 0; i < channelData.length - windowSize; i += hopSize) {
-            const window = channelData.slice(i, i + windowSize);
-            const currentTime = i / sampleRate;
-            
-            // Calculate RMS energy
-            const rms = Math.sqrt(window.reduce((sum, sample) => sum + sample * sample, 0) / window.length);
-            
-            const isSpeech = rms > energyThreshold;
+        const detector = this.createSpeechDetector(audioSource.sampleRate);
+
+        try {
+            await detector.start();
+
+            for await (const window of audioSource.windows(this.vadChunkDuration)) {
+                await job.checkpoint();
+
+                // Windows are fresh copies, so they can be transferred to the worker
+                segments.push(...await detector.process(window.samples));
+
+                const analyzed = window.startTime + window.samples.length / audioSource.sampleRate;
+                const total = audioSource.duration
+                    ? ` / ${Utils.formatTime(audioSource.duration, 'display')}`
+                    : '';
+                this.updateProgress(40 + window.progress * 20, `Analyzing audio for speech... ${Utils.formatTime(analyzed, 'display')}${total}`);
+            }
+
+            segments.push(...await detector.flush());
+        } finally {
+            detector.dispose();
+        }
 
-            if (isSpeech) {
-                if (segmentStart === null) {
-                    segmentStart = currentTime;
+        return segments;
+    }
+
+    /**
+     * Create a speech detector that runs in a worker when available
+     */
+    createSpeechDetector(sampleRate) {
+        if (!Utils.browserSupports('webWorker')) {
+            const detector = new SpeechDetector(sampleRate, this.vadOptions);
+            const yieldToUI = () => new Promise(resolve => setTimeout(resolve, 0));
+
+            return {
+                start: async () => {},
+                process: async (samples) => {
+                    await yieldToUI();
+                    return detector.process(samples);
+                },
+                flush: async () => detector.flush(),
+                dispose: () => {}
+            };
+        }
+
+        const worker = new Worker('js/vad-worker.js');
+        this.vadWorker = worker;
+
+        const request = (type, data = {}, transfer = []) => new Promise((resolve, reject) => {
+            const cleanup = () => {
+                worker.removeEventListener('message', handleMessage);
+                worker.removeEventListener('error', handleError);
+                this.pendingVadReject = null;
+            };
+
+            const handleMessage = (e) => {
+                cleanup();
+                if (e.data.type === 'error') {
+                    reject(Utils.createError(e.data.data.message, 'VAD_ERROR'));
+                } else {
+                    resolve(e.data.data.segments);
                 }
-                lastSpeechTime = currentTime;
-            } else if (segmentStart !== null && lastSpeechTime !== null) {
-                // Check if silence gap is too long
-                if (currentTime - lastSpeechTime > maxSilenceGap) {
-                    // End current segment
-                    const segmentDuration = lastSpeechTime - segmentStart;
-                    if (segmentDuration >= minSegmentLength) {
-                        segments.push({
-                            startTime: segmentStart,
-                            endTime: lastSpeechTime + 0.1, // Add small buffer
-                            duration: segmentDuration
-                        });
-                    }
-                    segmentStart = null;
-                    lastSpeechTime = null;
+            };
+
+            const handleError = (e) => {
+                cleanup();
+                reject(Utils.createError(e.message || 'Speech detection worker failed', 'VAD_WORKER_ERROR'));
+            };
+
+            worker.addEventListener('message', handleMessage);
+            worker.addEventListener('error', handleError);
+            this.pendingVadReject = (error) => {
+                cleanup();
+                reject(error);
+            };
+            worker.postMessage({ type, data }, transfer);
+        });
+
+        return {
+            start: () => request('start', { sampleRate, options: this.vadOptions }),
+            process: (samples) => request('chunk', { samples }, [samples.buffer]),
+            flush: () => request('finish'),
+            dispose: () => {
+                worker.terminate();
+                if (this.vadWorker === worker) {
+                    this.vadWorker = null;
                 }
             }
+        };
+    }
+
+    /**
+     * Cancel the running processing job and discard its saved progress
+     */
+    cancelProcessing() {
+        if (!this.currentJob) return;
+
+        this.currentJob.cancel();
+        this.updateProgress(this.processingProgress, 'Cancelling...');
+
+        // Stop speech detection immediately instead of waiting for the next chunk
+        if (this.vadWorker) {
+            this.vadWorker.terminate();
+            this.vadWorker = null;
+        }
+        if (this.pendingVadReject) {
+            this.pendingVadReject(ProcessingJob.createCancelledError());
         }
+    }
 
-        // Handle final segment
-        if (segmentStart !== null && lastSpeechTime !== null) {
-            const segmentDuration = lastSpeechTime - segmentStart;
-            if (segmentDuration >= minSegmentLength) {
-                segments.push({
-                    startTime: segmentStart,
-                    endTime: lastSpeechTime + 0.1,
-                    duration: segmentDuration
-                });
+    /**
+     * Pause the running job at the next safe point, or resume it
+     */
+    togglePauseProcessing() {
+        const job = this.currentJob;
+        if (!job) return;
+
+        if (job.isPaused) {
+            job.resume();
+        } else {
+            job.pause();
+        }
+    }
+
+    /**
+     * Reflect the job state in the progress UI
+     */
+    updateJobStateUI(job) {
+        const progressContainer = document.getElementById('processing-progress');
+        const progressTitle = document.getElementById('progress-title');
+        const pauseBtn = document.getElementById('pause-processing');
+
+        const titles = {
+            running: 'Processing Video...',
+            paused: 'Processing Paused',
+            cancelled: 'Cancelling...',
+            completed: 'Processing Complete',
+            failed: 'Processing Failed'
+        };
+
+        if (progressContainer) {
+            progressContainer.dataset.state = job.status;
+        }
+
+        if (progressTitle) {
+            progressTitle.textContent = titles[job.status] || titles.running;
+        }
+
+        if (pauseBtn) {
+            pauseBtn.disabled = job.status !== 'running' && job.status !== 'paused';
+            pauseBtn.innerHTML = job.isPaused
+                ? '<span class="btn-icon">▶️</span>Resume'
+                : '<span class="btn-icon">⏸️</span>Pause';
+        }
+
+        if (job.isPaused) {
+            this.updateProgress(this.processingProgress, 'Paused. Progress so far is saved.');
+        }
+    }
+
+    /**
+     * Save the job record, without failing processing if storage is unavailable
+     */
+    async persistJob(job) {
+        if (!this.jobStore.isAvailable()) return;
+
+        try {
+            await this.jobStore.saveJob(job);
+        } catch (error) {
+            console.warn('Failed to save processing job:', error);
+        }
+    }
+
+    /**
+     * Save the result of one transcribed segment
+     */
+    async persistResult(job, index, caption) {
+        if (!this.jobStore.isAvailable()) return;
+
+        try {
+            await this.jobStore.saveResult(job.id, index, caption);
+        } catch (error) {
+            console.warn('Failed to save segment result:', error);
+        }
+    }
+
+    /**
+     * Remove a job and its saved results from storage
+     */
+    async discardJob(job) {
+        if (this.resumableJob === job) {
+            this.resumableJob = null;
+        }
+
+        if (!this.jobStore.isAvailable()) return;
+
+        try {
+            await this.jobStore.deleteJob(job.id);
+        } catch (error) {
+            console.warn('Failed to delete processing job:', error);
+        }
+    }
+
+    /**
+     * Look up an unfinished job for the selected file
+     */
+    async loadResumableJob(file) {
+        this.resumableJob = null;
+
+        if (this.jobStore.isAvailable()) {
+            try {
+                this.resumableJob = await this.jobStore.findIncompleteJob(ProcessingJob.getFileKey(file));
+                const languageSelect = document.getElementById('video-language');
+                if (this.resumableJob && languageSelect) {
+                    languageSelect.value = this.resumableJob.language;
+                    this.languageWasDetected = false;
+                }
+
+                // Resume from the same audio the saved segments came from
+                if (this.resumableJob) {
+                    this.audioTrackIndex = this.resumableJob.audioTrack;
+                    this.audioChannel = this.resumableJob.audioChannel;
+                    this.renderAudioTrackOptions();
+                }
+            } catch (error) {
+                console.warn('Failed to load saved processing job:', error);
             }
         }
 
-        return segments;
+        // A language detected for the previous file shouldn't stick to this one
+        const languageSelect = document.getElementById('video-language');
+        if (languageSelect && this.languageWasDetected) {
+            languageSelect.value = 'auto';
+            this.languageWasDetected = false;
+            this.updateLanguageDetectionOption();
+        }
+
+        this.updateResumeNotice();
+    }
+
+    /**
+     * Tell the user about an unfinished job left over from a previous session
+     */
+    async notifyUnfinishedJob() {
+        if (!this.jobStore.isAvailable()) return;
+
+        try {
+            const job = await this.jobStore.findIncompleteJob();
+            if (job) {
+                this.app.showToast(`Unfinished captions for "${job.fileName}". Select the same file to resume.`, 'info');
+            }
+        } catch (error) {
+            console.warn('Failed to check for unfinished jobs:', error);
+        }
+    }
+
+    /**
+     * Start over instead of resuming the saved job
+     */
+    async discardResumableJob() {
+        if (!this.resumableJob) return;
+
+        await this.discardJob(this.resumableJob);
+        this.updateResumeNotice();
+    }
+
+    /**
+     * Show or hide the resume notice and label the process button
+     */
+    updateResumeNotice() {
+        const notice = document.getElementById('resume-job-notice');
+        const noticeText = document.getElementById('resume-job-text');
+        const processBtn = document.getElementById('process-video');
+        const job = this.resumableJob;
+
+        if (notice) {
+            notice.style.display = job ? 'flex' : 'none';
+        }
+
+        if (job && noticeText) {
+            noticeText.textContent = job.segments
+                ? `Saved progress found: ${job.completedSegments} of ${job.segments.length} segments transcribed.`
+                : 'Saved progress found: speech detection had not finished.';
+        }
+
+        if (processBtn && !this.isProcessing) {
+            processBtn.innerHTML = job
+                ? '<span class="btn-icon">⚙️</span>Resume Extraction'
+                : '<span class="btn-icon">⚙️</span>Extract Captions';
+        }
+    }
+
+    /**
+     * Resolve the job's language, detecting the dominant spoken language when it is 'auto'
+     */
+    async resolveLanguage(audioSource, speechSegments, job) {
+        if (job.language !== 'auto') {
+            return job.language;
+        }
+
+        if (!job.detectedLanguage) {
+            const provider = this.transcriptionProviders.getActive();
+            let language = null;
+
+            if (provider.isAvailable() && provider.supportsLanguageDetection()) {
+                this.updateProgress(50, 'Detecting spoken language...');
+                await this.initializeProvider(provider, 50);
+                language = await this.detectDominantLanguage(provider, audioSource, speechSegments, job);
+            }
+
+            if (!language) {
+                language = Utils.normalizeLanguageCode(navigator.language) || 'en-US';
+                this.app.showToast(`Couldn't detect the spoken language, using ${this.getLanguageName(language)}`, 'info');
+            }
+
+            job.detectedLanguage = language;
+            await this.persistJob(job);
+        }
+
+        this.selectLanguage(job.detectedLanguage);
+        return job.detectedLanguage;
+    }
+
+    /**
+     * Vote on the spoken language over a sample of the longest speech segments
+     */
+    async detectDominantLanguage(provider, audioSource, speechSegments, job) {
+        const maxSampleDuration = 30;
+        const samples = speechSegments
+            .map((segment, index) => ({ segment, index }))
+            .sort((a, b) => (b.segment.endTime - b.segment.startTime) - (a.segment.endTime - a.segment.startTime))
+            .slice(0, 5);
+        const votes = new Map();
+
+        for (const { segment, index } of samples) {
+            await job.checkpoint();
+
+            const clip = {
+                startTime: segment.startTime,
+                endTime: Math.min(segment.endTime, segment.startTime + maxSampleDuration)
+            };
+
+            try {
+                const result = await provider.detectLanguage(await this.createAudioChunk(audioSource, clip, index, 'auto'));
+                if (result.language) {
+                    const weight = (clip.endTime - clip.startTime) * (result.confidence ?? 0.5);
+                    votes.set(result.language, (votes.get(result.language) || 0) + weight);
+                }
+            } catch (error) {
+                if (error.code === 'LANGUAGE_DETECTION_UNSUPPORTED') break;
+                console.warn('Language detection failed for segment:', error);
+            }
+        }
+
+        let dominant = null;
+        votes.forEach((weight, language) => {
+            if (!dominant || weight > votes.get(dominant)) {
+                dominant = language;
+            }
+        });
+
+        return dominant;
     }
 
     /**
-     * Generate captions from audio using speech recognition
+     * Show a detected language in the upload options, adding it if it isn't listed
      */
-    async generateCaptionsFromAudio(audioBuffer, speechSegments) {
-        // Note: This is a simplified implementation
-        // In a real-world scenario, you would use a more sophisticated speech-to-text service
-        // like Google Cloud Speech-to-Text, AWS Transcribe, or Azure Speech Services
+    selectLanguage(language) {
+        const languageSelect = document.getElementById('video-language');
+        if (!languageSelect) return;
+
+        if (!Array.from(languageSelect.options).some(option => option.value === language)) {
+            const option = document.createElement('option');
+            option.value = language;
+            option.textContent = this.getLanguageName(language);
+            languageSelect.appendChild(option);
+        }
 
+        languageSelect.value = language;
+        this.languageWasDetected = true;
+    }
+
+    getLanguageName(language) {
+        return Utils.getLanguageNames()[language] || language;
+    }
+
+    /**
+     * Load the provider's model, reporting download progress
+     */
+    initializeProvider(provider, progress) {
+        return provider.initialize({
+            onProgress: (fraction) => {
+                this.updateProgress(progress, `Loading speech model... ${Math.round(fraction * 100)}%`);
+            }
+        });
+    }
+
+    /**
+     * Generate captions from audio using the active transcription provider.
+     * When the job auto-detects, each segment is transcribed with language 'auto'
+     * so captions are tagged with the language actually spoken in them.
+     */
+    async generateCaptionsFromAudio(audioSource, speechSegments, job, language) {
         const captions = [];
-        const language = document.getElementById('video-language')?.value || 'en-US';
+        const provider = this.transcriptionProviders.getActive();
+        const perSegmentDetection = job.language === 'auto' && provider.supportsLanguageDetection();
+
+        if (!provider.isAvailable()) {
+            throw Utils.createError(`Transcription provider "${provider.name}" is not available`, 'PROVIDER_UNAVAILABLE');
+        }
+
+        await this.initializeProvider(provider, 60);
+
+        // Preview captions as segments are transcribed; app.captions keeps the
+        // user's captions until the job completes
+        const refreshDisplay = Utils.throttle(() => this.app.refreshCaptionsDisplay(captions), 250);
 
-        // Mock caption generation based on speech segments
-        // In production, you would send audio chunks to a speech recognition service
+        // Send one audio chunk per speech segment to the provider
         for (let i = 0; i < speechSegments.length; i++) {
-            const segment = speechSegments[i];
-            
-            // Simulate processing time
-            await new Promise(resolve => setTimeout(resolve, 100));
-            
-            // Generate mock caption text
-            const mockTexts = [
-                "Welcome to our video presentation.",
-                "Today we'll be discussing important topics.",
-                "Let's begin with the first section.",
-                "This is a key point to remember.",
-                "Moving on to the next topic.",
-                "Here's an interesting example.",
-                "Please note this important detail.",
-                "Let's summarize what we've learned.",
-                "Thank you for watching.",
-                "We hope you found this helpful."
-            ];
+            await job.checkpoint();
+
+            // Reuse segments transcribed before a reload or pause
+            if (job.results.has(i)) {
+                const saved = job.results.get(i);
+                if (saved) {
+                    captions.push(saved);
+                }
+                continue;
+            }
 
+            const segment = speechSegments[i];
+            const chunk = await this.createAudioChunk(audioSource, segment, i, perSegmentDetection ? 'auto' : language);
             const caption = {
                 id: Utils.generateId(),
-                text: mockTexts[i % mockTexts.length],
+                text: '',
                 startTime: segment.startTime,
                 endTime: segment.endTime,
-                confidence: 0.85,
+                confidence: 0,
                 language: language
             };
 
-            captions.push(caption);
+            const result = await provider.transcribe(chunk, {
+                onPartial: (text) => {
+                    if (!captions.includes(caption)) {
+                        captions.push(caption);
+                    }
+                    caption.text = text;
+                    refreshDisplay();
+                }
+            });
+
+            if (result.text) {
+                caption.text = result.text;
+                caption.confidence = result.confidence ?? 0.85;
+                caption.language = result.language || language;
+                if (result.words.length > 0) {
+                    // Provider word times are relative to the chunk
+                    caption.words = Utils.offsetWords(result.words, segment.startTime);
+                }
+                if (!captions.includes(caption)) {
+                    captions.push(caption);
+                }
+            } else if (captions.includes(caption)) {
+                captions.splice(captions.indexOf(caption), 1);
+            }
+            refreshDisplay();
+
+            // Don't record results for a job that was cancelled mid-segment
+            job.throwIfCancelled();
+            job.results.set(i, result.text ? caption : null);
+            await this.persistResult(job, i, job.results.get(i));
 
             // Update progress
-            const progress = 60 + (i / speechSegments.length) * 20;
+            const progress = 60 + ((i + 1) / speechSegments.length) * 20;
             this.updateProgress(progress, `Processing segment ${i + 1} of ${speechSegments.length}...`);
         }
 
+        this.app.refreshCaptionsDisplay(captions);
         return captions;
     }
 
     /**
-     * Process and clean generated captions
+     * Create the audio chunk sent to a transcription provider
      */
-    processCaptions(captions) {
+    async createAudioChunk(audioSource, segment, index, language) {
+        return {
+            index,
+            language,
+            startTime: segment.startTime,
+            endTime: segment.endTime,
+            sampleRate: audioSource.sampleRate,
+            samples: await audioSource.getSegment(segment.startTime, segment.endTime)
+        };
+    }
+
+    /**
+     * Populate transcription provider controls
+     */
+    setupTranscriptionControls() {
+        const providerSelect = document.getElementById('transcription-provider');
+        const endpointInput = document.getElementById('transcription-endpoint');
+        if (!providerSelect) return;
+
+        providerSelect.innerHTML = '';
+        this.transcriptionProviders.list().forEach(provider => {
+            const option = document.createElement('option');
+            option.value = provider.id;
+            option.textContent = provider.name;
+            providerSelect.appendChild(option);
+        });
+        providerSelect.value = this.transcriptionProviders.getActive().id;
+
+        // Engines that can't run here, such as the offline one without a model, can't be picked
+        this.transcriptionProviders.list().forEach(async provider => {
+            const available = await provider.checkAvailability();
+            const option = Array.from(providerSelect.options).find(item => item.value === provider.id);
+            if (!option || available) return;
+
+            option.disabled = true;
+            option.textContent = `${provider.name} (not available)`;
+            if (this.transcriptionProviders.getActive() === provider) {
+                providerSelect.value = this.transcriptionProviders.setActive('mock').id;
+            }
+            this.updateTranscriptionControls();
+        });
+
+        providerSelect.addEventListener('change', (e) => {
+            this.transcriptionProviders.setActive(e.target.value);
+            this.updateTranscriptionControls();
+        });
+
+        if (endpointInput) {
+            endpointInput.value = this.transcriptionProviders.get('http')?.endpoint || '';
+            endpointInput.addEventListener('change', (e) => {
+                this.transcriptionProviders.setEndpoint(e.target.value.trim());
+            });
+        }
+
+        this.updateTranscriptionControls();
+    }
+
+    /**
+     * Show provider specific settings for the active provider
+     */
+    updateTranscriptionControls() {
+        const endpointGroup = document.getElementById('transcription-endpoint-group');
+        if (endpointGroup) {
+            endpointGroup.style.display = this.transcriptionProviders.getActive().id === 'http' ? 'block' : 'none';
+        }
+
+        this.updateLanguageDetectionOption();
+    }
+
+    /**
+     * Offer automatic language detection only when the active engine can detect
+     */
+    updateLanguageDetectionOption() {
+        const languageSelect = document.getElementById('video-language');
+        const autoOption = languageSelect?.querySelector('option[value="auto"]');
+        if (!autoOption) return;
+
+        const provider = this.transcriptionProviders.getActive();
+        autoOption.disabled = !(provider.isAvailable() && provider.supportsLanguageDetection());
+        autoOption.textContent = autoOption.disabled
+            ? 'Detect automatically (not supported by this engine)'
+            : 'Detect automatically';
+
+        if (autoOption.disabled && languageSelect.value === 'auto') {
+            languageSelect.value = 'en-US';
+        }
+    }
+
+    /**
+     * Populate speech detection sensitivity presets
+     */
+    setupSpeechDetectionControls() {
+        const presetSelect = document.getElementById('vad-preset');
+        if (!presetSelect) return;
+
+        const presets = SpeechDetector.getPresets();
+        if (!presets[this.vadOptions.preset]) {
+            this.vadOptions.preset = SpeechDetector.getDefaultPreset();
+        }
+
+        presetSelect.innerHTML = '';
+        Object.entries(presets).forEach(([id, preset]) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = preset.name;
+            presetSelect.appendChild(option);
+        });
+        presetSelect.value = this.vadOptions.preset;
+
+        presetSelect.addEventListener('change', (e) => {
+            this.vadOptions.preset = e.target.value;
+            Utils.setStorageItem('vcp-vad-preset', e.target.value);
+        });
+    }
+
+    /**
+     * Set up the speaker identification option
+     */
+    setupDiarizationControls() {
+        const speakerSelect = document.getElementById('speaker-count');
+        if (!speakerSelect) return;
+
+        speakerSelect.value = this.speakerCount;
+        if (speakerSelect.value !== this.speakerCount) {
+            this.speakerCount = 'off';
+            speakerSelect.value = 'off';
+        }
+
+        speakerSelect.addEventListener('change', (e) => {
+            this.speakerCount = e.target.value;
+            Utils.setStorageItem('vcp-speaker-count', e.target.value);
+        });
+    }
+
+    /**
+     * Set up the audio clean-up switches and the before/after preview
+     */
+    setupEnhancementControls() {
+        const enableCheckbox = document.getElementById('enhance-audio');
+        if (!enableCheckbox) return;
+
+        const stageCheckboxes = {
+            highPass: document.getElementById('enhance-high-pass'),
+            noiseReduction: document.getElementById('enhance-noise'),
+            normalize: document.getElementById('enhance-normalize')
+        };
+
+        const save = () => {
+            Utils.setStorageItem('vcp-audio-enhancement', this.enhancementSettings);
+            this.updateEnhancementControls();
+        };
+
+        enableCheckbox.addEventListener('change', (e) => {
+            this.enhancementSettings.enabled = e.target.checked;
+            save();
+        });
+
+        Object.entries(stageCheckboxes).forEach(([stage, checkbox]) => {
+            if (!checkbox) return;
+            checkbox.addEventListener('change', (e) => {
+                this.enhancementSettings[stage] = e.target.checked;
+                save();
+            });
+        });
+
+        document.getElementById('preview-original')?.addEventListener('click', () => this.toggleEnhancementPreview('original'));
+        document.getElementById('preview-enhanced')?.addEventListener('click', () => this.toggleEnhancementPreview('enhanced'));
+
+        this.updateEnhancementControls();
+    }
+
+    updateEnhancementControls() {
+        const settings = this.enhancementSettings;
+        const enableCheckbox = document.getElementById('enhance-audio');
+        const optionsPanel = document.getElementById('enhance-audio-options');
+
+        if (enableCheckbox) enableCheckbox.checked = settings.enabled;
+        if (optionsPanel) optionsPanel.style.display = settings.enabled ? 'block' : 'none';
+
+        [['enhance-high-pass', 'highPass'], ['enhance-noise', 'noiseReduction'], ['enhance-normalize', 'normalize']]
+            .forEach(([id, stage]) => {
+                const checkbox = document.getElementById(id);
+                if (checkbox) checkbox.checked = settings[stage];
+            });
+
+        const previewEnhanced = document.getElementById('preview-enhanced');
+        if (previewEnhanced) {
+            previewEnhanced.disabled = !this.getEnhancementOptions();
+        }
+    }
+
+    /**
+     * Play a short excerpt from the current position as extracted or cleaned up;
+     * pressing the playing version's button again stops it
+     */
+    async toggleEnhancementPreview(version) {
+        const playing = this.enhancementPreview && this.enhancementPreview.version;
+        this.stopEnhancementPreview();
+        if (playing === version || !this.currentVideo) return;
+
+        const preview = { version, context: null };
+        this.enhancementPreview = preview;
+        this.updateEnhancementPreviewButtons();
+
+        try {
+            const source = await this.openPreviewAudio();
+            if (!source) return;
+
+            const duration = this.enhancementPreviewDuration;
+            const currentTime = this.videoElement ? this.videoElement.currentTime : 0;
+            const start = source.duration ? Math.max(0, Math.min(currentTime, source.duration - duration)) : currentTime;
+            let samples = await source.getSegment(start, start + duration);
+
+            if (version === 'enhanced') {
+                // Measured around the excerpt; processing measures the whole file
+                const enhancer = new AudioEnhancer(this.getEnhancementOptions());
+                const surrounding = Math.max(0, start - duration);
+                const profile = enhancer.analyzeSamples(await source.getSegment(surrounding, start + 2 * duration), source.sampleRate);
+                samples = enhancer.process(samples, source.sampleRate, profile, Math.floor(start * source.sampleRate));
+            }
+
+            // Stopped or replaced while the excerpt was prepared
+            if (this.enhancementPreview !== preview || samples.length === 0) return;
+
+            if (this.videoElement) {
+                this.videoElement.pause();
+            }
+
+            const context = new (window.AudioContext || window.webkitAudioContext)();
+            const buffer = context.createBuffer(1, samples.length, source.sampleRate);
+            buffer.copyToChannel(samples, 0);
+
+            const player = context.createBufferSource();
+            player.buffer = buffer;
+            player.connect(context.destination);
+            player.addEventListener('ended', () => {
+                if (this.enhancementPreview === preview) this.stopEnhancementPreview();
+            });
+            player.start();
+            preview.context = context;
+        } catch (error) {
+            console.error('Audio preview failed:', error);
+            this.app.showToast('Could not preview the audio: ' + error.message, 'error');
+            if (this.enhancementPreview === preview) this.stopEnhancementPreview();
+        }
+    }
+
+    stopEnhancementPreview() {
+        const preview = this.enhancementPreview;
+        this.enhancementPreview = null;
+
+        if (preview && preview.context && preview.context.state !== 'closed') {
+            preview.context.close();
+        }
+        this.updateEnhancementPreviewButtons();
+    }
+
+    updateEnhancementPreviewButtons() {
+        const version = this.enhancementPreview && this.enhancementPreview.version;
+        const labels = { original: 'Original', enhanced: 'Cleaned up' };
+
+        Object.entries(labels).forEach(([name, label]) => {
+            const button = document.getElementById(`preview-${name}`);
+            if (!button) return;
+            button.textContent = version === name ? '■ Stop' : `▶ ${label}`;
+            button.classList.toggle('active', version === name);
+        });
+    }
+
+    /**
+     * Set up the sound event tagging switch
+     */
+    setupSoundEventControls() {
+        const soundCheckbox = document.getElementById('tag-sound-events');
+        if (!soundCheckbox) return;
+
+        soundCheckbox.checked = this.tagSoundEvents;
+        soundCheckbox.addEventListener('change', (e) => {
+            this.tagSoundEvents = e.target.checked;
+            Utils.setStorageItem('vcp-sound-events', e.target.checked);
+        });
+    }
+
+    /**
+     * Set up the shot change detection switch
+     */
+    setupShotChangeControls() {
+        const shotCheckbox = document.getElementById('detect-shot-changes');
+        if (!shotCheckbox) return;
+
+        shotCheckbox.checked = this.detectShotChanges;
+        shotCheckbox.addEventListener('change', (e) => {
+            this.detectShotChanges = e.target.checked;
+            Utils.setStorageItem('vcp-shot-detection', e.target.checked);
+        });
+    }
+
+    /**
+     * Track manual language choices so they aren't reset for the next file
+     */
+    setupLanguageControls() {
+        const languageSelect = document.getElementById('video-language');
+        if (!languageSelect) return;
+
+        languageSelect.addEventListener('change', () => {
+            this.languageWasDetected = false;
+        });
+    }
+
+    /**
+     * Set up the caption source switch and transcript inputs
+     */
+    setupAlignmentControls() {
+        const sourceSelect = document.getElementById('caption-source');
+        const transcriptFile = document.getElementById('align-transcript-file');
+        const transcriptFileBtn = document.getElementById('align-transcript-file-btn');
+
+        if (sourceSelect) {
+            sourceSelect.addEventListener('change', (e) => {
+                this.captionSource = e.target.value;
+                this.updateAlignmentControls();
+            });
+        }
+
+        if (transcriptFileBtn && transcriptFile) {
+            transcriptFileBtn.addEventListener('click', () => transcriptFile.click());
+            transcriptFile.addEventListener('change', (e) => this.loadTranscriptFile(e.target.files[0]));
+        }
+
+        this.updateAlignmentControls();
+    }
+
+    /**
+     * Show the transcript input in align mode and the engine options otherwise
+     */
+    updateAlignmentControls() {
+        const alignPanel = document.getElementById('align-transcript-panel');
+        const transcriptionOptions = document.getElementById('transcription-options');
+        const isAlign = this.captionSource === 'align';
+
+        if (alignPanel) {
+            alignPanel.style.display = isAlign ? 'block' : 'none';
+        }
+
+        if (transcriptionOptions) {
+            transcriptionOptions.style.display = isAlign ? 'none' : '';
+        }
+    }
+
+    /**
+     * Load a plain-text transcript into the transcript box
+     */
+    async loadTranscriptFile(file) {
+        if (!file) return;
+
+        const textArea = document.getElementById('align-transcript-text');
+
+        try {
+            const text = await file.text();
+            if (textArea) {
+                textArea.value = text;
+            }
+            this.app.showToast(`Loaded transcript from ${file.name}`, 'success');
+        } catch (error) {
+            console.error('Error reading transcript:', error);
+            this.app.showToast('Error reading transcript: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * Current transcript text to align
+     */
+    getTranscriptText() {
+        return document.getElementById('align-transcript-text')?.value.trim() || '';
+    }
+
+    /**
+     * Align the transcript to detected speech
+     */
+    alignTranscript(speechSegments, duration, language) {
+        const captions = this.transcriptAligner.align(this.getTranscriptText(), speechSegments, {
+            duration,
+            language
+        });
+
         return captions.map(caption => ({
             ...caption,
-            text: Utils.cleanText(caption.text),
             duration: caption.endTime - caption.startTime
-        })).filter(caption => caption.text.length > 0);
+        }));
+    }
+
+    /**
+     * Process and clean generated captions
+     */
+    processCaptions(captions) {
+        return captions.map(caption => {
+            const text = Utils.cleanText(caption.text);
+            return {
+                ...caption,
+                text,
+                words: Utils.reconcileWords(caption.words, text),
+                duration: caption.endTime - caption.startTime
+            };
+        }).filter(caption => caption.text.length > 0);
     }
 
     /**
@@ -472,8 +1723,8 @@ class VideoProcessorManager {
         const processBtn = document.getElementById('process-video');
         if (processBtn) {
             processBtn.disabled = false;
-            processBtn.innerHTML = '<span class="btn-icon">⚙️</span>Extract Captions';
         }
+        this.updateResumeNotice();
 
         this.updateProgress(0, '');
     }
@@ -506,6 +1757,10 @@ class VideoProcessorManager {
      */
     handleVideoError(event) {
         console.error('Video error:', event);
+
+        // Files whose audio can be demuxed are still usable without a preview
+        if (this.currentVideo && MediaDemuxer.canDemux(this.currentVideo)) return;
+
         this.app.showToast('Error loading video', 'error');
     }
 
@@ -515,6 +1770,15 @@ class VideoProcessorManager {
     resetVideoUpload() {
         // Clear current video
         this.currentVideo = null;
+        this.app.videoFile = null;
+        this.resumableJob = null;
+        this.isAudioOnly = false;
+        this.stopEnhancementPreview();
+        this.setPreviewAudio(null);
+        this.clearVideoAnalysis();
+        if (this.waveformPreview) {
+            this.waveformPreview.clear();
+        }
         
         if (this.videoElement) {
             this.videoElement.src = '';
@@ -575,8 +1839,28 @@ class VideoProcessorManager {
             this.audioContext.close();
         }
 
+        if (this.vadWorker) {
+            this.vadWorker.terminate();
+            this.vadWorker = null;
+        }
+
+        if (this.audioSource) {
+            this.audioSource.dispose();
+            this.audioSource = null;
+        }
+
+        this.stopEnhancementPreview();
+        if (this.previewAudio) {
+            this.previewAudio.source.dispose();
+            this.previewAudio = null;
+        }
+        if (this.waveformPreview) {
+            this.waveformPreview.clear();
+        }
+
         this.currentVideo = null;
-        this.audioBuffer = null;
+        this.audioTracks = [];
+        this.audioTrackIndex = null;
         this.isProcessing = false;
     }
 }
@@ -610,6 +1894,18 @@ if (window.captionGenerator) {
         this.videoProcessor.processVideo();
     };
 
+    window.captionGenerator.cancelProcessing = function() {
+        this.videoProcessor.cancelProcessing();
+    };
+
+    window.captionGenerator.togglePauseProcessing = function() {
+        this.videoProcessor.togglePauseProcessing();
+    };
+
+    window.captionGenerator.discardResumableJob = function() {
+        this.videoProcessor.discardResumableJob();
+    };
+
     window.captionGenerator.setupDragAndDrop = function() {
         // Already set up in constructor
     };
@@ -0,0 +1,146 @@
+/**
+ * Video Caption Generator - Waveform Preview Module
+ * Draws the waveform of an audio source on a canvas, shown instead of the video for audio-only files
+ *
+ * Peaks (the loudest sample in each 20 ms) are collected window by window as
+ * the audio is decoded, so the waveform fills in progressively and a long
+ * recording only costs a few hundred kilobytes of peaks.
+ */
+
+class WaveformPreview {
+    constructor(canvas, options = {}) {
+        this.canvas = canvas;
+        this.context = canvas.getContext('2d');
+        this.options = {
+            peaksPerSecond: 50,
+            windowDuration: 10,        // Seconds of audio decoded between redraws
+            background: '#0f172a',
+            waveColor: '#3b82f6',
+            playedColor: '#93c5fd',
+            playheadColor: '#f8fafc',
+            ...options
+        };
+
+        this.peaks = new Float32Array(0);
+        this.peakCount = 0;
+        this.duration = 0;
+        this.currentTime = 0;
+        this.loadId = 0;
+    }
+
+    /**
+     * Collect peaks from an audio source, redrawing as they arrive.
+     * Resolves to false when a newer load or clear() superseded this one.
+     */
+    async load(audioSource, { onProgress = null } = {}) {
+        const loadId = ++this.loadId;
+        this.reset();
+        this.duration = audioSource.duration;
+
+        const samplesPerPeak = Math.max(1, Math.round(audioSource.sampleRate / this.options.peaksPerSecond));
+
+        for await (const window of audioSource.windows(this.options.windowDuration)) {
+            if (loadId !== this.loadId) return false;
+
+            this.appendPeaks(window.samples, samplesPerPeak);
+            this.duration = Math.max(audioSource.duration, this.peakCount / this.options.peaksPerSecond);
+            this.draw();
+
+            if (onProgress) onProgress(window.progress);
+        }
+
+        return loadId === this.loadId;
+    }
+
+    appendPeaks(samples, samplesPerPeak) {
+        const count = Math.ceil(samples.length / samplesPerPeak);
+        if (this.peakCount + count > this.peaks.length) {
+            const peaks = new Float32Array(Math.max(this.peaks.length * 2, this.peakCount + count));
+            peaks.set(this.peaks.subarray(0, this.peakCount));
+            this.peaks = peaks;
+        }
+
+        for (let i = 0; i < count; i++) {
+            let peak = 0;
+            const end = Math.min(samples.length, (i + 1) * samplesPerPeak);
+            for (let j = i * samplesPerPeak; j < end; j++) {
+                const value = Math.abs(samples[j]);
+                if (value > peak) peak = value;
+            }
+            this.peaks[this.peakCount++] = peak;
+        }
+    }
+
+    setCurrentTime(time) {
+        this.currentTime = time;
+        this.draw();
+    }
+
+    /**
+     * Time under a horizontal client coordinate, for click-to-seek
+     */
+    getTimeAtPosition(clientX) {
+        const rect = this.canvas.getBoundingClientRect();
+        const fraction = Math.max(0, Math.min(1, (clientX - rect.left) / rect.width));
+        return fraction * this.duration;
+    }
+
+    draw() {
+        const ratio = window.devicePixelRatio || 1;
+        const rect = this.canvas.getBoundingClientRect();
+        const width = Math.max(1, Math.round(rect.width * ratio));
+        const height = Math.max(1, Math.round(rect.height * ratio));
+
+        if (this.canvas.width !== width || this.canvas.height !== height) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
+
+        const context = this.context;
+        context.fillStyle = this.options.background;
+        context.fillRect(0, 0, width, height);
+        if (this.peakCount === 0 || !this.duration) return;
+
+        // Each pixel column shows the loudest peak it covers
+        const peaksPerPixel = (this.duration * this.options.peaksPerSecond) / width;
+        const playedX = (this.currentTime / this.duration) * width;
+        const middle = height / 2;
+
+        for (let x = 0; x < width; x++) {
+            const first = Math.floor(x * peaksPerPixel);
+            if (first >= this.peakCount) break;
+
+            const last = Math.min(this.peakCount, Math.max(first + 1, Math.floor((x + 1) * peaksPerPixel)));
+            let peak = 0;
+            for (let i = first; i < last; i++) {
+                if (this.peaks[i] > peak) peak = this.peaks[i];
+            }
+
+            const barHeight = Math.max(1, Math.min(1, peak) * (height - 2 * ratio));
+            context.fillStyle = x < playedX ? this.options.playedColor : this.options.waveColor;
+            context.fillRect(x, middle - barHeight / 2, 1, barHeight);
+        }
+
+        context.fillStyle = this.options.playheadColor;
+        context.fillRect(Math.min(width - ratio, playedX), 0, ratio, height);
+    }
+
+    reset() {
+        this.peaks = new Float32Array(0);
+        this.peakCount = 0;
+        this.duration = 0;
+        this.currentTime = 0;
+    }
+
+    /**
+     * Stop any load in progress and blank the canvas
+     */
+    clear() {
+        this.loadId++;
+        this.reset();
+        this.draw();
+    }
+}
+
+// Make available globally
+window.WaveformPreview = WaveformPreview;
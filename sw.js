@@ -4,6 +4,7 @@
  */
 
 const CACHE_NAME = 'video-caption-generator-v1.0.0';
+const MODEL_CACHE_NAME = 'video-caption-generator-models-v1';
 const OFFLINE_PAGE = '/index.html';
 
 // Files to cache for offline functionality
@@ -16,7 +17,25 @@ const STATIC_CACHE_URLS = [
     '/js/app.js',
     '/js/utils.js',
     '/js/speech-recognition.js',
+    '/js/transcription-providers.js',
+    '/js/offline-transcription-worker.js',
+    '/js/media-demuxer.js',
+    '/js/audio-source.js',
+    '/js/waveform-preview.js',
+    '/js/timeline-waveform.js',
+    '/js/timeline-minimap.js',
+    '/js/audio-enhancer.js',
+    '/js/speech-detector.js',
+    '/js/processing-job.js',
+    '/js/transcript-aligner.js',
+    '/js/speaker-diarizer.js',
+    '/js/sound-event-classifier.js',
+    '/js/shot-detector.js',
+    '/js/vad-worker.js',
     '/js/video-processor.js',
+    '/js/caption-resync.js',
+    '/js/caption-quality.js',
+    '/js/caption-autofix.js',
     '/js/caption-editor.js',
     '/js/export-manager.js',
     '/manifest.json'
@@ -29,6 +48,11 @@ const DYNAMIC_CACHE_PATTERNS = [
     /^\/examples\//
 ];
 
+// Speech model files kept in their own cache so app updates don't evict them
+const MODEL_CACHE_PATTERNS = [
+    /^\/models\//
+];
+
 // Network-first cache patterns (for frequently updated content)
 const NETWORK_FIRST_PATTERNS = [
     /^\/api\//,
@@ -65,7 +89,7 @@ self.addEventListener('activate', (event) => {
             .then((cacheNames) => {
                 return Promise.all(
                     cacheNames.map((cacheName) => {
-                        if (cacheName !== CACHE_NAME) {
+                        if (cacheName !== CACHE_NAME && cacheName !== MODEL_CACHE_NAME) {
                             console.log('[SW] Deleting old cache:', cacheName);
                             return caches.delete(cacheName);
                         }
@@ -84,13 +108,15 @@ self.addEventListener('fetch', (event) => {
     const { request } = event;
     const url = new URL(request.url);
 
-    // Skip non-HTTP requests
-    if (!request.url.startsWith('http')) {
+    // Skip non-HTTP requests, and requests other than GET, which can't be cached
+    if (!request.url.startsWith('http') || request.method !== 'GET') {
         return;
     }
 
     // Handle different types of requests
-    if (shouldUseNetworkFirst(url)) {
+    if (isModelRequest(url)) {
+        event.respondWith(cacheFirst(request, MODEL_CACHE_NAME));
+    } else if (shouldUseNetworkFirst(url)) {
         event.respondWith(networkFirst(request));
     } else if (shouldUseCacheFirst(url)) {
         event.respondWith(cacheFirst(request));
@@ -128,7 +154,7 @@ async function networkFirst(request) {
 }
 
 // Cache-first strategy for static assets
-async function cacheFirst(request) {
+async function cacheFirst(request, cacheName = CACHE_NAME) {
     const cachedResponse = await caches.match(request);
     
     if (cachedResponse) {
@@ -139,7 +165,7 @@ async function cacheFirst(request) {
         const networkResponse = await fetch(request);
         
         if (networkResponse.ok) {
-            const cache = await caches.open(CACHE_NAME);
+            const cache = await caches.open(cacheName);
             cache.put(request, networkResponse.clone());
         }
         
@@ -198,6 +224,12 @@ function shouldUseNetworkFirst(url) {
     return NETWORK_FIRST_PATTERNS.some(pattern => pattern.test(url.href));
 }
 
+// Check if URL points at offline speech model files
+function isModelRequest(url) {
+    return url.origin === self.location.origin &&
+           MODEL_CACHE_PATTERNS.some(pattern => pattern.test(url.pathname));
+}
+
 // Check if URL should use cache-first strategy
 function shouldUseCacheFirst(url) {
     return DYNAMIC_CACHE_PATTERNS.some(pattern => pattern.test(url.pathname)) ||
@@ -412,6 +444,14 @@ self.addEventListener('message', (event) => {
             );
             break;
             
+        case 'CACHE_MODEL':
+            event.waitUntil(
+                cacheModelFiles(data.urls)
+                    .then(() => event.ports[0].postMessage({ success: true }))
+                    .catch((error) => event.ports[0].postMessage({ success: false, error: error.message }))
+            );
+            break;
+            
         case 'CACHE_URLS':
             event.waitUntil(
                 cacheUrls(data.urls).then(() => {
@@ -428,6 +468,12 @@ async function cacheUrls(urls) {
     return cache.addAll(urls);
 }
 
+// Download speech model files ahead of going offline
+async function cacheModelFiles(urls) {
+    const cache = await caches.open(MODEL_CACHE_NAME);
+    return cache.addAll(urls);
+}
+
 // Periodic background sync (if supported)
 self.addEventListener('periodicsync', (event) => {
     if (event.tag === 'content-sync') {